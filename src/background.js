@@ -13,13 +13,43 @@ Logger.info('SettingsManager インポート完了');
 import { DataCleaner } from './dataCleaner.js';
 Logger.info('DataCleaner インポート完了');
 
+import { Scheduler } from './scheduler.js';
+Logger.info('Scheduler インポート完了');
+
+import { TabTracker } from './tabTracker.js';
+Logger.info('TabTracker インポート完了');
+
+import { CleanupLog } from './cleanupLog.js';
+Logger.info('CleanupLog インポート完了');
+
+import { SettingsSync } from './settingsSync.js';
+Logger.info('SettingsSync インポート完了');
+
+import { WhitelistService } from './whitelistService.js';
+Logger.info('WhitelistService インポート完了');
+
+import { ContextMenu } from './contextMenu.js';
+Logger.info('ContextMenu インポート完了');
+
+import { CleanJournal } from './cleanJournal.js';
+Logger.info('CleanJournal インポート完了');
+
 import { EventHandler } from './eventHandler.js';
 Logger.info('EventHandler インポート完了');
 
 // グローバルインスタンス
 const settingsManager = new SettingsManager();
-const dataCleaner = new DataCleaner(settingsManager);
-const eventHandler = new EventHandler(settingsManager, dataCleaner);
+const cleanupLog = new CleanupLog();
+const dataCleaner = new DataCleaner(settingsManager, cleanupLog);
+const scheduler = new Scheduler(settingsManager);
+const tabTracker = new TabTracker();
+const settingsSync = new SettingsSync();
+const whitelistService = new WhitelistService();
+const contextMenu = new ContextMenu(whitelistService);
+const cleanJournal = new CleanJournal();
+const eventHandler = new EventHandler(
+    settingsManager, dataCleaner, scheduler, tabTracker, cleanupLog, settingsSync, whitelistService, contextMenu, cleanJournal
+);
 
 // イベントリスナーを登録
 Logger.info('イベントリスナー登録中...');
@@ -30,6 +60,28 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return eventHandler.handleMessage(request, sender, sendResponse);
 });
 
+// キーボードショートカットのイベント
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    Logger.info('ショートカットを検知:', command);
+    await eventHandler.handleCommand(command, tab);
+});
+
+// コンテキストメニューのクリックイベント
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    Logger.info('コンテキストメニューのクリックを検知:', info.menuItemId);
+    await eventHandler.handleContextMenuClicked(info, tab);
+});
+
+// コンテキストメニューの表示をアクティブなタブに合わせるためのタブ・ウィンドウの切り替えイベント
+chrome.tabs.onActivated.addListener(async () => {
+    await eventHandler.updateContextMenu();
+});
+
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+    await eventHandler.updateContextMenu();
+});
+
 // ブラウザ終了時自動削除のためのウィンドウクローズイベント
 chrome.windows.onRemoved.addListener(async (windowId) => {
     try {
@@ -40,26 +92,69 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
     }
 });
 
+// サイトを閉じたときの自動削除のためのタブイベント
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    await eventHandler.handleTabUpdated(tabId, changeInfo, tab);
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    await eventHandler.handleTabRemoved(tabId);
+});
+
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+    await eventHandler.handleTabReplaced(addedTabId, removedTabId);
+});
+
 // ブラウザ起動時自動削除のための起動時イベント
 chrome.runtime.onStartup.addListener(async () => {
     Logger.info('ブラウザ起動を検知');
+    await settingsSync.resume();
     await loadSettings();
+    await eventHandler.initializeTabTracking();
+    await eventHandler.updateContextMenu();
 
     Logger.info('ブラウザ起動時自動削除を実行中...');
     await eventHandler.handleStartupIfNeeded();
     Logger.info('ブラウザ起動時自動削除の完了');
 });
 
+// 定期実行のためのアラームイベント
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    Logger.info('アラームを検知:', alarm.name);
+    await eventHandler.handleAlarm(alarm);
+});
+
+// 自動実行の設定変更の反映と設定の同期のためのストレージ変更イベント
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    await eventHandler.handleStorageChanged(changes, areaName);
+});
+
+// アイドル・画面ロック時自動削除のための状態変化イベント
+chrome.idle.onStateChanged.addListener(async (newState) => {
+    Logger.info('アイドル状態の変化を検知:', newState);
+    await eventHandler.handleIdleStateChanged(newState);
+});
+
 // 拡張機能のインストール/更新時のイベント
-chrome.runtime.onInstalled.addListener(() => {
-    Logger.info('拡張機能のインストール/更新を検知');
+chrome.runtime.onInstalled.addListener(async (details) => {
+    Logger.info('拡張機能のインストール/更新を検知:', details.reason);
+    if (details.reason === 'install') {
+        await settingsManager.initializeSchemaVersion();
+    } else if (details.reason === 'update') {
+        await settingsManager.migrateSettings();
+    }
     loadSettings();
+    eventHandler.initializeTabTracking();
+    eventHandler.initializeContextMenu();
 });
 
 Logger.info('イベントリスナー登録完了');
 
+// 起動のたびにアイドル検出間隔を設定値に合わせる
+eventHandler.updateIdleDetection();
+
 /**
- * 設定の読み込み
+ * 設定の読み込みと定期実行アラームの登録
  */
 async function loadSettings() {
     try {
@@ -67,6 +162,10 @@ async function loadSettings() {
         await settingsManager.load();
         settingsManager.logSettings();
         Logger.info('設定読み込み完了');
+
+        // ブラウザ再起動時はアラームが失われる場合があるため、設定に合わせて再登録
+        await scheduler.update();
+        await whitelistService.updateExpiryAlarm();
     } catch (error) {
         Logger.error('設定の読み込みに失敗:', error);
     }
@@ -0,0 +1,166 @@
+/**
+ * @file ブラウザ終了時の削除の完了記録クラス
+ * @description ブラウザ終了時の削除が完了したかをローカルストレージに記録し、
+ * 完了前にブラウザが終了した場合に次回起動時に削除をやり直せるようにする
+ */
+
+import { Logger } from './logger.js';
+import {
+    CLOSE_CLEAN_JOURNAL_STORAGE_KEY,
+    CLOSE_CLEAN_STATUSES,
+    MAX_CLOSE_CLEAN_RECOVERY_ATTEMPTS
+} from './constants.js';
+
+/**
+ * ブラウザ終了時の削除の記録
+ * @typedef {Object} CloseCleanJournalEntry
+ * @property {string} status - 進行状況（CLOSE_CLEAN_STATUSES の値）
+ * @property {string} profileId - 使用したプロファイルのID
+ * @property {number} startedAt - 削除を開始した時刻（エポックミリ秒）
+ * @property {number} [finishedAt] - 削除が完了した時刻
+ * @property {number} [recoveredAt] - 次回起動時に削除をやり直した時刻
+ * @property {number} [attempts] - やり直しに失敗した回数
+ * @property {string} [lastError] - 最後にやり直しに失敗したときのエラーメッセージ
+ * @property {number} [failedAt] - やり直しを中止した時刻
+ */
+
+class CleanJournal {
+    /**
+     * 削除の開始を記録
+     * @param {string} profileId - 使用するプロファイルのID
+     * @returns {Promise<void>}
+     * @public
+     * @description 削除処理より先に記録し、ブラウザの終了で中断されても未完了として残るようにする
+     */
+    async begin(profileId) {
+        await this.save({
+            status: CLOSE_CLEAN_STATUSES.PENDING,
+            profileId,
+            startedAt: Date.now()
+        });
+        Logger.debug('ブラウザ終了時の削除の開始を記録しました');
+    }
+
+    /**
+     * 削除の完了を記録
+     * @returns {Promise<void>}
+     * @public
+     */
+    async complete() {
+        const entry = await this.get();
+        if (entry?.status !== CLOSE_CLEAN_STATUSES.PENDING) {
+            return;
+        }
+        await this.save({ ...entry, status: CLOSE_CLEAN_STATUSES.DONE, finishedAt: Date.now() });
+        Logger.debug('ブラウザ終了時の削除の完了を記録しました');
+    }
+
+    /**
+     * 完了していない削除の記録を取得
+     * @returns {Promise<CloseCleanJournalEntry|null>}
+     * @public
+     */
+    async getPending() {
+        const entry = await this.get();
+        return entry?.status === CLOSE_CLEAN_STATUSES.PENDING ? entry : null;
+    }
+
+    /**
+     * 完了していなかった削除を次回起動時に実行したことを記録
+     * @returns {Promise<void>}
+     * @public
+     */
+    async markRecovered() {
+        const entry = await this.get();
+        if (entry?.status !== CLOSE_CLEAN_STATUSES.PENDING) {
+            return;
+        }
+        await this.save({ ...entry, status: CLOSE_CLEAN_STATUSES.RECOVERED, recoveredAt: Date.now() });
+        Logger.info('完了していなかったブラウザ終了時の削除を実行したことを記録しました');
+    }
+
+    /**
+     * 削除のやり直しに失敗したことを記録
+     * @param {Error|string} error - 発生したエラー
+     * @returns {Promise<void>}
+     * @public
+     * @description 失敗した回数が上限に達した場合はやり直しを中止し、次回起動時にはやり直さない
+     */
+    async recordRecoveryFailure(error) {
+        const entry = await this.get();
+        if (entry?.status !== CLOSE_CLEAN_STATUSES.PENDING) {
+            return;
+        }
+
+        const attempts = (entry.attempts ?? 0) + 1;
+        const lastError = error?.message ?? String(error);
+        if (attempts < MAX_CLOSE_CLEAN_RECOVERY_ATTEMPTS) {
+            await this.save({ ...entry, attempts, lastError });
+            Logger.warn(`ブラウザ終了時の削除のやり直しに失敗しました（${attempts}回目）。次回起動時に再度やり直します`);
+            return;
+        }
+
+        await this.save({ ...entry, status: CLOSE_CLEAN_STATUSES.FAILED, attempts, lastError, failedAt: Date.now() });
+        Logger.error(`ブラウザ終了時の削除のやり直しに${attempts}回失敗したため、やり直しを中止しました`);
+    }
+
+    /**
+     * やり直しに失敗した削除の記録を取得
+     * @returns {Promise<CloseCleanJournalEntry|null>}
+     * @public
+     * @description やり直しを中止したものと、次回起動時に再度やり直すものの両方を返す
+     */
+    async getRecoveryFailure() {
+        const entry = await this.get();
+        if (entry?.status === CLOSE_CLEAN_STATUSES.FAILED) {
+            return entry;
+        }
+        return entry?.status === CLOSE_CLEAN_STATUSES.PENDING && entry.attempts > 0 ? entry : null;
+    }
+
+    /**
+     * まだ通知していない、やり直した削除の記録を取得
+     * @returns {Promise<CloseCleanJournalEntry|null>}
+     * @public
+     */
+    async getRecovered() {
+        const entry = await this.get();
+        return entry?.status === CLOSE_CLEAN_STATUSES.RECOVERED ? entry : null;
+    }
+
+    /**
+     * やり直した削除、またはやり直しを中止した削除を通知済みにする
+     * @returns {Promise<void>}
+     * @public
+     * @description 次回起動時に再度やり直す記録は未完了のまま残す
+     */
+    async acknowledge() {
+        const entry = await this.get();
+        if (entry?.status !== CLOSE_CLEAN_STATUSES.RECOVERED && entry?.status !== CLOSE_CLEAN_STATUSES.FAILED) {
+            return;
+        }
+        await this.save({ ...entry, status: CLOSE_CLEAN_STATUSES.DONE });
+    }
+
+    /**
+     * 記録を取得
+     * @returns {Promise<CloseCleanJournalEntry|null>}
+     * @private
+     */
+    async get() {
+        const result = await chrome.storage.local.get(CLOSE_CLEAN_JOURNAL_STORAGE_KEY);
+        return result[CLOSE_CLEAN_JOURNAL_STORAGE_KEY] ?? null;
+    }
+
+    /**
+     * 記録を保存
+     * @param {CloseCleanJournalEntry} entry - 保存する記録
+     * @returns {Promise<void>}
+     * @private
+     */
+    async save(entry) {
+        await chrome.storage.local.set({ [CLOSE_CLEAN_JOURNAL_STORAGE_KEY]: entry });
+    }
+}
+
+export { CleanJournal };
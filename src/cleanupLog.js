@@ -0,0 +1,95 @@
+/**
+ * @file 削除履歴クラス
+ * @description 削除の実行記録を件数上限付きでローカルストレージに保存
+ */
+
+import { Logger } from './logger.js';
+import {
+    CLEANUP_LOG_STORAGE_KEY,
+    MAX_CLEANUP_LOG_ENTRIES
+} from './constants.js';
+
+/**
+ * 削除履歴のエントリ
+ * @typedef {Object} CleanupLogEntry
+ * @property {number} timestamp - 削除を開始した時刻（エポックミリ秒）
+ * @property {string} trigger - 削除のきっかけ（CLEAN_TRIGGERS の値）
+ * @property {string|null} profileName - 使用したプロファイル名（プロファイルを使用しない削除の場合はnull）
+ * @property {string|null} host - サイト単位の削除の場合は対象のホスト名
+ * @property {number} duration - 所要時間（ミリ秒）
+ * @property {Array<string>} categories - 削除したデータタイプ
+ * @property {number} excludedOriginCount - ホワイトリストにより除外したオリジンの数
+ * @property {Object<string, string>} errors - データタイプごとのエラーメッセージ
+ */
+
+class CleanupLog {
+    constructor() {
+        /**
+         * ストレージ更新を直列化するためのキュー
+         * @type {Promise<any>}
+         * @private
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 削除履歴を追加
+     * @param {CleanupLogEntry} entry - 追加するエントリ
+     * @returns {Promise<void>}
+     * @public
+     * @description 記録に失敗しても削除処理自体は失敗させない
+     */
+    async add(entry) {
+        try {
+            await this.enqueue(async () => {
+                const entries = await this.getAll();
+                entries.push(entry);
+                await chrome.storage.local.set({
+                    [CLEANUP_LOG_STORAGE_KEY]: entries.slice(-MAX_CLEANUP_LOG_ENTRIES)
+                });
+            });
+            Logger.debug('削除履歴を記録しました:', entry);
+        } catch (error) {
+            Logger.error('削除履歴の記録エラー:', error);
+        }
+    }
+
+    /**
+     * すべての削除履歴を取得
+     * @returns {Promise<Array<CleanupLogEntry>>} 古い順の削除履歴
+     * @public
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get(CLEANUP_LOG_STORAGE_KEY);
+        const entries = result[CLEANUP_LOG_STORAGE_KEY];
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * 削除履歴をすべて消去
+     * @returns {Promise<void>}
+     * @public
+     * @description 記録中の削除履歴が消去後に書き戻されないよう、記録と同じインスタンス（バックグラウンド）で呼び出す
+     */
+    async clear() {
+        return this.enqueue(async () => {
+            await chrome.storage.local.remove(CLEANUP_LOG_STORAGE_KEY);
+            Logger.info('削除履歴を消去しました');
+        });
+    }
+
+    /**
+     * 削除履歴の読み書きを直列化して実行
+     * @param {Function} task - 実行する非同期処理
+     * @returns {Promise<any>}
+     * @private
+     * @description 複数の削除が同時に完了しても記録が失われないよう順番に処理する
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+export { CleanupLog };
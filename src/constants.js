@@ -7,15 +7,28 @@
  * @const {Object}
  */
 export const DEFAULT_SETTINGS = {
+    TARGET_MODE: 'whitelist',
     WHITELIST_KEEP_COOKIES: 1,
     WHITELIST_KEEP_CACHE: 1,
+    WHITELIST_INCLUDE_SUBDOMAINS: 0,
+    WHITELIST_KEEP_HISTORY: 0,
     RUN_ON_STARTUP: false,
     RUN_ON_CLOSE: false,
-    REMOVE_DOWNLOADS: true,
-    REMOVE_FORMDATA: true,
-    REMOVE_HISTORY: true,
-    REMOVE_COOKIES: true,
-    REMOVE_CACHE_AND_STORAGE: true
+    SCHEDULE_MODE: 'off',
+    SCHEDULE_INTERVAL_HOURS: 24,
+    SCHEDULE_DAILY_TIME: '03:00',
+    RUN_ON_IDLE: false,
+    IDLE_MINUTES: 15,
+    RUN_ON_LOCK: false,
+    RUN_ON_SITE_CLOSE: false,
+    SITE_CLOSE_DELAY_SECONDS: 60,
+    RETENTION: {
+        history: { type: 'all', hours: 24 },
+        downloads: { type: 'all', hours: 24 },
+        formData: { type: 'all', hours: 24 },
+        cookies: { type: 'all', hours: 24 },
+        cache: { type: 'all', hours: 24 }
+    }
 };
 
 /**
@@ -24,15 +37,44 @@ export const DEFAULT_SETTINGS = {
  */
 export const STORAGE_KEYS = {
     WHITELIST: 'whitelist',
+    BLOCKLIST: 'blocklist',
+    PROFILES: 'profiles',
+    TRIGGER_PROFILES: 'triggerProfiles',
     RUN_ON_STARTUP: 'runOnStartup',
     RUN_ON_CLOSE: 'runOnClose',
+    SCHEDULE_MODE: 'scheduleMode',
+    SCHEDULE_INTERVAL_HOURS: 'scheduleIntervalHours',
+    SCHEDULE_DAILY_TIME: 'scheduleDailyTime',
+    RUN_ON_IDLE: 'runOnIdle',
+    IDLE_MINUTES: 'idleMinutes',
+    RUN_ON_LOCK: 'runOnLock',
+    RUN_ON_SITE_CLOSE: 'runOnSiteClose',
+    SITE_CLOSE_DELAY_SECONDS: 'siteCloseDelaySeconds',
+    // 以下はプロファイル導入前の形式のキー（デフォルトプロファイルへの移行にのみ使用）
+    TARGET_MODE: 'targetMode',
     REMOVE_DOWNLOADS: 'removeDownloads',
     REMOVE_FORMDATA: 'removeFormData',
     REMOVE_HISTORY: 'removeHistory',
     REMOVE_COOKIES: 'removeCookies',
-    REMOVE_CACHE_AND_STORAGE: 'removeCacheAndStorage'
+    REMOVE_CACHE_AND_STORAGE: 'removeCacheAndStorage',
+    RETENTION: 'retention'
 };
 
+/**
+ * プロファイル導入前の形式のストレージキー
+ * @const {Array<string>}
+ * @description デフォルトプロファイルへの移行にのみ使用し、同期の対象外とする
+ */
+export const LEGACY_STORAGE_KEYS = [
+    STORAGE_KEYS.TARGET_MODE,
+    STORAGE_KEYS.REMOVE_DOWNLOADS,
+    STORAGE_KEYS.REMOVE_FORMDATA,
+    STORAGE_KEYS.REMOVE_HISTORY,
+    STORAGE_KEYS.REMOVE_COOKIES,
+    STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE,
+    STORAGE_KEYS.RETENTION
+];
+
 /**
  * ホワイトリストのキー名
  * @const {Object}
@@ -40,7 +82,688 @@ export const STORAGE_KEYS = {
 export const WHITELIST_KEYS = {
     DOMAIN: 'domain',
     KEEP_COOKIES: 'keepCookies',
-    KEEP_CACHE: 'keepCache'
+    KEEP_CACHE: 'keepCache',
+    INCLUDE_SUBDOMAINS: 'includeSubdomains',
+    KEEP_HISTORY: 'keepHistory',
+    // データタイプごとの保持の指定（データタイプ→0 / 1）。保持フラグと異なるデータタイプのみ保持する
+    KEEP_DATA_TYPES: 'keepDataTypes',
+    // オリジンとして指定した場合のスキーム（'https' / 'http'）。未指定の場合は両方のスキームが対象
+    SCHEME: 'scheme',
+    // 保持するCookieの名前（* と ? のワイルドカードを使用可）。指定した場合、その他のCookieは削除する
+    KEEP_COOKIE_NAMES: 'keepCookieNames',
+    // 一時的なエントリの有効期限（エポックミリ秒）。期限を過ぎたエントリのサイトのデータは保持しない
+    EXPIRES_AT: 'expiresAt',
+    // ブラウザを再起動するまで有効なエントリの場合1（次回の起動時に有効期限を設定する）。
+    // デバイスごとのエントリのため、期限なしに変更するまで同期しない
+    EXPIRES_ON_RESTART: 'expiresOnRestart'
+};
+
+/**
+ * ホワイトリストに追加するときに指定できる保持期間
+ * @const {Object}
+ * @description
+ * - PERMANENT: 期限なし
+ * - HOUR / DAY / WEEK: 追加してから1時間 / 1日 / 1週間
+ * - RESTART: ブラウザを再起動するまで
+ */
+export const WHITELIST_DURATIONS = {
+    PERMANENT: 'permanent',
+    HOUR: 'hour',
+    RESTART: 'restart',
+    DAY: 'day',
+    WEEK: 'week'
+};
+
+/**
+ * 時間で指定する保持期間の長さ（ミリ秒）
+ * @const {Object<string, number>}
+ */
+export const WHITELIST_DURATION_MS = {
+    [WHITELIST_DURATIONS.HOUR]: 60 * 60 * 1000,
+    [WHITELIST_DURATIONS.DAY]: 24 * 60 * 60 * 1000,
+    [WHITELIST_DURATIONS.WEEK]: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 期限切れのホワイトリストエントリを残しておく期間（7日間、ミリ秒）
+ * @const {number}
+ * @description 期限切れのエントリはオプション画面から期限なしに戻せるよう、この期間を過ぎてから取り除く
+ */
+export const EXPIRED_WHITELIST_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * ホワイトリストでオリジンとして指定できるスキームと既定のポート番号
+ * @const {Object<string, string>}
+ * @description 「https://app.example.com:8443」のように指定する。既定のポート番号は省略して保存する
+ */
+export const ORIGIN_SCHEME_DEFAULT_PORTS = {
+    https: '443',
+    http: '80'
+};
+
+/**
+ * ホワイトリストのデータの種類ごとの指定形式で使用する値
+ * @const {Object}
+ * @description 「example.com localStorage=keep cookies=delete」のように指定する
+ */
+export const WHITELIST_DATA_TYPE_ACTIONS = {
+    KEEP: 'keep',
+    DELETE: 'delete'
+};
+
+/**
+ * ホワイトリストのデータの種類ごとの指定形式で、保持するCookieの名前を指定する項目名
+ * @const {string}
+ * @description 「example.com cookieNames=SID,session_*」のようにカンマ区切りで指定する
+ */
+export const WHITELIST_COOKIE_NAMES_OPTION = 'cookieNames';
+
+/**
+ * 削除対象の指定方法
+ * @const {Object}
+ * @description
+ * - WHITELIST: ホワイトリストのサイト以外を削除
+ * - BLOCKLIST: ブロックリストのサイトのみを削除（その他のサイトのデータは削除しない）
+ * - ALL: ホワイトリスト・ブロックリストを使用せずすべてのサイトを削除
+ */
+export const TARGET_MODES = {
+    WHITELIST: 'whitelist',
+    BLOCKLIST: 'blocklist',
+    ALL: 'all'
+};
+
+/**
+ * サブドメインを含むことを表すホワイトリストのドメインの接頭辞
+ * @const {string}
+ * @description 「*.example.com」は example.com とそのすべてのサブドメインを表す
+ */
+export const SUBDOMAIN_WILDCARD_PREFIX = '*.';
+
+// ========================================
+// 削除期間（保持期間）の設定
+// ========================================
+
+/**
+ * 削除期間の種類
+ * @const {Object}
+ * @description
+ * - ALL: 全期間を削除
+ * - RECENT: 直近N時間のデータのみ削除
+ * - OLDER: N時間より前のデータのみ削除（直近のデータは保持）
+ */
+export const RETENTION_TYPES = {
+    ALL: 'all',
+    RECENT: 'recent',
+    OLDER: 'older'
+};
+
+/**
+ * 削除期間を設定できるデータカテゴリ
+ * @const {Object}
+ */
+export const RETENTION_CATEGORIES = {
+    HISTORY: 'history',
+    DOWNLOADS: 'downloads',
+    FORMDATA: 'formData',
+    COOKIES: 'cookies',
+    CACHE: 'cache'
+};
+
+/**
+ * 「N時間より前のみ削除」に対応しているカテゴリ
+ * @const {Array<string>}
+ * @description chrome.browsingData は since 以降のデータしか削除できないため、
+ * 個別のAPI（chrome.history / chrome.downloads）で削除できるカテゴリに限定
+ */
+export const OLDER_RETENTION_CATEGORIES = [
+    RETENTION_CATEGORIES.HISTORY,
+    RETENTION_CATEGORIES.DOWNLOADS
+];
+
+/**
+ * 削除期間に指定できる最大時間（10年）
+ * @const {number}
+ */
+export const MAX_RETENTION_HOURS = 24 * 365 * 10;
+
+// ========================================
+// 定期実行の設定
+// ========================================
+
+/**
+ * 定期実行のモード
+ * @const {Object}
+ * @description
+ * - OFF: 定期実行しない
+ * - INTERVAL: N時間ごとに実行
+ * - DAILY: 毎日指定時刻に実行
+ */
+export const SCHEDULE_MODES = {
+    OFF: 'off',
+    INTERVAL: 'interval',
+    DAILY: 'daily'
+};
+
+/**
+ * 定期実行の間隔に指定できる最大時間（30日）
+ * @const {number}
+ */
+export const MAX_SCHEDULE_INTERVAL_HOURS = 24 * 30;
+
+/**
+ * chrome.alarms で使用するアラーム名
+ * @const {Object}
+ */
+export const ALARM_NAMES = {
+    SCHEDULED_CLEAN: 'scheduledClean',
+    SITE_CLEAN_PREFIX: 'siteClean:',
+    COMMAND_BADGE_PREFIX: 'commandBadge:',
+    WHITELIST_EXPIRY: 'whitelistExpiry'
+};
+
+/**
+ * 定期実行アラームを登録したときの実行モードを保存するストレージキー
+ * @const {string}
+ * @description 実行周期が同じでもモードが変わった場合（毎日03:00 → 24時間ごとなど）はアラームを登録し直すために使用する
+ */
+export const SCHEDULED_ALARM_MODE_STORAGE_KEY = 'scheduledAlarmMode';
+
+// ========================================
+// アイドル・画面ロック時の実行設定
+// ========================================
+
+/**
+ * アイドル判定までの時間に指定できる最大分数（24時間）
+ * @const {number}
+ */
+export const MAX_IDLE_MINUTES = 24 * 60;
+
+/**
+ * アイドル・ロック時削除の再実行に必要なアクティブ時間（ミリ秒）
+ * @const {number}
+ * @description マウスが少し動いただけなど、短時間だけアクティブに戻った場合は
+ * 再度アイドルになっても削除を繰り返さない
+ */
+export const IDLE_REARM_MS = 60 * 1000;
+
+// ========================================
+// サイトのタブを閉じたときの実行設定
+// ========================================
+
+/**
+ * 猶予時間に指定できる最小秒数（0を除く）
+ * @const {number}
+ * @description chrome.alarms は30秒未満の遅延を指定しても30秒に切り上げるため
+ */
+export const MIN_SITE_CLOSE_DELAY_SECONDS = 30;
+
+/**
+ * 猶予時間に指定できる最大秒数（1時間）
+ * @const {number}
+ */
+export const MAX_SITE_CLOSE_DELAY_SECONDS = 60 * 60;
+
+// ========================================
+// 削除プロファイル
+// ========================================
+
+/**
+ * プロファイルのプロパティ名
+ * @const {Object}
+ */
+export const PROFILE_KEYS = {
+    ID: 'id',
+    NAME: 'name',
+    TARGET_MODE: 'targetMode',
+    REMOVE_DOWNLOADS: 'removeDownloads',
+    REMOVE_FORMDATA: 'removeFormData',
+    REMOVE_HISTORY: 'removeHistory',
+    REMOVE_COOKIES: 'removeCookies',
+    REMOVE_LOCAL_STORAGE: 'removeLocalStorage',
+    REMOVE_INDEXED_DB: 'removeIndexedDB',
+    REMOVE_CACHE_STORAGE: 'removeCacheStorage',
+    REMOVE_FILE_SYSTEMS: 'removeFileSystems',
+    REMOVE_SERVICE_WORKERS: 'removeServiceWorkers',
+    REMOVE_WEB_SQL: 'removeWebSQL',
+    REMOVE_PLUGIN_DATA: 'removePluginData',
+    REMOVE_PASSWORDS: 'removePasswords',
+    // HTTPキャッシュの削除フラグ（データの種類ごとの設定の導入前からの名前を維持）
+    REMOVE_CACHE_AND_STORAGE: 'removeCacheAndStorage',
+    REMOVE_APPCACHE: 'removeAppcache',
+    RETENTION: 'retention'
+};
+
+/**
+ * デフォルトプロファイルのID
+ * @const {string}
+ * @description デフォルトプロファイルは削除できず、プロファイルが見つからない場合にも使用される
+ */
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * プロファイル名の最大文字数
+ * @const {number}
+ */
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+/**
+ * 削除を実行するきっかけ
+ * @const {Object}
+ * @description トリガーごとに使用するプロファイルを設定できる
+ */
+export const CLEAN_TRIGGERS = {
+    MANUAL: 'manual',
+    STARTUP: 'startup',
+    CLOSE: 'close',
+    SCHEDULE: 'schedule',
+    IDLE: 'idle',
+    LOCK: 'lock',
+    SITE_CLOSE: 'siteClose'
+};
+
+// ========================================
+// 削除するデータの種類
+// ========================================
+
+/**
+ * 削除するデータの種類のグループ（オプションページでの表示単位）
+ * @const {Object}
+ */
+export const DATA_TYPE_GROUPS = {
+    BROWSING: 'browsing',
+    SITE_DATA: 'siteData',
+    CACHE: 'cache'
+};
+
+/**
+ * サイトを指定して削除する方法
+ * @const {Object}
+ * @description
+ * - ORIGINS: chrome.browsingData の origins / excludeOrigins でサイトを指定する
+ * - URLS: 個別のAPI（chrome.history / chrome.downloads）でURLを1件ずつ判定して削除する
+ * - NONE: サイトを指定して削除できない（ブロックリストモードでは削除しない）
+ */
+export const SITE_FILTER_TYPES = {
+    ORIGINS: 'origins',
+    URLS: 'urls',
+    NONE: 'none'
+};
+
+/**
+ * 削除するデータの種類の定義
+ * @typedef {Object} DataTypeDefinition
+ * @property {string} type - chrome.browsingData.DataTypeSet のキー（削除履歴にも記録する）
+ * @property {string} profileKey - 削除するかどうかを保持するプロファイルのプロパティ名
+ * @property {string} group - 表示するグループ（DATA_TYPE_GROUPS の値）
+ * @property {string} retention - 適用する削除期間の設定のカテゴリ（RETENTION_CATEGORIES の値）
+ * @property {string} siteFilter - サイトを指定して削除する方法（SITE_FILTER_TYPES の値）
+ * @property {string|null} keepFlag - ホワイトリストで保持を指定するエントリのフラグ（保持できない場合はnull）
+ * @property {boolean} defaultValue - 新しいプロファイルで削除するかどうか
+ * @property {string|null} inheritFrom - 削除フラグが保存されていないプロファイルで代わりに使用する削除フラグ
+ * （データの種類ごとの設定の導入前に、まとめて削除していたフラグ）
+ * @property {string} label - 表示名のメッセージID
+ */
+
+/**
+ * 削除するデータの種類（表示・削除履歴の記録順）
+ * @const {Array<DataTypeDefinition>}
+ * @description プロファイルの削除フラグ・オプションページの項目・削除処理はこの定義に従う
+ */
+export const DATA_TYPES = [
+    {
+        type: 'history',
+        profileKey: PROFILE_KEYS.REMOVE_HISTORY,
+        group: DATA_TYPE_GROUPS.BROWSING,
+        retention: RETENTION_CATEGORIES.HISTORY,
+        siteFilter: SITE_FILTER_TYPES.URLS,
+        keepFlag: WHITELIST_KEYS.KEEP_HISTORY,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeHistory'
+    },
+    {
+        type: 'downloads',
+        profileKey: PROFILE_KEYS.REMOVE_DOWNLOADS,
+        group: DATA_TYPE_GROUPS.BROWSING,
+        retention: RETENTION_CATEGORIES.DOWNLOADS,
+        siteFilter: SITE_FILTER_TYPES.URLS,
+        keepFlag: null,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeDownloads'
+    },
+    {
+        type: 'formData',
+        profileKey: PROFILE_KEYS.REMOVE_FORMDATA,
+        group: DATA_TYPE_GROUPS.BROWSING,
+        retention: RETENTION_CATEGORIES.FORMDATA,
+        siteFilter: SITE_FILTER_TYPES.NONE,
+        keepFlag: null,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeFormData'
+    },
+    {
+        type: 'passwords',
+        profileKey: PROFILE_KEYS.REMOVE_PASSWORDS,
+        group: DATA_TYPE_GROUPS.BROWSING,
+        retention: RETENTION_CATEGORIES.FORMDATA,
+        siteFilter: SITE_FILTER_TYPES.NONE,
+        keepFlag: null,
+        defaultValue: false,
+        inheritFrom: null,
+        label: 'dataTypePasswords'
+    },
+    {
+        type: 'cookies',
+        profileKey: PROFILE_KEYS.REMOVE_COOKIES,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeCookies'
+    },
+    {
+        type: 'localStorage',
+        profileKey: PROFILE_KEYS.REMOVE_LOCAL_STORAGE,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeLocalStorage'
+    },
+    {
+        type: 'indexedDB',
+        profileKey: PROFILE_KEYS.REMOVE_INDEXED_DB,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeIndexedDB'
+    },
+    {
+        type: 'cacheStorage',
+        profileKey: PROFILE_KEYS.REMOVE_CACHE_STORAGE,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeCacheStorage'
+    },
+    {
+        type: 'fileSystems',
+        profileKey: PROFILE_KEYS.REMOVE_FILE_SYSTEMS,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeFileSystems'
+    },
+    {
+        type: 'serviceWorkers',
+        profileKey: PROFILE_KEYS.REMOVE_SERVICE_WORKERS,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeServiceWorkers'
+    },
+    {
+        type: 'webSQL',
+        profileKey: PROFILE_KEYS.REMOVE_WEB_SQL,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_COOKIES,
+        defaultValue: true,
+        inheritFrom: PROFILE_KEYS.REMOVE_COOKIES,
+        label: 'dataTypeWebSQL'
+    },
+    {
+        type: 'pluginData',
+        profileKey: PROFILE_KEYS.REMOVE_PLUGIN_DATA,
+        group: DATA_TYPE_GROUPS.SITE_DATA,
+        retention: RETENTION_CATEGORIES.COOKIES,
+        siteFilter: SITE_FILTER_TYPES.NONE,
+        keepFlag: null,
+        defaultValue: false,
+        inheritFrom: null,
+        label: 'dataTypePluginData'
+    },
+    {
+        type: 'cache',
+        profileKey: PROFILE_KEYS.REMOVE_CACHE_AND_STORAGE,
+        group: DATA_TYPE_GROUPS.CACHE,
+        retention: RETENTION_CATEGORIES.CACHE,
+        siteFilter: SITE_FILTER_TYPES.ORIGINS,
+        keepFlag: WHITELIST_KEYS.KEEP_CACHE,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeCache'
+    },
+    {
+        type: 'appcache',
+        profileKey: PROFILE_KEYS.REMOVE_APPCACHE,
+        group: DATA_TYPE_GROUPS.CACHE,
+        retention: RETENTION_CATEGORIES.CACHE,
+        siteFilter: SITE_FILTER_TYPES.NONE,
+        keepFlag: null,
+        defaultValue: true,
+        inheritFrom: null,
+        label: 'dataTypeAppcache'
+    }
+];
+
+// ========================================
+// 削除履歴（監査ログ）
+// ========================================
+
+/**
+ * 削除履歴を保存するストレージのキー
+ * @const {string}
+ * @description 設定とは別に管理するため STORAGE_KEYS には含めない
+ */
+export const CLEANUP_LOG_STORAGE_KEY = 'cleanupLog';
+
+/**
+ * 削除履歴の最大保存件数（超えた場合は古いものから削除）
+ * @const {number}
+ */
+export const MAX_CLEANUP_LOG_ENTRIES = 500;
+
+// ========================================
+// ブラウザ終了時の削除の完了記録
+// ========================================
+
+/**
+ * ブラウザ終了時の削除の進行状況を保存するストレージのキー
+ * @const {string}
+ * @description 設定とは別に管理するため STORAGE_KEYS には含めない
+ */
+export const CLOSE_CLEAN_JOURNAL_STORAGE_KEY = 'closeCleanJournal';
+
+/**
+ * ブラウザ終了時の削除の進行状況
+ * @const {Object}
+ * @description
+ * - PENDING: 削除を開始したが完了していない
+ * - DONE: 削除が完了した
+ * - RECOVERED: 完了していなかった削除を次回起動時に実行した（ポップアップで通知するまで保持）
+ * - FAILED: やり直しが上限回数まで失敗したため、やり直しを中止した（ポップアップで通知するまで保持）
+ */
+export const CLOSE_CLEAN_STATUSES = {
+    PENDING: 'pending',
+    DONE: 'done',
+    RECOVERED: 'recovered',
+    FAILED: 'failed'
+};
+
+/**
+ * 完了していないブラウザ終了時の削除をやり直す最大回数
+ * @const {number}
+ * @description 失敗し続ける場合に、起動のたびに全データの削除を繰り返さないようにする
+ */
+export const MAX_CLOSE_CLEAN_RECOVERY_ATTEMPTS = 3;
+
+// ========================================
+// 設定のスキーマバージョン
+// ========================================
+
+/**
+ * 保存している設定のスキーマバージョンのストレージキー
+ * @const {string}
+ * @description 未保存の場合はバージョン導入前（1）として扱う
+ */
+export const SCHEMA_VERSION_STORAGE_KEY = 'schemaVersion';
+
+/**
+ * 現在の設定のスキーマバージョン
+ * @const {number}
+ * @description ストレージの設定の形式を変更した場合は、バージョンを上げて移行処理を追加する
+ * - 1: バージョン導入前（削除対象の設定がストレージ直下のキー）
+ * - 2: 削除対象の設定を削除プロファイルで管理
+ * - 3: ホワイトリストのエントリがすべてのフラグを 0 / 1 の数値で保持
+ * - 4: 削除プロファイルがデータの種類ごとの削除フラグを保持
+ */
+export const CURRENT_SCHEMA_VERSION = 4;
+
+/**
+ * 移行前の設定のバックアップを保存するストレージキー
+ * @const {string}
+ * @description 最後に移行・修復を行う直前の設定のみを保持する
+ */
+export const SETTINGS_BACKUP_STORAGE_KEY = 'settingsBackup';
+
+// ========================================
+// 設定ファイル（エクスポート・インポート）
+// ========================================
+
+/**
+ * 設定ファイルの形式を表す識別子
+ * @const {string}
+ */
+export const SETTINGS_FILE_FORMAT = 'dehistory-settings';
+
+/**
+ * 設定ファイルのバージョン
+ * @const {number}
+ * @description 設定ファイルの構造を変更した場合に更新する。これより新しいバージョンのファイルは読み込まない
+ */
+export const SETTINGS_FILE_VERSION = 1;
+
+/**
+ * インポート時のホワイトリストの取り込み方法
+ * @const {Object}
+ * @description
+ * - MERGE: 現在のホワイトリストに追加（同じドメインはファイルの設定で上書き）
+ * - REPLACE: ファイルのホワイトリストで置き換え
+ */
+export const IMPORT_MODES = {
+    MERGE: 'merge',
+    REPLACE: 'replace'
+};
+
+// ========================================
+// 設定の同期（chrome.storage.sync）
+// ========================================
+
+/**
+ * 同期の状態を保存するストレージのキー
+ * @const {string}
+ * @description 同期を使用するかどうかはデバイスごとに設定するため、chrome.storage.local に保存し同期しない
+ */
+export const SYNC_STATE_STORAGE_KEY = 'syncState';
+
+/**
+ * chrome.storage.sync に保存する項目のキーの接頭辞
+ * @const {string}
+ * @description 設定ごとに「settings:キー」にヘッダー、「settings:キー@リビジョン#番号」に分割した値を保存する
+ */
+export const SYNC_ITEM_PREFIX = 'settings:';
+
+/**
+ * chrome.storage.sync に保存する1項目あたりの最大文字数
+ * @const {number}
+ * @description 1項目の上限（QUOTA_BYTES_PER_ITEM: 8192バイト）はJSON化した後のバイト数で判定されるため、
+ * 全角文字（UTF-8で3バイト）やエスケープで大きくなっても収まる長さに分割する
+ */
+export const SYNC_CHUNK_LENGTH = 2000;
+
+/**
+ * 同期を有効にするときの設定の扱い
+ * @const {Object}
+ * @description
+ * - DOWNLOAD: 同期済みの設定をこのデバイスに取り込む（同期済みの設定がない項目はこのデバイスの設定をアップロード）
+ * - UPLOAD: このデバイスの設定で同期済みの設定を上書きする
+ */
+export const SYNC_STRATEGIES = {
+    DOWNLOAD: 'download',
+    UPLOAD: 'upload'
+};
+
+/**
+ * 同期の状態
+ * @const {Object}
+ * @description
+ * - OFF: 同期していない
+ * - OK: 同期している
+ * - QUOTA_EXCEEDED: 容量を超えたため、このデバイスにのみ保存している
+ * - ERROR: 同期に失敗した
+ */
+export const SYNC_STATUSES = {
+    OFF: 'off',
+    OK: 'ok',
+    QUOTA_EXCEEDED: 'quotaExceeded',
+    ERROR: 'error'
+};
+
+// ========================================
+// キーボードショートカット
+// ========================================
+
+/**
+ * chrome.commands で使用するコマンド名
+ * @const {Object}
+ * @description manifest.json の commands のキーと一致させる
+ */
+export const COMMAND_NAMES = {
+    CLEAN_NOW: 'clean-now',
+    TOGGLE_WHITELIST: 'toggle-whitelist',
+    CLEAN_CURRENT_SITE: 'clean-current-site'
+};
+
+/**
+ * ショートカットの実行結果をアイコンのバッジに表示する時間（ミリ秒）
+ * @const {number}
+ */
+export const COMMAND_BADGE_DURATION_MS = 2000;
+
+// ========================================
+// コンテキストメニュー
+// ========================================
+
+/**
+ * chrome.contextMenus で使用するメニュー項目のID
+ * @const {Object}
+ */
+export const CONTEXT_MENU_IDS = {
+    WHITELIST_KEEP_COOKIES: 'whitelistKeepCookies',
+    WHITELIST_KEEP_COOKIES_AND_CACHE: 'whitelistKeepCookiesAndCache',
+    REMOVE_FROM_WHITELIST: 'removeFromWhitelist',
+    SEPARATOR: 'separator',
+    CLEAN_SITE: 'cleanSite'
 };
 
 // ========================================
@@ -50,12 +773,33 @@ export const WHITELIST_KEYS = {
 /**
  * ドメイン名のバリデーション用正規表現
  * @constant {RegExp}
- * @description HTTPS用の標準的なドメイン名規則
+ * @description HTTPS用の標準的なドメイン名規則（国際化ドメイン名は punycode に変換してから検証する）
  * - 英数字、ハイフン、ドットのみ使用可
  * - 各ラベル（ドット区切り）は英数字で始まり英数字で終わる
- * - TLD（最上位ドメイン）は2文字以上の英字
+ * - TLD（最上位ドメイン）は2文字以上の英字、または punycode（xn--）表記
+ */
+export const DOMAIN_REGEX = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,}|xn--[a-z0-9-]{1,59})$/i;
+
+/**
+ * IPv4アドレスのバリデーション用正規表現
+ * @constant {RegExp}
+ * @description 各オクテットの範囲（0〜255）は別途チェックする
+ */
+export const IPV4_REGEX = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * オリジン形式（「スキーム://ホスト[:ポート]」）の指定を分解する正規表現
+ * @constant {RegExp}
+ * @description 1: スキーム / 2: ホスト（ポート番号を含む） / 3: パス以降（オリジンには含められない）
  */
-export const DOMAIN_REGEX = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+export const ORIGIN_REGEX = /^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([/?#].*)?$/i;
+
+/**
+ * ホスト名に使用できない文字を検出する正規表現
+ * @constant {RegExp}
+ * @description URLの区切り文字など、国際化ドメイン名の変換前に拒否する文字
+ */
+export const HOST_FORBIDDEN_CHARS_REGEX = /[\s\/?#@\\%\[\]:<>^|]/;
 
 /**
  * 危険な文字を検出する正規表現
@@ -63,3 +807,9 @@ export const DOMAIN_REGEX = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/
  * @description 制御文字、特殊スペースなどを検出
  */
 export const DANGEROUS_CHARS_REGEX = /[\x00-\x1f\x7f-\x9f\u2000-\u200f\u2028-\u202f\u205f-\u206f]/;
+
+/**
+ * 定期実行の時刻（HH:MM）のバリデーション用正規表現
+ * @constant {RegExp}
+ */
+export const DAILY_TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
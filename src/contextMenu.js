@@ -0,0 +1,156 @@
+/**
+ * @file コンテキストメニュークラス
+ * @description ページとツールバーアイコンの右クリックメニューを作成し、
+ * 表示中のサイトのホワイトリスト登録状態に合わせて項目の表示を更新
+ */
+
+import { Logger } from './logger.js';
+import {
+    WHITELIST_KEYS,
+    CONTEXT_MENU_IDS
+} from './constants.js';
+import { WhitelistService } from './whitelistService.js';
+import {
+    formatWhitelistDomain,
+    hasDataTypeOverrides,
+    getHostFromUrl
+} from './utils.js';
+import { getMessage } from './i18n.js';
+
+/**
+ * メニューを表示する場所
+ * @const {Array<string>}
+ */
+const MENU_CONTEXTS = ['page', 'action'];
+
+/**
+ * メニュー項目の種類
+ * @const {Array<[string, string]>}
+ * @description 保持設定の項目は、現在の登録内容と一致する場合にチェックを付ける
+ */
+const MENU_ITEMS = [
+    [CONTEXT_MENU_IDS.WHITELIST_KEEP_COOKIES, 'checkbox'],
+    [CONTEXT_MENU_IDS.WHITELIST_KEEP_COOKIES_AND_CACHE, 'checkbox'],
+    [CONTEXT_MENU_IDS.REMOVE_FROM_WHITELIST, 'normal'],
+    [CONTEXT_MENU_IDS.SEPARATOR, 'separator'],
+    [CONTEXT_MENU_IDS.CLEAN_SITE, 'normal']
+];
+
+/**
+ * ホワイトリストへの追加・変更の項目ごとの保持設定
+ * @const {Object<string, {keepCookies: number, keepCache: number}>}
+ */
+const KEEP_FLAGS_BY_MENU_ID = {
+    [CONTEXT_MENU_IDS.WHITELIST_KEEP_COOKIES]: { keepCookies: 1, keepCache: 0 },
+    [CONTEXT_MENU_IDS.WHITELIST_KEEP_COOKIES_AND_CACHE]: { keepCookies: 1, keepCache: 1 }
+};
+
+class ContextMenu {
+    /**
+     * @param {WhitelistService} whitelistService
+     */
+    constructor(whitelistService) {
+        /** @type {WhitelistService} */
+        this.whitelistService = whitelistService;
+    }
+
+    /**
+     * メニュー項目を作成
+     * @returns {Promise<void>}
+     * @public
+     * @description メニューはブラウザに保存されるため、インストール・更新時に作り直す
+     */
+    async create() {
+        await chrome.contextMenus.removeAll();
+        for (const [id, type] of MENU_ITEMS) {
+            chrome.contextMenus.create({ id, type, contexts: MENU_CONTEXTS, ...this.getItemState(id, null, null) }, () => {
+                if (chrome.runtime.lastError) {
+                    Logger.error('コンテキストメニュー作成エラー:', id, chrome.runtime.lastError.message);
+                }
+            });
+        }
+        await this.updateForActiveTab();
+    }
+
+    /**
+     * フォーカスのあるウィンドウのアクティブなタブに合わせてメニューを更新
+     * @returns {Promise<void>}
+     * @public
+     */
+    async updateForActiveTab() {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        await this.updateForTab(tab);
+    }
+
+    /**
+     * タブのサイトのホワイトリスト登録状態に合わせてメニューを更新
+     * @param {chrome.tabs.Tab} [tab] - 対象のタブ
+     * @returns {Promise<void>}
+     * @public
+     * @description メニューの表示内容はすべてのタブで共通のため、アクティブなタブが変わるたびに更新する
+     */
+    async updateForTab(tab) {
+        const host = tab?.url ? getHostFromUrl(tab.url) : null;
+        const entry = host ? (await this.whitelistService.getStatus(host)).entry : null;
+
+        for (const [id, type] of MENU_ITEMS) {
+            if (type === 'separator') continue;
+            await chrome.contextMenus.update(id, this.getItemState(id, host, entry));
+        }
+    }
+
+    /**
+     * メニュー項目で指定された保持設定を取得
+     * @param {string} menuItemId - メニュー項目のID
+     * @returns {{keepCookies: number, keepCache: number}|null} 保持設定の項目以外の場合はnull
+     * @public
+     */
+    getKeepFlags(menuItemId) {
+        return KEEP_FLAGS_BY_MENU_ID[menuItemId] ?? null;
+    }
+
+    /**
+     * メニュー項目の表示内容を取得
+     * @param {string} id - メニュー項目のID
+     * @param {string|null} host - 表示中のサイトのホスト名（対象外のページの場合はnull）
+     * @param {Object|null} entry - ホストに一致するホワイトリストのエントリ（未登録の場合はnull）
+     * @returns {Object} chrome.contextMenus.update に渡すプロパティ
+     * @private
+     */
+    getItemState(id, host, entry) {
+        const enabled = host !== null;
+
+        if (id in KEEP_FLAGS_BY_MENU_ID) {
+            const flags = KEEP_FLAGS_BY_MENU_ID[id];
+            const keepCache = flags.keepCache === 1;
+            const titleId = entry
+                ? (keepCache ? 'menuChangeKeepCookiesAndCache' : 'menuChangeKeepCookies')
+                : (keepCache ? 'menuWhitelistKeepCookiesAndCache' : 'menuWhitelistKeepCookies');
+            return {
+                title: getMessage(titleId),
+                enabled,
+                checked: entry !== null
+                    && entry[WHITELIST_KEYS.KEEP_COOKIES] === flags.keepCookies
+                    && entry[WHITELIST_KEYS.KEEP_CACHE] === flags.keepCache
+                    && !hasDataTypeOverrides(entry)
+            };
+        }
+
+        if (id === CONTEXT_MENU_IDS.REMOVE_FROM_WHITELIST) {
+            return {
+                title: entry
+                    ? getMessage('menuRemoveEntryFromWhitelist', [formatWhitelistDomain(entry)])
+                    : getMessage('menuRemoveFromWhitelist'),
+                enabled: enabled && entry !== null
+            };
+        }
+
+        if (id === CONTEXT_MENU_IDS.CLEAN_SITE) {
+            return { title: getMessage('menuCleanSite'), enabled };
+        }
+
+        return {};
+    }
+}
+
+export { ContextMenu };
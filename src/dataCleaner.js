@@ -4,60 +4,270 @@
  */
 
 import { Logger } from './logger.js';
-import { WHITELIST_KEYS } from './constants.js';
+import {
+    DEFAULT_SETTINGS,
+    WHITELIST_KEYS,
+    TARGET_MODES,
+    PROFILE_KEYS,
+    RETENTION_TYPES,
+    RETENTION_CATEGORIES,
+    CLEAN_TRIGGERS,
+    DATA_TYPES,
+    SITE_FILTER_TYPES
+} from './constants.js';
 import { SettingsManager } from './settingsManager.js';
+import { CleanupLog } from './cleanupLog.js';
+import {
+    getHostFromUrl,
+    splitHostPort,
+    isHostMatchingDomain,
+    isUrlCoveredByEntry,
+    isDataTypeKeptByEntry,
+    hasCookieNameRules,
+    isCookieNameKept
+} from './utils.js';
+import { getRegistrableDomain } from './registrableDomain.js';
+
+/**
+ * 1時間のミリ秒数
+ * @const {number}
+ */
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+/**
+ * スキーム・ポート番号で区別されずに保存されるデータタイプ
+ * @const {Array<string>}
+ * @description Cookieはホスト単位で保存されるため、オリジンの一部のみを保持することはできない
+ */
+const HOST_SCOPED_DATA_TYPES = ['cookies'];
+
+/**
+ * URLごとに判定する履歴削除で一度に取得する履歴の件数
+ * @const {number}
+ */
+const HISTORY_BATCH_SIZE = 1000;
+
+/**
+ * プレビューで件数を集計するデータタイプ（その他のデータタイプは削除するかどうかのみ表示）
+ * @const {Array<string>}
+ */
+const PREVIEW_COUNTED_TYPES = ['cookies', 'history', 'downloads'];
+
+/**
+ * サイトを指定して削除するデータタイプと削除範囲
+ * @typedef {Object} SiteDataRemoval
+ * @property {string} type - データタイプ
+ * @property {number} since - この時刻以降のデータを削除
+ */
+
+/**
+ * 1回の削除の実行結果（削除履歴の記録用）
+ * @typedef {Object} CleanupReport
+ * @property {Array<string>} categories - 削除に成功したデータタイプ
+ * @property {Object<string, string>} errors - データタイプごとのエラーメッセージ
+ * @property {Set<string>} excludedOrigins - ホワイトリストにより除外したオリジン
+ */
 
 class DataCleaner {
     /**
      * @param {SettingsManager} settingsManager - 設定管理インスタンス
+     * @param {CleanupLog} cleanupLog - 削除履歴インスタンス
      */
-    constructor(settingsManager) {
+    constructor(settingsManager, cleanupLog) {
         /** @type {SettingsManager} */
         this.settings = settingsManager;
+        /** @type {CleanupLog} */
+        this.cleanupLog = cleanupLog;
     }
 
     /**
-     * すべてのブラウジングデータを削除
+     * プロファイルの設定に従ってブラウジングデータを削除
+     * @param {Object} profile - 使用するプロファイル
+     * @param {string} [trigger=CLEAN_TRIGGERS.MANUAL] - 削除のきっかけ（削除履歴に記録）
      * @returns {Promise<void>}
+     * @throws {Error} いずれかのデータタイプの削除に失敗した場合（他のデータタイプの削除は継続する）
      */
-    async clearAll() {
-        Logger.info('=== データ削除開始 ===');
+    async clearAll(profile, trigger = CLEAN_TRIGGERS.MANUAL) {
+        Logger.info(`=== データ削除開始（プロファイル: ${profile[PROFILE_KEYS.NAME]}） ===`);
         const startTime = Date.now();
-        
-        try {
+        const report = this.createReport();
+
+        if (profile[PROFILE_KEYS.TARGET_MODE] === TARGET_MODES.BLOCKLIST) {
+            await this.removeBlocklistedData(profile, report);
+        } else {
             await Promise.all([
-                this.removeBulkData(),
-                this.removeCookies(),
-                this.removeCacheAndStorage()
+                this.removeBulkData(profile, report),
+                this.removeSiteData(profile, report)
             ]);
-            
-            const duration = Date.now() - startTime;
-            Logger.info(`=== データ削除完了 (${duration}ms) ===`);
+        }
+
+        await this.finishReport(report, { trigger, profile, host: null, startTime });
+    }
+
+    /**
+     * 実行結果を初期化
+     * @returns {CleanupReport}
+     * @private
+     */
+    createReport() {
+        return { categories: [], errors: {}, excludedOrigins: new Set() };
+    }
+
+    /**
+     * 削除処理を実行し、結果を実行結果に記録
+     * @param {CleanupReport} report - 実行結果
+     * @param {Array<string>} categories - 削除するデータタイプ
+     * @param {Promise<any>} task - 削除処理（削除を行わなかった場合は false で resolve する）
+     * @returns {Promise<void>} 削除に失敗しても reject しない
+     * @private
+     */
+    async track(report, categories, task) {
+        try {
+            if (await task === false) {
+                return;
+            }
+            report.categories.push(...categories);
         } catch (error) {
-            Logger.error('データ削除中にエラーが発生しました:', error);
-            throw error;
+            categories.forEach(category => {
+                report.errors[category] = error?.message ?? String(error);
+            });
         }
     }
 
+    /**
+     * 実行結果を削除履歴に記録し、失敗したデータタイプがあればエラーにする
+     * @param {CleanupReport} report - 実行結果
+     * @param {{trigger: string, profile: Object|null, host: string|null, startTime: number}} context - 実行時の情報
+     * （プロファイルを使用しない削除の場合、profile は null）
+     * @returns {Promise<void>}
+     * @throws {Error} 削除に失敗したデータタイプがある場合
+     * @private
+     */
+    async finishReport(report, { trigger, profile, host, startTime }) {
+        const duration = Date.now() - startTime;
+        await this.cleanupLog.add({
+            timestamp: startTime,
+            trigger,
+            profileName: profile?.[PROFILE_KEYS.NAME] ?? null,
+            host,
+            duration,
+            categories: report.categories,
+            excludedOriginCount: report.excludedOrigins.size,
+            errors: report.errors
+        });
+
+        const failed = Object.keys(report.errors);
+        if (failed.length > 0) {
+            Logger.error('データ削除中にエラーが発生しました:', report.errors);
+            throw new Error(`削除に失敗したデータがあります: ${failed.join(', ')}`);
+        }
+        Logger.info(`=== データ削除完了 (${duration}ms) ===`);
+    }
+
     /**
      * ホワイトリストを考慮せずブラウジングデータを一括削除
+     * @param {Object} profile - 使用するプロファイル
+     * @param {CleanupReport} report - 実行結果
      * @returns {Promise<void>}
      * @private
+     * @description サイトを指定できない（または個別のAPIでURLごとに削除する）データタイプが対象。
+     * 削除期間の開始時刻（since）が同じデータタイプをまとめて削除する。
+     * 「N時間より前のみ削除」のカテゴリは removeOlderData で個別に削除する
      */
-    async removeBulkData() {
-        const dataToRemove = {
-            appcache: true,
-            downloads: this.settings.removeDownloads,
-            formData: this.settings.removeFormData,
-            history: this.settings.removeHistory
-        };
+    async removeBulkData(profile, report) {
+        const useWhitelist = profile[PROFILE_KEYS.TARGET_MODE] === TARGET_MODES.WHITELIST;
 
-        return this.removeBrowsingData(
-            { since: 0 },
-            dataToRemove,
-            '一括削除データ',
-            this.getBulkDataTypesList(dataToRemove)
-        );
+        const now = Date.now();
+        const sinceGroups = new Map();
+        const tasks = [];
+
+        for (const definition of this.getEnabledDataTypes(profile, [SITE_FILTER_TYPES.URLS, SITE_FILTER_TYPES.NONE])) {
+            const dataType = definition.type;
+            const range = this.getRemovalRange(profile, definition.retention, now);
+
+            // 閲覧履歴を保持するホワイトリストがある場合は1件ずつ判定して削除
+            if (dataType === RETENTION_CATEGORIES.HISTORY && useWhitelist && this.settings.hasKeepHistoryEntries()) {
+                tasks.push(this.track(report, [dataType], this.removeHistoryByUrl(
+                    range,
+                    now,
+                    url => !this.settings.isUrlKeptByFlag(url, WHITELIST_KEYS.KEEP_HISTORY)
+                )));
+                continue;
+            }
+
+            if (range.before !== undefined) {
+                tasks.push(this.track(report, [dataType], this.removeOlderData(dataType, range.before)));
+                continue;
+            }
+
+            if (!sinceGroups.has(range.since)) {
+                sinceGroups.set(range.since, {});
+            }
+            sinceGroups.get(range.since)[dataType] = true;
+        }
+
+        for (const [since, dataTypes] of sinceGroups) {
+            const typesList = this.getBulkDataTypesList(dataTypes);
+            tasks.push(this.track(report, typesList, this.removeBrowsingData(
+                { since },
+                dataTypes,
+                '一括削除データ',
+                typesList
+            )));
+        }
+
+        await Promise.all(tasks);
+    }
+
+    /**
+     * カテゴリの削除期間設定から削除範囲を算出
+     * @param {Object} profile - 使用するプロファイル
+     * @param {string} category - データカテゴリ（RETENTION_CATEGORIES の値）
+     * @param {number} [now=Date.now()] - 基準時刻
+     * @returns {{since: number}|{before: number}} since: この時刻以降を削除 / before: この時刻より前を削除
+     * @private
+     */
+    getRemovalRange(profile, category, now = Date.now()) {
+        const { type, hours } = profile[PROFILE_KEYS.RETENTION][category] ?? DEFAULT_SETTINGS.RETENTION[category];
+        const boundary = now - hours * HOUR_IN_MS;
+
+        switch (type) {
+            case RETENTION_TYPES.RECENT:
+                return { since: boundary };
+            case RETENTION_TYPES.OLDER:
+                return { before: boundary };
+            default:
+                return { since: 0 };
+        }
+    }
+
+    /**
+     * 指定時刻より前のデータのみを削除
+     * @param {string} category - データカテゴリ（history または downloads）
+     * @param {number} before - この時刻（エポックミリ秒）より前のデータを削除
+     * @returns {Promise<void>}
+     * @private
+     * @description chrome.browsingData は since 以降のデータしか削除できないため、
+     * 履歴は chrome.history.deleteRange、ダウンロード履歴は chrome.downloads.erase を使用する
+     */
+    async removeOlderData(category, before) {
+        const beforeInfo = new Date(before).toLocaleString();
+
+        try {
+            if (category === RETENTION_CATEGORIES.HISTORY) {
+                await chrome.history.deleteRange({ startTime: 0, endTime: before });
+            } else if (category === RETENTION_CATEGORIES.DOWNLOADS) {
+                // 完了済みのダウンロードのみが対象（進行中のダウンロードは削除しない）
+                await chrome.downloads.erase({ endedBefore: new Date(before).toISOString() });
+            } else {
+                Logger.warn(`${category} は「より前のみ削除」に対応していません（スキップ）`);
+                return;
+            }
+            Logger.debug(`${category}の削除完了（${beforeInfo} より前）`);
+        } catch (error) {
+            Logger.error(`${category}削除エラー:`, error);
+            throw error;
+        }
     }
 
     /**
@@ -68,12 +278,9 @@ class DataCleaner {
      */
     getBulkDataTypesList(dataToRemove) {
         try {
-            const types = [];
-            if (dataToRemove.appcache) types.push('appcache');
-            if (dataToRemove.downloads) types.push('downloads');
-            if (dataToRemove.formData) types.push('formData');
-            if (dataToRemove.history) types.push('history');
-            return types;
+            return DATA_TYPES
+                .filter(definition => dataToRemove[definition.type])
+                .map(definition => definition.type);
         } catch (error) {
             Logger.error('データタイプリスト取得エラー:', error);
             return [];
@@ -81,59 +288,784 @@ class DataCleaner {
     }
 
     /**
-     * ホワイトリストを考慮してCookiesを削除
+     * URLごとに判定して閲覧履歴を削除
+     * @param {{since: number}|{before: number}} range - 削除範囲
+     * @param {number} now - 基準時刻
+     * @param {function(string): boolean} shouldDelete - 削除するURLの場合にtrueを返す関数
+     * @returns {Promise<void>}
+     * @private
+     * @description chrome.browsingData は履歴のサイト指定に対応していないため、
+     * chrome.history.search で取得した履歴のうち shouldDelete に一致するURLを削除する。
+     * chrome.history.deleteUrl はURLへのすべての訪問を削除するため、削除期間を指定した場合は
+     * 保持するURLの訪問を含まない時間帯ごとに chrome.history.deleteRange で範囲内の訪問のみを削除する
+     */
+    async removeHistoryByUrl(range, now, shouldDelete) {
+        const startTime = range.since ?? 0;
+        const endTime = range.before ?? now;
+        const isFullRange = startTime === 0 && range.before === undefined;
+        const targetUrls = [];
+        const keptUrls = [];
+
+        try {
+            await this.scanHistory(range, now, (item) => {
+                (shouldDelete(item.url) ? targetUrls : keptUrls).push(item.url);
+            });
+
+            if (targetUrls.length === 0) {
+                Logger.debug(`閲覧履歴の削除完了（削除: 0件, 保持: ${keptUrls.length}件）`);
+                return;
+            }
+
+            if (isFullRange) {
+                for (const url of targetUrls) {
+                    await chrome.history.deleteUrl({ url });
+                }
+            } else if (keptUrls.length === 0) {
+                await chrome.history.deleteRange({ startTime, endTime });
+            } else {
+                const ranges = await this.getDeletableHistoryRanges(targetUrls, keptUrls, startTime, endTime);
+                for (const deletableRange of ranges) {
+                    await chrome.history.deleteRange(deletableRange);
+                }
+            }
+
+            Logger.debug(`閲覧履歴の削除完了（削除: ${targetUrls.length}件, 保持: ${keptUrls.length}件）`);
+        } catch (error) {
+            Logger.error('閲覧履歴削除エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保持するURLの訪問を含まずに、削除するURLの訪問をすべて含む時間帯の一覧を取得
+     * @param {Array<string>} targetUrls - 削除するURL
+     * @param {Array<string>} keptUrls - 保持するURL
+     * @param {number} startTime - 削除範囲の開始時刻（エポックミリ秒）
+     * @param {number} endTime - 削除範囲の終了時刻（エポックミリ秒）
+     * @returns {Promise<Array<{startTime: number, endTime: number}>>} chrome.history.deleteRange に渡す時間帯
+     * @private
+     * @description 保持するURLの訪問の直前までを1つの時間帯とする（endTime の時刻は削除されない）。
+     * 保持するURLと同じ時刻の訪問は、保持するURLの訪問を残すため削除できない
+     */
+    async getDeletableHistoryRanges(targetUrls, keptUrls, startTime, endTime) {
+        const targetTimes = await this.getVisitTimes(targetUrls, startTime, endTime);
+        const keptTimes = await this.getVisitTimes(keptUrls, startTime, endTime);
+        const ranges = [];
+        let keptIndex = 0;
+        let unremovableCount = 0;
+
+        for (const time of targetTimes) {
+            while (keptIndex < keptTimes.length && keptTimes[keptIndex] < time) {
+                keptIndex++;
+            }
+            if (keptTimes[keptIndex] === time) {
+                unremovableCount++;
+                continue;
+            }
+
+            const rangeEnd = keptTimes[keptIndex] ?? endTime;
+            if (ranges.at(-1)?.endTime === rangeEnd) continue;
+            ranges.push({ startTime: time, endTime: rangeEnd });
+        }
+
+        if (unremovableCount > 0) {
+            Logger.warn(`保持する閲覧履歴と同じ時刻の訪問は削除できません（${unremovableCount}件）`);
+        }
+        return ranges;
+    }
+
+    /**
+     * URLへの訪問のうち削除範囲内の時刻を取得
+     * @param {Array<string>} urls - 対象のURL
+     * @param {number} startTime - 削除範囲の開始時刻（エポックミリ秒）
+     * @param {number} endTime - 削除範囲の終了時刻（エポックミリ秒）
+     * @returns {Promise<Array<number>>} 昇順の訪問時刻
+     * @private
+     */
+    async getVisitTimes(urls, startTime, endTime) {
+        const times = [];
+        for (const url of urls) {
+            const visits = await chrome.history.getVisits({ url });
+            visits.forEach(visit => {
+                if (visit.visitTime >= startTime && visit.visitTime < endTime) {
+                    times.push(visit.visitTime);
+                }
+            });
+        }
+        return times.sort((a, b) => a - b);
+    }
+
+    /**
+     * 削除範囲の閲覧履歴を新しい順に1件ずつ処理
+     * @param {{since: number}|{before: number}} range - 削除範囲
+     * @param {number} now - 基準時刻
+     * @param {function(chrome.history.HistoryItem): (Promise<void>|void)} visit - 履歴1件ごとの処理
      * @returns {Promise<void>}
      * @private
+     * @description chrome.history.search は一度に最大件数までしか返さないため、
+     * 取得済みの最も古い時刻より前を繰り返し検索する。境界で再取得した履歴は処理しない
      */
-    async removeCookies() {
-        if (!this.settings.removeCookies) {
-            Logger.debug('Cookieと他のサイトデータ削除はスキップします（設定で無効）');
+    async scanHistory(range, now, visit) {
+        const startTime = range.since ?? 0;
+        let endTime = range.before ?? now;
+        const visitedUrls = new Set();
+
+        while (true) {
+            const items = await chrome.history.search({
+                text: '',
+                startTime,
+                endTime,
+                maxResults: HISTORY_BATCH_SIZE
+            });
+            if (items.length === 0) break;
+
+            for (const item of items) {
+                if (visitedUrls.has(item.url)) continue;
+                visitedUrls.add(item.url);
+                await visit(item);
+            }
+
+            if (items.length < HISTORY_BATCH_SIZE) break;
+
+            // 残した履歴が次回の検索にも含まれないよう、取得済みの最も古い時刻より前を検索する
+            const oldest = Math.min(...items.map(item => item.lastVisitTime));
+            if (oldest >= endTime) break;
+            endTime = oldest;
+        }
+    }
+
+    /**
+     * ホワイトリストを考慮してCookie・サイトデータ・キャッシュを削除
+     * @param {Object} profile - 使用するプロファイル
+     * @param {CleanupReport} report - 実行結果
+     * @returns {Promise<void>}
+     * @private
+     * @description ホワイトリストで保持するオリジンはデータタイプごとに異なるため、
+     * データタイプごとに除外するオリジンを指定して削除する
+     */
+    async removeSiteData(profile, report) {
+        const removals = this.getSiteDataRemovals(profile, Date.now());
+        if (removals.length === 0) {
+            Logger.debug('Cookie・サイトデータ・キャッシュの削除はスキップします（設定で無効）');
             return;
         }
 
-        const excludeOrigins = this.settings.getOriginsByFlag(WHITELIST_KEYS.KEEP_COOKIES);
-        const dataTypes = {
-            cookies: true,
-            cacheStorage: true,
-            fileSystems: true,
-            indexedDB: true,
-            localStorage: true,
-            serviceWorkers: true,
-            webSQL: true
+        const excludeOriginsByType = await this.getExcludeOriginsByType(profile, removals.map(({ type }) => type));
+        const shouldDeleteCookie = profile[PROFILE_KEYS.TARGET_MODE] === TARGET_MODES.WHITELIST
+            ? this.createCookieNameRuleFilter()
+            : null;
+
+        await Promise.all(removals.map(({ type, since }) => {
+            const excludeOrigins = excludeOriginsByType.get(type);
+            excludeOrigins.forEach(origin => report.excludedOrigins.add(origin));
+
+            const tasks = [this.removeBrowsingData(
+                { since, excludeOrigins },
+                { [type]: true },
+                'サイトデータ',
+                [type],
+                excludeOrigins.length
+            )];
+            // Cookieの名前を指定したサイトは excludeOrigins で除外しているため、指定した名前以外を個別に削除する
+            if (type === RETENTION_CATEGORIES.COOKIES && shouldDeleteCookie) {
+                tasks.push(this.removeCookiesByRule(shouldDeleteCookie, since));
+            }
+            return this.track(report, [type], Promise.all(tasks));
+        }));
+    }
+
+    /**
+     * Cookieの名前を指定したホワイトリストエントリにより削除するCookieの判定関数を作成
+     * @returns {function(chrome.cookies.Cookie): boolean|null} Cookieの名前を指定したエントリがない場合はnull
+     * @private
+     * @description エントリのサイトのCookieのうち、指定した名前に一致しないものを削除対象とする。
+     * Cookieをすべて保持する別のエントリにも一致するCookieは削除しない
+     */
+    createCookieNameRuleFilter() {
+        const ruleEntries = this.settings.getCookieNameRuleEntries();
+        if (ruleEntries.length === 0) {
+            return null;
+        }
+        const keepEntries = this.settings.getActiveWhitelist()
+            .filter(entry => isDataTypeKeptByEntry(entry, RETENTION_CATEGORIES.COOKIES));
+
+        return cookie => {
+            const entry = ruleEntries.find(item => this.isCookieCoveredByEntry(cookie, item));
+            return !!entry
+                && !isCookieNameKept(entry, cookie.name)
+                && !keepEntries.some(item => this.isCookieCoveredByEntry(cookie, item));
         };
+    }
+
+    /**
+     * Cookieがホワイトリストエントリのサイトのものか判定
+     * @param {chrome.cookies.Cookie} cookie - 判定するCookie
+     * @param {Object} entry - ホワイトリストエントリ
+     * @returns {boolean}
+     * @private
+     * @description Cookieはスキーム・ポート番号で区別されないため、エントリのホスト名のみで判定する
+     */
+    isCookieCoveredByEntry(cookie, entry) {
+        const entryHost = splitHostPort(entry[WHITELIST_KEYS.DOMAIN]).hostname;
+        const cookieHost = cookie.domain.replace(/^\./, '');
+        return isHostMatchingDomain(cookieHost, entryHost, entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1)
+            || this.isCookieSentToHost(cookie, entryHost);
+    }
+
+    /**
+     * Cookieがホストに送信されるものか判定
+     * @param {chrome.cookies.Cookie} cookie - 判定するCookie
+     * @param {string} hostname - ホスト名（ポート番号を含まない）
+     * @returns {boolean} Domain 属性付きのCookieは、親ドメインのCookieも一致する
+     * @private
+     */
+    isCookieSentToHost(cookie, hostname) {
+        const cookieHost = cookie.domain.replace(/^\./, '');
+        return hostname === cookieHost || (!cookie.hostOnly && hostname.endsWith(`.${cookieHost}`));
+    }
+
+    /**
+     * サイトのCookieのうち、ホワイトリストエントリで指定した名前以外を削除
+     * @param {string} host - 対象サイトのホスト名
+     * @param {Object} entry - Cookieの名前を指定したホワイトリストエントリ
+     * @param {Object} [options={}]
+     * @param {number} [options.since=0] - 削除期間の開始時刻
+     * @param {boolean} [options.hostOnly=false] - ホストに保存されたCookieのみを対象にするか（親ドメインのCookieを含めない）
+     * @returns {Promise<boolean>} 削除を行わなかった場合は false
+     * @private
+     */
+    removeSiteCookiesByRule(host, entry, { since = 0, hostOnly = false } = {}) {
+        const { hostname } = splitHostPort(host);
+        return this.removeCookiesByRule(cookie =>
+            (hostOnly ? this.isCookieStoredForHost(cookie, hostname) : this.isCookieSentToHost(cookie, hostname))
+                && !isCookieNameKept(entry, cookie.name),
+            since
+        );
+    }
+
+    /**
+     * ホストに保存されたCookieのみを削除
+     * @param {string} host - 対象のホスト名
+     * @param {number} [since=0] - 削除期間の開始時刻
+     * @returns {Promise<boolean>} 削除を行わなかった場合は false
+     * @private
+     * @description 同じサイトの別のホストで使用される親ドメインのCookieは削除しない
+     */
+    removeHostCookies(host, since = 0) {
+        const { hostname } = splitHostPort(host);
+        return this.removeCookiesByRule(cookie => this.isCookieStoredForHost(cookie, hostname), since);
+    }
+
+    /**
+     * Cookieがホストに保存されたものか判定
+     * @param {chrome.cookies.Cookie} cookie - 判定するCookie
+     * @param {string} hostname - ホスト名（ポート番号を含まない）
+     * @returns {boolean} 親ドメインのCookieは一致しない
+     * @private
+     */
+    isCookieStoredForHost(cookie, hostname) {
+        return cookie.domain.replace(/^\./, '') === hostname;
+    }
 
-        return this.removeBrowsingData(
-            { since: 0, excludeOrigins },
-            dataTypes,
-            'Cookies/サイトデータ',
-            Object.keys(dataTypes),
-            excludeOrigins.length
+    /**
+     * 判定関数に一致するCookieを chrome.cookies で1件ずつ削除
+     * @param {function(chrome.cookies.Cookie): boolean} shouldDelete - 削除するCookieの場合にtrueを返す関数
+     * @param {number} [since=0] - 削除期間の開始時刻
+     * @returns {Promise<boolean>} 削除を行わなかった場合は false
+     * @private
+     * @description chrome.cookies からはCookieの作成日時を取得できないため、削除期間を指定した場合は
+     * 期間外のCookieを削除しないよう個別の削除を行わない
+     */
+    async removeCookiesByRule(shouldDelete, since = 0) {
+        if (since > 0) {
+            Logger.info('削除期間を指定した場合はCookieの個別削除を行いません（作成日時を判定できないため）');
+            return false;
+        }
+
+        let deletedCount = 0;
+
+        try {
+            const cookies = await chrome.cookies.getAll({});
+            for (const cookie of cookies) {
+                if (!shouldDelete(cookie)) continue;
+
+                const host = cookie.domain.replace(/^\./, '');
+                await chrome.cookies.remove({
+                    url: `${cookie.secure ? 'https' : 'http'}://${host}${cookie.path}`,
+                    name: cookie.name,
+                    storeId: cookie.storeId,
+                    ...(cookie.partitionKey ? { partitionKey: cookie.partitionKey } : {})
+                });
+                deletedCount++;
+            }
+            Logger.debug(`Cookieの個別削除完了（削除: ${deletedCount}件）`);
+            return true;
+        } catch (error) {
+            Logger.error('Cookieの個別削除エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * プロファイルで削除するデータの種類を取得
+     * @param {Object} profile - 使用するプロファイル
+     * @param {Array<string>} siteFilters - 対象とするサイトの指定方法（SITE_FILTER_TYPES の値）
+     * @returns {Array<import('./constants.js').DataTypeDefinition>}
+     * @private
+     */
+    getEnabledDataTypes(profile, siteFilters) {
+        return DATA_TYPES.filter(definition =>
+            profile[definition.profileKey] && siteFilters.includes(definition.siteFilter)
         );
     }
 
     /**
-     * ホワイトリストを考慮してキャッシュを削除
+     * サイトを指定して削除できるデータタイプと削除範囲を取得
+     * @param {Object|null} profile - 使用するプロファイル（null の場合はすべてのデータタイプを全期間削除）
+     * @param {number} now - 基準時刻
+     * @returns {Array<SiteDataRemoval>}
+     * @private
+     */
+    getSiteDataRemovals(profile, now) {
+        if (!profile) {
+            return DATA_TYPES
+                .filter(definition => definition.siteFilter === SITE_FILTER_TYPES.ORIGINS)
+                .map(definition => ({ type: definition.type, since: 0 }));
+        }
+
+        const removals = [];
+        for (const definition of this.getEnabledDataTypes(profile, [SITE_FILTER_TYPES.ORIGINS])) {
+            const range = this.getRemovalRange(profile, definition.retention, now);
+            if (range.before !== undefined) {
+                Logger.warn(`${definition.type} は「より前のみ削除」に対応していません（スキップ）`);
+                continue;
+            }
+            removals.push({ type: definition.type, since: range.since });
+        }
+        return removals;
+    }
+
+    /**
+     * データタイプごとにホワイトリストから除外するオリジンリストを生成
+     * @param {Object} profile - 使用するプロファイル
+     * @param {Array<string>} dataTypes - データタイプ
+     * @returns {Promise<Map<string, Array<string>>>} データタイプ→オリジンの配列
+     * @private
+     * @description サブドメインを含むエントリがある場合のみ、既知のホスト名を1回だけ収集して展開する。
+     * ホワイトリストを使用しないプロファイルの場合はすべて空配列を返す
+     */
+    async getExcludeOriginsByType(profile, dataTypes) {
+        if (profile[PROFILE_KEYS.TARGET_MODE] !== TARGET_MODES.WHITELIST) {
+            return new Map(dataTypes.map(type => [type, []]));
+        }
+
+        const knownHosts = dataTypes.some(type => this.settings.hasSubdomainEntries(type))
+            ? await this.collectKnownHosts()
+            : [];
+        return new Map(dataTypes.map(type => [type, this.settings.getOriginsByDataType(type, knownHosts)]));
+    }
+
+    /**
+     * ブラウザに実際にデータが存在するホスト名を収集
+     * @returns {Promise<Array<string>>}
+     * @private
+     * @description Cookieのドメインと開いているタブのホスト名を対象とする
+     * （localStorage などのオリジン一覧は拡張機能APIから取得できないため）
+     */
+    async collectKnownHosts() {
+        const hosts = new Set();
+
+        try {
+            const cookies = await chrome.cookies.getAll({});
+            cookies.forEach(cookie => hosts.add(cookie.domain.replace(/^\./, '')));
+        } catch (error) {
+            Logger.error('Cookie一覧の取得エラー:', error);
+        }
+
+        try {
+            const tabs = await chrome.tabs.query({});
+            tabs.forEach(tab => {
+                const host = tab.url ? getHostFromUrl(tab.url) : null;
+                if (host) hosts.add(host);
+            });
+        } catch (error) {
+            Logger.error('タブ一覧の取得エラー:', error);
+        }
+
+        Logger.debug(`既知のホスト名を${hosts.size}件収集しました`);
+        return [...hosts];
+    }
+
+    /**
+     * ブロックリストのサイトのデータのみを削除
+     * @param {Object} profile - 使用するプロファイル
+     * @param {CleanupReport} report - 実行結果
      * @returns {Promise<void>}
      * @private
+     * @description Cookie・サイトデータ・キャッシュは origins でサイトを指定して削除し、
+     * 閲覧履歴・ダウンロード履歴はURLを1件ずつ判定して削除する。
+     * フォームデータ・パスワードなどサイトを指定して削除できないデータタイプは対象外とする
      */
-    async removeCacheAndStorage() {
-        if (!this.settings.removeCacheAndStorage) {
-            Logger.debug('キャッシュ削除はスキップします（設定で無効）');
+    async removeBlocklistedData(profile, report) {
+        if (this.settings.blocklist.length === 0) {
+            Logger.info('ブロックリストが空のため削除するデータはありません');
             return;
         }
 
-        const excludeOrigins = this.settings.getOriginsByFlag(WHITELIST_KEYS.KEEP_CACHE);
-        const dataTypes = {
-            cache: true
+        const knownHosts = this.settings.hasBlocklistSubdomainEntries()
+            ? await this.collectKnownHosts()
+            : [];
+        const origins = this.settings.getBlocklistOrigins(knownHosts);
+        const isBlocklisted = url => this.settings.isUrlBlocklisted(url);
+        const now = Date.now();
+        const tasks = [];
+
+        for (const { type, since } of this.getSiteDataRemovals(profile, now)) {
+            tasks.push(this.track(report, [type], this.removeBrowsingData(
+                { since, origins },
+                { [type]: true },
+                'ブロックリストのサイトデータ',
+                [type]
+            )));
+        }
+
+        for (const definition of this.getEnabledDataTypes(profile, [SITE_FILTER_TYPES.URLS])) {
+            const range = this.getRemovalRange(profile, definition.retention, now);
+            const task = definition.type === RETENTION_CATEGORIES.HISTORY
+                ? this.removeHistoryByUrl(range, now, isBlocklisted)
+                : this.removeDownloadsByUrl(range, isBlocklisted);
+            tasks.push(this.track(report, [definition.type], task));
+        }
+
+        const skippedTypes = this.getEnabledDataTypes(profile, [SITE_FILTER_TYPES.NONE]).map(definition => definition.type);
+        if (skippedTypes.length > 0) {
+            Logger.debug('サイトを指定して削除できないためスキップします（ブロックリストモード）:', skippedTypes.join(', '));
+        }
+
+        await Promise.all(tasks);
+    }
+
+    /**
+     * URLごとに判定してダウンロード履歴を削除
+     * @param {{since: number}|{before: number}} range - 削除範囲
+     * @param {function(string): boolean} shouldDelete - 削除するURLの場合にtrueを返す関数
+     * @returns {Promise<void>}
+     * @private
+     * @description ダウンロードしたファイル自体は削除しない。進行中のダウンロードは対象外
+     */
+    async removeDownloadsByUrl(range, shouldDelete) {
+        let deletedCount = 0;
+
+        try {
+            const items = await chrome.downloads.search(this.getDownloadQuery(range));
+            for (const item of items) {
+                if (item.state === 'in_progress') continue;
+                if (!shouldDelete(item.finalUrl || item.url)) continue;
+
+                await chrome.downloads.erase({ id: item.id });
+                deletedCount++;
+            }
+            Logger.debug(`ダウンロード履歴の削除完了（削除: ${deletedCount}件）`);
+        } catch (error) {
+            Logger.error('ダウンロード履歴削除エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * プロファイルで削除を実行した場合に削除されるデータを集計（削除は行わない）
+     * @param {Object} profile - 使用するプロファイル
+     * @returns {Promise<Object>} 集計結果
+     * - cookies: Cookieの件数・ドメイン数（削除しない場合はnull。approximate は期間指定で件数が目安の場合true）
+     * - history / downloads: 履歴の件数（削除しない場合はnull）
+     * - otherTypes: 件数を集計せずに削除するデータタイプ（件数は取得できない）
+     * - keptHosts: ホワイトリストによりCookieまたはキャッシュを保持するホスト名
+     * - targetHosts: ブロックリストモードで削除対象となるホスト名
+     * @description 削除処理と同じホワイトリスト・ブロックリストの判定を使用する。
+     * chrome.browsingData は Cookie を登録可能ドメイン単位で削除・除外するため、Cookie も同じ単位で判定する
+     */
+    async preview(profile) {
+        const targetMode = profile[PROFILE_KEYS.TARGET_MODE];
+        const now = Date.now();
+        const result = {
+            profileName: profile[PROFILE_KEYS.NAME],
+            targetMode,
+            cookies: null,
+            history: null,
+            downloads: null,
+            otherTypes: DATA_TYPES
+                .filter(definition => profile[definition.profileKey] && !PREVIEW_COUNTED_TYPES.includes(definition.type))
+                .filter(definition => targetMode !== TARGET_MODES.BLOCKLIST || definition.siteFilter !== SITE_FILTER_TYPES.NONE)
+                .filter(definition => this.getRemovalRange(profile, definition.retention, now).before === undefined)
+                .map(definition => definition.type),
+            keptHosts: [],
+            targetHosts: []
         };
 
-        return this.removeBrowsingData(
-            { since: 0, excludeOrigins },
-            dataTypes,
-            'キャッシュ',
-            Object.keys(dataTypes),
-            excludeOrigins.length
-        );
+        let shouldDeleteUrl = () => true;
+        let isSiteTargeted = () => true;
+        let isCookieTargeted = () => false;
+
+        if (targetMode === TARGET_MODES.WHITELIST) {
+            const siteDataTypes = DATA_TYPES
+                .filter(definition => definition.siteFilter === SITE_FILTER_TYPES.ORIGINS)
+                .map(definition => definition.type);
+            const excludeOriginsByType = await this.getExcludeOriginsByType(profile, siteDataTypes);
+            result.keptHosts = this.getHostsFromOrigins([...excludeOriginsByType.values()].flat());
+
+            const cookieSites = this.getSitesFromOrigins(excludeOriginsByType.get('cookies'));
+            isSiteTargeted = site => !cookieSites.has(site);
+            isCookieTargeted = this.createCookieNameRuleFilter() ?? isCookieTargeted;
+            if (this.settings.hasKeepHistoryEntries()) {
+                shouldDeleteUrl = url => !this.settings.isUrlKeptByFlag(url, WHITELIST_KEYS.KEEP_HISTORY);
+            }
+        } else if (targetMode === TARGET_MODES.BLOCKLIST) {
+            const knownHosts = this.settings.hasBlocklistSubdomainEntries()
+                ? await this.collectKnownHosts()
+                : [];
+            const targetOrigins = this.settings.getBlocklistOrigins(knownHosts);
+            result.targetHosts = this.getHostsFromOrigins(targetOrigins);
+
+            const cookieSites = this.getSitesFromOrigins(targetOrigins);
+            isSiteTargeted = site => cookieSites.has(site);
+            shouldDeleteUrl = url => this.settings.isUrlBlocklisted(url);
+        }
+
+        if (profile[PROFILE_KEYS.REMOVE_COOKIES]) {
+            const range = this.getRemovalRange(profile, RETENTION_CATEGORIES.COOKIES, now);
+            if (range.before === undefined) {
+                // 削除期間を指定した場合はCookieの名前による個別削除を行わない（removeCookiesByRule）
+                result.cookies = await this.previewCookies(isSiteTargeted, range.since > 0 ? () => false : isCookieTargeted);
+                result.cookies.approximate = range.since > 0;
+            }
+        }
+
+        if (profile[PROFILE_KEYS.REMOVE_HISTORY]) {
+            const range = this.getRemovalRange(profile, RETENTION_CATEGORIES.HISTORY, now);
+            let count = 0;
+            await this.scanHistory(range, now, item => {
+                if (shouldDeleteUrl(item.url)) count++;
+            });
+            result.history = { count };
+        }
+
+        if (profile[PROFILE_KEYS.REMOVE_DOWNLOADS]) {
+            const range = this.getRemovalRange(profile, RETENTION_CATEGORIES.DOWNLOADS, now);
+            const items = await chrome.downloads.search(this.getDownloadQuery(range));
+            const count = items.filter(item =>
+                item.state !== 'in_progress' && shouldDeleteUrl(item.finalUrl || item.url)
+            ).length;
+            result.downloads = { count };
+        }
+
+        Logger.debug('削除内容のプレビュー:', result);
+        return result;
+    }
+
+    /**
+     * 削除対象となるCookieを集計
+     * @param {function(string): boolean} isSiteTargeted - 登録可能ドメインが削除対象の場合にtrueを返す関数
+     * @param {function(chrome.cookies.Cookie): boolean} isCookieTargeted - サイトが削除対象でなくても
+     * 個別に削除するCookieの場合にtrueを返す関数（Cookieの名前の指定）
+     * @returns {Promise<{count: number, domainCount: number, keptCount: number}>}
+     * @private
+     */
+    async previewCookies(isSiteTargeted, isCookieTargeted) {
+        const cookies = await chrome.cookies.getAll({});
+        const domains = new Set();
+        let count = 0;
+
+        for (const cookie of cookies) {
+            const host = cookie.domain.replace(/^\./, '');
+            if (!isSiteTargeted(getRegistrableDomain(host) ?? host) && !isCookieTargeted(cookie)) continue;
+            count++;
+            domains.add(host);
+        }
+
+        return { count, domainCount: domains.size, keptCount: cookies.length - count };
+    }
+
+    /**
+     * オリジンの配列からホスト名の一覧を取得
+     * @param {Array<string>} origins - オリジンの配列
+     * @returns {Array<string>} 重複を除いて並べ替えたホスト名
+     * @private
+     */
+    getHostsFromOrigins(origins) {
+        return [...new Set(origins.map(origin => new URL(origin).host))].sort();
+    }
+
+    /**
+     * オリジンの配列から登録可能ドメインの集合を取得
+     * @param {Array<string>} origins - オリジンの配列
+     * @returns {Set<string>} 登録可能ドメイン（求められない場合はホスト名）
+     * @private
+     */
+    getSitesFromOrigins(origins) {
+        return new Set(origins.map(origin => {
+            const hostname = new URL(origin).hostname;
+            return getRegistrableDomain(hostname) ?? hostname;
+        }));
+    }
+
+    /**
+     * 削除範囲からダウンロード履歴の検索条件を作成
+     * @param {{since: number}|{before: number}} range - 削除範囲
+     * @returns {chrome.downloads.DownloadQuery}
+     * @private
+     */
+    getDownloadQuery(range) {
+        return range.before !== undefined
+            ? { endedBefore: new Date(range.before).toISOString() }
+            : { startedAfter: new Date(range.since).toISOString() };
+    }
+
+    /**
+     * 指定したサイトのCookie・サイトデータ・キャッシュのみを削除
+     * @param {string} host - 対象サイトのホスト名
+     * @param {Object} profile - 使用するプロファイル
+     * @param {string} [trigger=CLEAN_TRIGGERS.SITE_CLOSE] - 削除のきっかけ（削除履歴に記録）
+     * @param {Object} [options={}]
+     * @param {boolean} [options.siteOpen=false] - 同じサイト（登録可能ドメイン）の別のホストのタブが開いているか
+     * @returns {Promise<void>}
+     * @description プロファイルの削除対象と削除期間に従い、ホワイトリストの
+     * 保持に設定されているデータタイプは削除しない。
+     * ブロックリストモードではブロックリストに含まれるサイトのみが対象。
+     * origins を指定したCookieの削除は登録可能ドメイン全体が対象になるため、同じサイトのタブが開いている場合や
+     * 同じサイトの別のホストでCookieを保持するエントリがある場合は、ホストのCookieのみを chrome.cookies で削除する。
+     * chrome.cookies による削除は削除期間を判定できないため、削除期間を指定した場合は行わない
+     */
+    async clearSite(host, profile, trigger = CLEAN_TRIGGERS.SITE_CLOSE, { siteOpen = false } = {}) {
+        const targetMode = profile[PROFILE_KEYS.TARGET_MODE];
+        if (targetMode === TARGET_MODES.BLOCKLIST && !this.settings.isHostBlocklisted(host)) {
+            Logger.debug(`${host} はブロックリストに含まれていません（スキップ）`);
+            return;
+        }
+
+        Logger.info(`=== サイトデータ削除開始: ${host} ===`);
+        const startTime = Date.now();
+        const report = this.createReport();
+
+        // ホワイトリストモード以外ではホワイトリストの保持設定は使用しない
+        const entry = targetMode === TARGET_MODES.WHITELIST ? this.settings.findWhitelistEntry(host) : null;
+        const siteCookiesKept = targetMode === TARGET_MODES.WHITELIST && this.settings.hasSiteCookieEntries(host);
+        const origins = [`https://${host}`, `http://${host}`];
+        const tasks = [];
+
+        for (const { type, since } of this.getSiteDataRemovals(profile, startTime)) {
+            if (type === RETENTION_CATEGORIES.COOKIES && entry && hasCookieNameRules(entry)) {
+                tasks.push(this.track(report, [type], this.removeSiteCookiesByRule(host, entry, { since, hostOnly: siteOpen })));
+                continue;
+            }
+            const targetOrigins = this.getUnkeptOrigins(origins, entry, type);
+            if (targetOrigins.length === 0) {
+                Logger.debug(`${host} はホワイトリストで保持に設定されています（スキップ）:`, type);
+                continue;
+            }
+            if (type === RETENTION_CATEGORIES.COOKIES && (siteOpen || siteCookiesKept)) {
+                Logger.debug(`${host} と同じサイトのタブまたは保持するCookieがあるため、ホストのCookieのみを削除します`);
+                tasks.push(this.track(report, [type], this.removeHostCookies(host, since)));
+                continue;
+            }
+            tasks.push(this.track(report, [type], this.removeBrowsingData(
+                { since, origins: targetOrigins },
+                { [type]: true },
+                `${host} のサイトデータ`,
+                [type]
+            )));
+        }
+
+        await Promise.all(tasks);
+        await this.finishReport(report, { trigger, profile, host, startTime });
+    }
+
+    /**
+     * 表示中のサイトのCookie・サイトデータ・キャッシュを今すぐ削除
+     * @param {string} host - 対象サイトのホスト名
+     * @param {Object} [options={}]
+     * @param {boolean} [options.includeHistory=false] - サイトの閲覧履歴も削除するか
+     * @returns {Promise<Array<string>>} ホワイトリストの設定により削除しなかったデータタイプ（一部のスキームや一部のCookieのみ保持した場合を含む）
+     * @throws {Error} いずれかのデータタイプの削除に失敗した場合（他のデータタイプの削除は継続する）
+     * @description ポップアップ・ショートカット・コンテキストメニューからの手動削除に使用する。
+     * プロファイルの削除対象・削除期間は使用せず全期間を削除するが、
+     * ホワイトリストで保持に設定したデータは削除対象のモードによらず削除しない
+     */
+    async clearSiteNow(host, { includeHistory = false } = {}) {
+        Logger.info(`=== サイトデータ削除開始（手動）: ${host} ===`);
+        const startTime = Date.now();
+        const report = this.createReport();
+
+        const entry = this.settings.findWhitelistEntry(host);
+        const origins = [`https://${host}`, `http://${host}`];
+        const kept = [];
+        const tasks = [];
+
+        for (const { type } of this.getSiteDataRemovals(null, startTime)) {
+            if (type === RETENTION_CATEGORIES.COOKIES && entry && hasCookieNameRules(entry)) {
+                Logger.debug(`${host} はホワイトリストで指定した名前のCookieを保持します`);
+                kept.push(type);
+                tasks.push(this.track(report, [type], this.removeSiteCookiesByRule(host, entry)));
+                continue;
+            }
+            const targetOrigins = this.getUnkeptOrigins(origins, entry, type);
+            if (targetOrigins.length < origins.length) {
+                Logger.debug(`${host} はホワイトリストで保持に設定されています:`, type, targetOrigins);
+                kept.push(type);
+            }
+            if (targetOrigins.length === 0) {
+                continue;
+            }
+            if (type === RETENTION_CATEGORIES.COOKIES && this.settings.hasSiteCookieEntries(host)) {
+                Logger.debug(`${host} と同じサイトの別のホストのCookieを保持するため、ホストのCookieのみを削除します`);
+                kept.push(type);
+                tasks.push(this.track(report, [type], this.removeHostCookies(host)));
+                continue;
+            }
+            tasks.push(this.track(report, [type], this.removeBrowsingData(
+                { origins: targetOrigins },
+                { [type]: true },
+                `${host} のサイトデータ`,
+                [type]
+            )));
+        }
+
+        if (includeHistory) {
+            if (entry?.[WHITELIST_KEYS.KEEP_HISTORY] === 1) {
+                Logger.debug(`${host} は閲覧履歴保持のホワイトリストに含まれています（スキップ）`);
+                kept.push(RETENTION_CATEGORIES.HISTORY);
+            } else {
+                tasks.push(this.track(report, [RETENTION_CATEGORIES.HISTORY], this.removeHistoryByUrl(
+                    { since: 0 },
+                    startTime,
+                    url => getHostFromUrl(url) === host
+                )));
+            }
+        }
+
+        await Promise.all(tasks);
+        await this.finishReport(report, { trigger: CLEAN_TRIGGERS.MANUAL, profile: null, host, startTime });
+        return kept;
+    }
+
+    /**
+     * サイトのオリジンのうち、ホワイトリストエントリでデータタイプを保持していないものを取得
+     * @param {Array<string>} origins - サイトのオリジン
+     * @param {Object|null} entry - サイトに一致するホワイトリストエントリ
+     * @param {string} dataType - データタイプ（DATA_TYPES の type）
+     * @returns {Array<string>} 削除対象のオリジン
+     * @private
+     * @description オリジンとして指定したエントリは、指定したスキームのオリジンのみを保持する。
+     * Cookieはいずれかのオリジンで保持する場合、サイト全体で保持する
+     */
+    getUnkeptOrigins(origins, entry, dataType) {
+        if (!entry || !isDataTypeKeptByEntry(entry, dataType)) {
+            return origins;
+        }
+        const unkept = origins.filter(origin => !isUrlCoveredByEntry(origin, entry));
+        if (HOST_SCOPED_DATA_TYPES.includes(dataType) && unkept.length < origins.length) {
+            return [];
+        }
+        return unkept;
     }
 
     /**
@@ -4,19 +4,89 @@
  */
 
 import { Logger } from './logger.js';
+import {
+    DEFAULT_SETTINGS,
+    STORAGE_KEYS,
+    ALARM_NAMES,
+    IDLE_REARM_MS,
+    CLEAN_TRIGGERS,
+    PROFILE_KEYS,
+    COMMAND_NAMES,
+    COMMAND_BADGE_DURATION_MS,
+    CONTEXT_MENU_IDS,
+    WHITELIST_DURATIONS
+} from './constants.js';
 import { SettingsManager } from './settingsManager.js';
 import { DataCleaner } from './dataCleaner.js';
+import { Scheduler } from './scheduler.js';
+import { TabTracker } from './tabTracker.js';
+import { CleanupLog } from './cleanupLog.js';
+import { SettingsSync } from './settingsSync.js';
+import { WhitelistService } from './whitelistService.js';
+import { ContextMenu } from './contextMenu.js';
+import { CleanJournal } from './cleanJournal.js';
+import {
+    isValidIdleMinutes,
+    isValidSiteCloseDelay,
+    getHostFromUrl
+} from './utils.js';
+
+/**
+ * 変更時に定期実行アラームの再登録が必要なストレージキー
+ * @const {Array<string>}
+ */
+const SCHEDULE_STORAGE_KEYS = [
+    STORAGE_KEYS.SCHEDULE_MODE,
+    STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS,
+    STORAGE_KEYS.SCHEDULE_DAILY_TIME
+];
+
+/**
+ * 変更時にアイドル検出間隔の再設定が必要なストレージキー
+ * @const {Array<string>}
+ */
+const IDLE_STORAGE_KEYS = [
+    STORAGE_KEYS.RUN_ON_IDLE,
+    STORAGE_KEYS.IDLE_MINUTES
+];
+
+/**
+ * アイドル・ロック時削除の状態を保存するセッションストレージのキー
+ * @const {string}
+ */
+const IDLE_STATE_SESSION_KEY = 'idleCleanState';
 
 class EventHandler {
     /**
      * @param {SettingsManager} settingsManager
      * @param {DataCleaner} dataCleaner
+     * @param {Scheduler} scheduler
+     * @param {TabTracker} tabTracker
+     * @param {CleanupLog} cleanupLog
+     * @param {SettingsSync} settingsSync
+     * @param {WhitelistService} whitelistService
+     * @param {ContextMenu} contextMenu
+     * @param {CleanJournal} cleanJournal
      */
-    constructor(settingsManager, dataCleaner) {
+    constructor(settingsManager, dataCleaner, scheduler, tabTracker, cleanupLog, settingsSync, whitelistService, contextMenu, cleanJournal) {
         /** @type {SettingsManager} */
         this.settings = settingsManager;
         /** @type {DataCleaner} */
         this.cleaner = dataCleaner;
+        /** @type {Scheduler} */
+        this.scheduler = scheduler;
+        /** @type {TabTracker} */
+        this.tabTracker = tabTracker;
+        /** @type {CleanupLog} */
+        this.cleanupLog = cleanupLog;
+        /** @type {SettingsSync} */
+        this.settingsSync = settingsSync;
+        /** @type {WhitelistService} */
+        this.whitelistService = whitelistService;
+        /** @type {ContextMenu} */
+        this.contextMenu = contextMenu;
+        /** @type {CleanJournal} */
+        this.cleanJournal = cleanJournal;
     }
 
     /**
@@ -25,9 +95,15 @@ class EventHandler {
      */
     async handleStartupIfNeeded() {
         try {
+            // ブラウザを再起動するまで有効なホワイトリストのエントリは、起動時の削除より前に期限切れにする
+            await this.whitelistService.expireOnRestart();
+
             // 起動時は service worker のタイミングにより設定が未ロードの場合があるため先に読み込む
             await this.settings.load();
 
+            // 前回のブラウザ終了時の削除が完了していない場合は、起動時実行の設定によらずやり直す
+            const recovered = await this.recoverCloseCleanIfNeeded();
+
             // セッションストレージから起動時削除の実行状態を確認
             const result = await chrome.storage.session.get('startupCleanExecuted');
             
@@ -36,9 +112,16 @@ class EventHandler {
                 return;
             }
 
+            // やり直した削除の直後に同じ起動で再度すべてのデータを削除しない
+            if (recovered) {
+                await chrome.storage.session.set({ startupCleanExecuted: true });
+                Logger.info('ブラウザ終了時の削除をやり直したため、起動時削除はスキップします');
+                return;
+            }
+
             if (this.settings.runOnStartup) {
                 Logger.info('起動時データ削除を実行します');
-                await this.cleaner.clearAll();
+                await this.cleanForTrigger(CLEAN_TRIGGERS.STARTUP);
                 
                 // 実行済みフラグをセッションストレージに保存
                 await chrome.storage.session.set({ startupCleanExecuted: true });
@@ -51,6 +134,35 @@ class EventHandler {
         }
     }
 
+    /**
+     * 完了していないブラウザ終了時の削除をやり直す
+     * @returns {Promise<boolean>} 削除をやり直して完了した場合true
+     * @private
+     * @description 終了時に使用したプロファイルで削除し、やり直したことをポップアップで通知するために記録する。
+     * やり直しにも失敗した場合は失敗した回数とエラーを記録し、上限回数に達するまで次回起動時に再度やり直す
+     */
+    async recoverCloseCleanIfNeeded() {
+        try {
+            const pending = await this.cleanJournal.getPending();
+            if (!pending) {
+                return false;
+            }
+
+            Logger.info('前回のブラウザ終了時の削除が完了していないため、削除をやり直します:', new Date(pending.startedAt));
+            await this.cleaner.clearAll(this.settings.getProfile(pending.profileId), CLEAN_TRIGGERS.CLOSE);
+            await this.cleanJournal.markRecovered();
+            return true;
+        } catch (error) {
+            Logger.error('ブラウザ終了時の削除のやり直しでエラー:', error);
+            try {
+                await this.cleanJournal.recordRecoveryFailure(error);
+            } catch (recordError) {
+                Logger.error('削除のやり直しの失敗の記録エラー:', recordError);
+            }
+            return false;
+        }
+    }
+
     /**
      * メッセージの処理
      * @param {Object} request
@@ -70,8 +182,52 @@ class EventHandler {
 
             // アクション処理
             if (request.action === 'deleteData') {
-                Logger.info('ポップアップからデータ削除リクエストを受信しました');
-                this.handleDeleteDataRequest(sendResponse);
+                Logger.info('ポップアップからデータ削除リクエストを受信しました:', request.profileId);
+                this.handleDeleteDataRequest(request.profileId, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'previewData') {
+                Logger.info('削除内容のプレビューリクエストを受信しました:', request.profileId);
+                this.handlePreviewDataRequest(request.profileId, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'clearCleanupLog') {
+                Logger.info('削除履歴の消去リクエストを受信しました');
+                this.handleClearCleanupLogRequest(sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'cleanSite') {
+                Logger.info('ポップアップからサイトデータ削除リクエストを受信しました:', request.host);
+                this.handleCleanSiteRequest(request.host, request.tabId, request.includeHistory === true, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'enableSync' || request.action === 'disableSync') {
+                Logger.info('設定の同期の切り替えリクエストを受信しました:', request.action, request.strategy);
+                this.handleSyncRequest(request.action === 'enableSync', request.strategy, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'getWhitelistStatus') {
+                this.handleWhitelistStatusRequest(request.host, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'toggleWhitelist') {
+                Logger.info('ホワイトリストの切り替えリクエストを受信しました:', request.host, request.duration);
+                const duration = Object.values(WHITELIST_DURATIONS).includes(request.duration)
+                    ? request.duration
+                    : WHITELIST_DURATIONS.PERMANENT;
+                this.handleToggleWhitelistRequest(request.host, request.siteScope === true, duration, sendResponse);
+                return true; // 非同期レスポンス
+            }
+
+            if (request.action === 'makeWhitelistEntryPermanent') {
+                Logger.info('ホワイトリストのエントリを期限なしにするリクエストを受信しました:', request.key);
+                this.handleMakePermanentRequest(request.key, sendResponse);
                 return true; // 非同期レスポンス
             }
 
@@ -96,15 +252,16 @@ class EventHandler {
 
     /**
      * データ削除リクエストの処理
+     * @param {string} [profileId] - 使用するプロファイルID（省略時は手動実行に設定されたプロファイル）
      * @param {Function} sendResponse
      * @private
      */
-    async handleDeleteDataRequest(sendResponse) {
+    async handleDeleteDataRequest(profileId, sendResponse) {
         try {
             // 設定を最新にしてから削除処理を実行（service worker 起動直後などで未ロードの可能性があるため）
             await this.settings.load();
 
-            await this.cleaner.clearAll();
+            await this.cleaner.clearAll(this.getRequestedProfile(profileId), CLEAN_TRIGGERS.MANUAL);
             sendResponse({ success: true });
             Logger.info('データ削除リクエストの処理が完了しました');
         } catch (error) {
@@ -113,6 +270,317 @@ class EventHandler {
         }
     }
 
+    /**
+     * サイトデータ削除リクエストの処理
+     * @param {string} host - 対象サイトのホスト名
+     * @param {number} [tabId] - 削除後に再読み込みするタブのID
+     * @param {boolean} includeHistory - サイトの閲覧履歴も削除するか
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handleCleanSiteRequest(host, tabId, includeHistory, sendResponse) {
+        try {
+            if (typeof host !== 'string' || !host) {
+                throw new Error('削除するサイトが指定されていません');
+            }
+
+            const kept = await this.cleanCurrentSite(host, tabId, includeHistory);
+            sendResponse({ success: true, kept });
+            Logger.info('サイトデータ削除リクエストの処理が完了しました');
+        } catch (error) {
+            Logger.error('サイトデータ削除リクエストの処理でエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * 削除内容のプレビューリクエストの処理
+     * @param {string} [profileId] - 使用するプロファイルID（省略時は手動実行に設定されたプロファイル）
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handlePreviewDataRequest(profileId, sendResponse) {
+        try {
+            await this.settings.load();
+
+            const preview = await this.cleaner.preview(this.getRequestedProfile(profileId));
+            sendResponse({ success: true, preview });
+        } catch (error) {
+            Logger.error('プレビューリクエストの処理でエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * 削除履歴の消去リクエストの処理
+     * @param {Function} sendResponse
+     * @private
+     * @description 記録中の削除履歴が消去後に書き戻されないよう、記録と同じインスタンスで消去する
+     */
+    async handleClearCleanupLogRequest(sendResponse) {
+        try {
+            await this.cleanupLog.clear();
+            sendResponse({ success: true });
+        } catch (error) {
+            Logger.error('削除履歴の消去でエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * 設定の同期の有効化・停止リクエストの処理
+     * @param {boolean} enabled - 同期を有効にする場合true
+     * @param {string} [strategy] - 有効にするときの同期済みの設定の扱い（SYNC_STRATEGIES の値）
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handleSyncRequest(enabled, strategy, sendResponse) {
+        try {
+            const state = enabled
+                ? await this.settingsSync.enable(strategy)
+                : await this.settingsSync.disable();
+            sendResponse({ success: true, state });
+        } catch (error) {
+            Logger.error('設定の同期の切り替えでエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * ホワイトリスト登録状態の取得リクエストの処理
+     * @param {string} host - 対象のホスト名
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handleWhitelistStatusRequest(host, sendResponse) {
+        try {
+            const status = await this.whitelistService.getStatus(host);
+            sendResponse({ success: true, status });
+        } catch (error) {
+            Logger.error('ホワイトリスト登録状態の取得でエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * ホワイトリストの切り替えリクエストの処理
+     * @param {string} host - 対象のホスト名
+     * @param {boolean} siteScope - 追加する場合にサイト全体（サブドメインを含む）を対象にするか
+     * @param {string} duration - 追加する場合の保持期間（WHITELIST_DURATIONS の値）
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handleToggleWhitelistRequest(host, siteScope, duration, sendResponse) {
+        try {
+            const result = await this.whitelistService.toggle(host, { siteScope, duration });
+            sendResponse({ success: true, ...result });
+        } catch (error) {
+            Logger.error('ホワイトリストの切り替えでエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * 一時的なホワイトリストのエントリを期限なしにするリクエストの処理
+     * @param {string} key - 対象のエントリのキー（getEntryKey の値）
+     * @param {Function} sendResponse
+     * @private
+     */
+    async handleMakePermanentRequest(key, sendResponse) {
+        try {
+            if (typeof key !== 'string' || !key) {
+                throw new Error('対象のエントリが指定されていません');
+            }
+
+            const entry = await this.whitelistService.makePermanent(key);
+            sendResponse({ success: entry !== null, entry });
+        } catch (error) {
+            Logger.error('ホワイトリストのエントリを期限なしにする処理でエラー:', error);
+            try { sendResponse({ success: false, error: error.message }); } catch (e) { /* noop */ }
+        }
+    }
+
+    /**
+     * キーボードショートカットの処理
+     * @param {string} command - コマンド名（COMMAND_NAMES の値）
+     * @param {chrome.tabs.Tab} [tab] - ショートカットを実行したときのアクティブなタブ
+     * @public
+     * @description 実行結果はポップアップを開かなくても分かるよう、アイコンのバッジに短時間表示する
+     */
+    async handleCommand(command, tab) {
+        try {
+            if (command === COMMAND_NAMES.CLEAN_NOW) {
+                await this.settings.load();
+                await this.cleanForTrigger(CLEAN_TRIGGERS.MANUAL);
+                await this.showCommandBadge(tab?.id, '✓');
+                return;
+            }
+
+            if (command !== COMMAND_NAMES.TOGGLE_WHITELIST && command !== COMMAND_NAMES.CLEAN_CURRENT_SITE) {
+                Logger.warn('未知のコマンド:', command);
+                return;
+            }
+
+            const host = tab?.url ? getHostFromUrl(tab.url) : null;
+            if (!host) {
+                Logger.info('現在のタブはショートカットの対象外です:', command);
+                await this.showCommandBadge(tab?.id, '!');
+                return;
+            }
+
+            if (command === COMMAND_NAMES.TOGGLE_WHITELIST) {
+                const { added } = await this.whitelistService.toggle(host);
+                await this.showCommandBadge(tab.id, added ? '+' : '−');
+                return;
+            }
+
+            await this.cleanCurrentSite(host, tab.id);
+            await this.showCommandBadge(tab.id, '✓');
+        } catch (error) {
+            Logger.error('ショートカットの処理でエラー:', command, error);
+            await this.showCommandBadge(tab?.id, '!').catch(() => {});
+        }
+    }
+
+    /**
+     * ショートカットの実行結果をアイコンのバッジに表示
+     * @param {number} [tabId] - 表示するタブのID（省略時はすべてのタブ）
+     * @param {string} text - 表示する文字
+     * @returns {Promise<void>}
+     * @private
+     * @description 表示を消す前に Service Worker が停止してもバッジが残らないよう、アラームでも消去する
+     * （アラームは最短でも30秒後の実行になるため、停止しない場合はタイマーで消去する）
+     */
+    async showCommandBadge(tabId, text) {
+        const target = tabId === undefined ? {} : { tabId };
+        await chrome.action.setBadgeText({ ...target, text });
+        await chrome.alarms.create(`${ALARM_NAMES.COMMAND_BADGE_PREFIX}${tabId ?? ''}`, {
+            when: Date.now() + COMMAND_BADGE_DURATION_MS
+        });
+        setTimeout(() => {
+            this.clearCommandBadge(tabId).catch(() => {});
+        }, COMMAND_BADGE_DURATION_MS);
+    }
+
+    /**
+     * ショートカットの実行結果のバッジを消去
+     * @param {number} [tabId] - 表示したタブのID（省略時はすべてのタブ）
+     * @returns {Promise<void>}
+     * @private
+     */
+    async clearCommandBadge(tabId) {
+        const target = tabId === undefined ? {} : { tabId };
+        await chrome.alarms.clear(`${ALARM_NAMES.COMMAND_BADGE_PREFIX}${tabId ?? ''}`);
+        try {
+            await chrome.action.setBadgeText({ ...target, text: '' });
+        } catch (error) {
+            // タブが閉じられている場合は消去不要
+            Logger.debug('バッジの消去をスキップしました:', error?.message);
+        }
+    }
+
+    /**
+     * 表示中のサイトのデータを削除してタブを再読み込み
+     * @param {string} host - 対象サイトのホスト名
+     * @param {number} [tabId] - 削除後に再読み込みするタブのID
+     * @param {boolean} [includeHistory=false] - サイトの閲覧履歴も削除するか
+     * @returns {Promise<Array<string>>} ホワイトリストの設定により削除しなかったデータタイプ
+     * @private
+     * @description ポップアップ・ショートカット・コンテキストメニューで共通の処理。
+     * ホワイトリストの照合のため、設定を読み込んでから削除する
+     */
+    async cleanCurrentSite(host, tabId, includeHistory = false) {
+        await this.settings.load();
+        const kept = await this.cleaner.clearSiteNow(host, { includeHistory });
+        if (tabId !== undefined) {
+            await chrome.tabs.reload(tabId);
+        }
+        return kept;
+    }
+
+    /**
+     * コンテキストメニューの作成
+     * @public
+     * @description インストール・更新時に呼び出す
+     */
+    async initializeContextMenu() {
+        try {
+            await this.contextMenu.create();
+        } catch (error) {
+            Logger.error('コンテキストメニューの作成でエラー:', error);
+        }
+    }
+
+    /**
+     * コンテキストメニューをアクティブなタブのサイトに合わせて更新
+     * @public
+     * @description タブの切り替え・ウィンドウのフォーカス変更・ブラウザ起動時に呼び出す
+     */
+    async updateContextMenu() {
+        try {
+            await this.contextMenu.updateForActiveTab();
+        } catch (error) {
+            Logger.error('コンテキストメニューの更新でエラー:', error);
+        }
+    }
+
+    /**
+     * コンテキストメニューのクリックの処理
+     * @param {chrome.contextMenus.OnClickData} info - クリックされたメニューの情報
+     * @param {chrome.tabs.Tab} [tab] - メニューを表示したタブ
+     * @public
+     */
+    async handleContextMenuClicked(info, tab) {
+        try {
+            const host = tab?.url ? getHostFromUrl(tab.url) : null;
+            if (!host) {
+                Logger.info('現在のタブはコンテキストメニューの対象外です:', info.menuItemId);
+                return;
+            }
+
+            const keepFlags = this.contextMenu.getKeepFlags(info.menuItemId);
+            if (keepFlags) {
+                await this.whitelistService.setKeepFlags(host, keepFlags);
+            } else if (info.menuItemId === CONTEXT_MENU_IDS.REMOVE_FROM_WHITELIST) {
+                await this.whitelistService.remove(host);
+            } else if (info.menuItemId === CONTEXT_MENU_IDS.CLEAN_SITE) {
+                Logger.info(`コンテキストメニューから ${host} のサイトデータ削除を実行します`);
+                await this.cleanCurrentSite(host, tab.id);
+            } else {
+                Logger.warn('未知のメニュー項目:', info.menuItemId);
+            }
+        } catch (error) {
+            Logger.error('コンテキストメニューの処理でエラー:', info.menuItemId, error);
+        } finally {
+            // チェックボックスはクリックで切り替わるため、登録内容が変わらない場合も表示を戻す
+            await this.contextMenu.updateForTab(tab).catch(error => {
+                Logger.error('コンテキストメニューの更新でエラー:', error);
+            });
+        }
+    }
+
+    /**
+     * トリガーに設定されたプロファイルで削除を実行
+     * @param {string} trigger - 削除のきっかけ（CLEAN_TRIGGERS の値）
+     * @returns {Promise<void>}
+     * @private
+     */
+    async cleanForTrigger(trigger) {
+        await this.cleaner.clearAll(this.settings.getProfileForTrigger(trigger), trigger);
+    }
+
+    /**
+     * メッセージで指定されたプロファイルを取得
+     * @param {string} [profileId] - プロファイルID
+     * @returns {Object} 省略時は手動実行に設定されたプロファイル
+     * @private
+     */
+    getRequestedProfile(profileId) {
+        return profileId === undefined
+            ? this.settings.getProfileForTrigger(CLEAN_TRIGGERS.MANUAL)
+            : this.settings.getProfile(profileId);
+    }
+
     /**
      * ウィンドウクローズイベントの処理
      * @param {number} closedWindowId - 閉じられたウィンドウのID
@@ -131,7 +599,11 @@ class EventHandler {
             
             if (isLastWindow) {
                 Logger.info('最後のウィンドウが閉じられました。データを削除します');
-                await this.cleaner.clearAll();
+                // 削除の完了前にブラウザが終了した場合に次回起動時にやり直せるよう、開始と完了を記録する
+                const profile = this.settings.getProfileForTrigger(CLEAN_TRIGGERS.CLOSE);
+                await this.cleanJournal.begin(profile[PROFILE_KEYS.ID]);
+                await this.cleaner.clearAll(profile, CLEAN_TRIGGERS.CLOSE);
+                await this.cleanJournal.complete();
             } else {
                 Logger.debug('他のウィンドウが残っています（削除スキップ）');
             }
@@ -140,6 +612,371 @@ class EventHandler {
         }
     }
 
+    /**
+     * アラームの処理
+     * @param {chrome.alarms.Alarm} alarm - 発火したアラーム
+     * @public
+     */
+    async handleAlarm(alarm) {
+        try {
+            if (alarm.name === ALARM_NAMES.SCHEDULED_CLEAN) {
+                await this.handleScheduledClean();
+                return;
+            }
+
+            if (alarm.name.startsWith(ALARM_NAMES.SITE_CLEAN_PREFIX)) {
+                const host = alarm.name.slice(ALARM_NAMES.SITE_CLEAN_PREFIX.length);
+                await this.handleSiteCleanAlarm(host);
+                return;
+            }
+
+            if (alarm.name.startsWith(ALARM_NAMES.COMMAND_BADGE_PREFIX)) {
+                const tabId = alarm.name.slice(ALARM_NAMES.COMMAND_BADGE_PREFIX.length);
+                await this.clearCommandBadge(tabId ? Number(tabId) : undefined);
+                return;
+            }
+
+            if (alarm.name === ALARM_NAMES.WHITELIST_EXPIRY) {
+                await this.handleWhitelistExpiryAlarm();
+                return;
+            }
+
+            Logger.warn('未知のアラーム:', alarm.name);
+        } catch (error) {
+            Logger.error('アラーム処理でエラー:', error);
+        }
+    }
+
+    /**
+     * 定期実行による削除の処理
+     * @public
+     */
+    async handleScheduledClean() {
+        try {
+            await this.settings.load();
+
+            // 毎日実行の場合、夏時間の切り替えなどによる時刻のずれを補正する
+            await this.scheduler.update();
+
+            Logger.info('定期実行によるデータ削除を実行します');
+            await this.cleanForTrigger(CLEAN_TRIGGERS.SCHEDULE);
+        } catch (error) {
+            Logger.error('定期実行処理でエラー:', error);
+        }
+    }
+
+    /**
+     * ホワイトリストの有効期限のアラームの処理
+     * @private
+     * @description 期限切れのエントリをメニューに反映し、期限切れから一定期間が過ぎたエントリを取り除く
+     */
+    async handleWhitelistExpiryAlarm() {
+        try {
+            const removed = await this.whitelistService.pruneExpired();
+            // 取り除いた場合はストレージ変更の処理でメニューとアラームを更新する
+            if (removed.length > 0) return;
+
+            await this.whitelistService.updateExpiryAlarm();
+            await this.updateContextMenu();
+        } catch (error) {
+            Logger.error('ホワイトリストの有効期限の処理でエラー:', error);
+        }
+    }
+
+    /**
+     * ストレージ変更の処理
+     * @param {Object<string, chrome.storage.StorageChange>} changes - 変更内容
+     * @param {string} areaName - ストレージ領域名
+     * @public
+     * @description 定期実行・アイドル時実行の設定が変更された場合はアラームや検出間隔を再設定する。
+     * 同期を有効にしている場合は、このデバイスの変更を同期し、他のデバイスの変更を取り込む
+     */
+    async handleStorageChanged(changes, areaName) {
+        try {
+            if (areaName === 'sync') {
+                await this.settingsSync.handleSyncChanged(changes);
+                return;
+            }
+            if (areaName !== 'local') return;
+
+            await this.settingsSync.handleLocalChanged(changes);
+
+            // ポップアップ・オプション・同期によるホワイトリストの変更をメニューと有効期限のアラームに反映
+            if (STORAGE_KEYS.WHITELIST in changes) {
+                await this.updateContextMenu();
+                await this.whitelistService.updateExpiryAlarm();
+            }
+
+            const scheduleChanged = SCHEDULE_STORAGE_KEYS.some(key => key in changes);
+            const idleChanged = IDLE_STORAGE_KEYS.some(key => key in changes);
+            if (!scheduleChanged && !idleChanged) return;
+
+            Logger.info('自動実行の設定変更を検知しました');
+            await this.settings.load();
+
+            if (scheduleChanged) {
+                await this.scheduler.update();
+            }
+            if (idleChanged) {
+                this.applyIdleDetectionInterval();
+            }
+        } catch (error) {
+            Logger.error('設定変更処理でエラー:', error);
+        }
+    }
+
+    /**
+     * 設定を読み込んでアイドル検出間隔を設定
+     * @public
+     * @description 検出間隔は拡張機能の再読み込みで初期値に戻るため、Service Worker 起動時に毎回設定する
+     */
+    async updateIdleDetection() {
+        try {
+            await this.settings.load();
+            this.applyIdleDetectionInterval();
+        } catch (error) {
+            Logger.error('アイドル検出間隔の設定でエラー:', error);
+        }
+    }
+
+    /**
+     * 読み込み済みの設定からアイドル検出間隔を設定
+     * @private
+     */
+    applyIdleDetectionInterval() {
+        const minutes = this.settings.idleMinutes;
+        if (!isValidIdleMinutes(minutes)) {
+            Logger.warn('アイドル判定までの時間が不正です:', minutes);
+            return;
+        }
+        chrome.idle.setDetectionInterval(minutes * 60);
+        Logger.debug(`アイドル検出間隔を ${minutes} 分に設定しました`);
+    }
+
+    /**
+     * アイドル状態変化の処理
+     * @param {string} newState - 新しい状態（active / idle / locked）
+     * @public
+     */
+    async handleIdleStateChanged(newState) {
+        try {
+            const now = Date.now();
+            const stored = await chrome.storage.session.get(IDLE_STATE_SESSION_KEY);
+            const state = stored[IDLE_STATE_SESSION_KEY] ?? {};
+
+            if (newState === 'active') {
+                state.lastActiveAt = now;
+                await chrome.storage.session.set({ [IDLE_STATE_SESSION_KEY]: state });
+                return;
+            }
+
+            await this.settings.load();
+
+            const shouldClean = (newState === 'idle' && this.settings.runOnIdle)
+                || (newState === 'locked' && this.settings.runOnLock);
+            if (!shouldClean) {
+                Logger.debug(`${newState} 時の実行は無効です（設定でスキップ）`);
+                return;
+            }
+
+            if (this.isDuplicateIdleClean(state, newState, now)) {
+                Logger.info(`前回の削除以降に十分な操作がないためスキップします（${newState}）`);
+                return;
+            }
+
+            Logger.info(`${newState === 'idle' ? 'アイドル' : '画面ロック'}を検知しました。データを削除します`);
+            const trigger = newState === 'idle' ? CLEAN_TRIGGERS.IDLE : CLEAN_TRIGGERS.LOCK;
+            await this.cleanForTrigger(trigger);
+
+            state.lastCleanAt = now;
+            await chrome.storage.session.set({ [IDLE_STATE_SESSION_KEY]: state });
+        } catch (error) {
+            Logger.error('アイドル状態変化の処理でエラー:', error);
+        }
+    }
+
+    /**
+     * アイドル・ロック時の削除が重複実行になるかを判定
+     * @param {{lastActiveAt?: number, lastCleanAt?: number}} state - セッションに保存された状態
+     * @param {string} newState - 新しい状態（idle / locked）
+     * @param {number} now - 現在時刻
+     * @returns {boolean} 重複の場合true
+     * @private
+     * @description 以下の場合は重複とみなす:
+     * - 前回の削除以降に一度もアクティブになっていない（idle → locked の遷移など）
+     * - アクティブだった時間が IDLE_REARM_MS 未満（idle → active → idle の短時間の揺り戻し）
+     */
+    isDuplicateIdleClean(state, newState, now) {
+        if (state.lastCleanAt === undefined) {
+            return false;
+        }
+
+        if (state.lastActiveAt === undefined || state.lastActiveAt < state.lastCleanAt) {
+            return true;
+        }
+
+        // idle はアイドル判定時間が経過してから通知されるため、操作が止まった時刻まで遡る
+        const inactiveSince = newState === 'idle'
+            ? now - this.settings.idleMinutes * 60 * 1000
+            : now;
+        return inactiveSince - state.lastActiveAt < IDLE_REARM_MS;
+    }
+
+    /**
+     * タブ追跡の初期化
+     * @public
+     * @description ブラウザ起動時・インストール時に開いているタブから対応表を作り直す
+     */
+    async initializeTabTracking() {
+        try {
+            await this.tabTracker.rebuild();
+        } catch (error) {
+            Logger.error('タブ追跡の初期化でエラー:', error);
+        }
+    }
+
+    /**
+     * タブ更新イベントの処理
+     * @param {number} tabId - タブID
+     * @param {Object} changeInfo - 変更内容
+     * @param {chrome.tabs.Tab} [tab] - 更新後のタブ
+     * @public
+     */
+    async handleTabUpdated(tabId, changeInfo, tab) {
+        try {
+            if (!changeInfo.url) return;
+
+            if (tab?.active) {
+                await this.contextMenu.updateForTab(tab);
+            }
+
+            const { openedHost, closedHost } = await this.tabTracker.handleTabUrlChanged(tabId, changeInfo.url);
+            if (openedHost) {
+                await this.cancelSiteClean(openedHost);
+            }
+            if (closedHost) {
+                await this.handleSiteClosed(closedHost);
+            }
+        } catch (error) {
+            Logger.error('タブ更新処理でエラー:', error);
+        }
+    }
+
+    /**
+     * タブ削除イベントの処理
+     * @param {number} tabId - タブID
+     * @public
+     */
+    async handleTabRemoved(tabId) {
+        try {
+            const closedHost = await this.tabTracker.handleTabRemoved(tabId);
+            if (closedHost) {
+                await this.handleSiteClosed(closedHost);
+            }
+        } catch (error) {
+            Logger.error('タブ削除処理でエラー:', error);
+        }
+    }
+
+    /**
+     * タブ置き換えイベントの処理（プリレンダリングなど）
+     * @param {number} addedTabId - 新しいタブID
+     * @param {number} removedTabId - 置き換えられたタブID
+     * @public
+     */
+    async handleTabReplaced(addedTabId, removedTabId) {
+        try {
+            const tab = await chrome.tabs.get(addedTabId);
+            if (tab.url) {
+                await this.handleTabUpdated(addedTabId, { url: tab.url }, tab);
+            }
+            await this.handleTabRemoved(removedTabId);
+        } catch (error) {
+            Logger.error('タブ置き換え処理でエラー:', error);
+        }
+    }
+
+    /**
+     * サイトの最後のタブが閉じられたときの処理
+     * @param {string} host - ホスト名
+     * @private
+     * @description 猶予時間が設定されている場合はアラームで削除を予約し、
+     * その間にサイトが再度開かれた場合は予約を取り消す
+     */
+    async handleSiteClosed(host) {
+        await this.settings.load();
+
+        if (!this.settings.runOnSiteClose) {
+            return;
+        }
+
+        const delaySeconds = isValidSiteCloseDelay(this.settings.siteCloseDelaySeconds)
+            ? this.settings.siteCloseDelaySeconds
+            : DEFAULT_SETTINGS.SITE_CLOSE_DELAY_SECONDS;
+        if (delaySeconds === 0) {
+            Logger.info(`${host} のタブがすべて閉じられました。サイトデータを削除します`);
+            await this.cleanClosedSite(host);
+            return;
+        }
+
+        await chrome.alarms.create(`${ALARM_NAMES.SITE_CLEAN_PREFIX}${host}`, {
+            when: Date.now() + delaySeconds * 1000
+        });
+        Logger.info(`${host} のタブがすべて閉じられました。${delaySeconds}秒後に削除します`);
+    }
+
+    /**
+     * サイトが再度開かれた場合に削除予約を取り消す
+     * @param {string} host - ホスト名
+     * @private
+     */
+    async cancelSiteClean(host) {
+        const cleared = await chrome.alarms.clear(`${ALARM_NAMES.SITE_CLEAN_PREFIX}${host}`);
+        if (cleared) {
+            Logger.info(`${host} が再度開かれたため削除予約を取り消しました`);
+        }
+    }
+
+    /**
+     * 予約されたサイトデータ削除の処理
+     * @param {string} host - ホスト名
+     * @private
+     */
+    async handleSiteCleanAlarm(host) {
+        await this.settings.load();
+
+        if (!this.settings.runOnSiteClose) {
+            Logger.debug('サイトを閉じたときの実行は無効です（設定でスキップ）');
+            return;
+        }
+
+        // 予約の取り消しが間に合わなかった場合に備えて再確認する
+        if (await this.tabTracker.isHostOpen(host)) {
+            Logger.info(`${host} は再度開かれているため削除をスキップします`);
+            return;
+        }
+
+        Logger.info(`予約された ${host} のサイトデータ削除を実行します`);
+        await this.cleanClosedSite(host);
+    }
+
+    /**
+     * タブがすべて閉じられたサイトのデータを削除
+     * @param {string} host - ホスト名
+     * @private
+     * @description 同じサイト（登録可能ドメイン）の別のホストのタブが開いている場合は、
+     * そのタブのログイン状態を失わないようCookieをホスト単位で削除する
+     */
+    async cleanClosedSite(host) {
+        const siteOpen = await this.tabTracker.isSiteOpen(host);
+        await this.cleaner.clearSite(
+            host,
+            this.settings.getProfileForTrigger(CLEAN_TRIGGERS.SITE_CLOSE),
+            CLEAN_TRIGGERS.SITE_CLOSE,
+            { siteOpen }
+        );
+    }
+
     /**
      * 最後のウィンドウかどうかをチェック
      * @param {number} closedWindowId - 閉じられたウィンドウのID
@@ -0,0 +1,92 @@
+/**
+ * @file 多言語対応
+ * @description chrome.i18n のメッセージカタログ（_locales）から表示する文字列を取得し、HTMLの文字列を置き換える
+ */
+
+import { Logger } from './logger.js';
+
+/**
+ * 翻訳前のメッセージ
+ * @typedef {Object} LocalizedMessage
+ * @property {string} id - メッセージID（_locales/<言語>/messages.json のキー）
+ * @property {Array<string|number|LocalizedMessage>} params - プレースホルダーに埋め込む値（メッセージは翻訳してから埋め込む）
+ * @description バリデーションのエラーなどは完成した文字列ではなくこの形式で返し、表示する側で翻訳する
+ */
+
+/**
+ * 属性名と、その属性で指定したメッセージで置き換える対象
+ * @const {Array<[string, function(HTMLElement, string): void]>}
+ * @description data-i18n-html は拡張機能に同梱したメッセージのうち、
+ * <code> などの装飾を含むものにのみ使用する（ユーザーの入力値は埋め込まない）
+ */
+const LOCALIZED_ATTRIBUTES = [
+    ['data-i18n', (element, message) => { element.textContent = message; }],
+    ['data-i18n-html', (element, message) => { element.innerHTML = message; }],
+    ['data-i18n-title', (element, message) => { element.title = message; }],
+    ['data-i18n-placeholder', (element, message) => { element.placeholder = message; }]
+];
+
+/**
+ * メッセージを取得
+ * @param {string} id - メッセージID
+ * @param {Array<string|number>} [params=[]] - プレースホルダーに埋め込む値
+ * @returns {string} 翻訳したメッセージ（未定義のIDの場合はIDをそのまま返す）
+ */
+function getMessage(id, params = []) {
+    const message = chrome.i18n.getMessage(id, params.map(String));
+    if (!message) {
+        Logger.warn('未定義のメッセージIDです:', id);
+        return id;
+    }
+    return message;
+}
+
+/**
+ * 翻訳前のメッセージを作成
+ * @param {string} id - メッセージID
+ * @param {...(string|number|LocalizedMessage)} params - プレースホルダーに埋め込む値
+ * @returns {LocalizedMessage}
+ * @example
+ * createMessage('errorLine', 3, createMessage('errorDomainEmpty'), ',1,1');
+ */
+function createMessage(id, ...params) {
+    return { id, params };
+}
+
+/**
+ * 翻訳前のメッセージを表示用の文字列に変換
+ * @param {LocalizedMessage|string} message - 変換するメッセージ（文字列の場合はそのまま返す）
+ * @returns {string}
+ */
+function formatMessage(message) {
+    if (typeof message === 'string') {
+        return message;
+    }
+    const params = (message.params ?? []).map(param =>
+        param && typeof param === 'object' ? formatMessage(param) : param
+    );
+    return getMessage(message.id, params);
+}
+
+/**
+ * ページの文字列を表示言語のメッセージに置き換える
+ * @param {Document} [root=document] - 対象のドキュメント
+ * @returns {void}
+ * @description data-i18n（テキスト）、data-i18n-html、data-i18n-title、data-i18n-placeholder 属性に
+ * 指定したメッセージIDで要素の内容・属性を置き換える
+ */
+function localizeDocument(root = document) {
+    root.documentElement.lang = chrome.i18n.getUILanguage();
+    for (const [attribute, apply] of LOCALIZED_ATTRIBUTES) {
+        root.querySelectorAll(`[${attribute}]`).forEach(element => {
+            apply(element, getMessage(element.getAttribute(attribute)));
+        });
+    }
+}
+
+export {
+    getMessage,
+    createMessage,
+    formatMessage,
+    localizeDocument
+};
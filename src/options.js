@@ -1,77 +1,933 @@
 /**
  * @file オプションページのスクリプト
- * @description ホワイトリストと実行設定を管理するUIロジック
+ * @description ホワイトリスト・ブロックリスト、削除プロファイルと実行設定を管理するUIロジック
  */
 
 import { Logger } from './logger.js';
 import {
     DEFAULT_SETTINGS,
     STORAGE_KEYS,
-    WHITELIST_KEYS
+    PROFILE_KEYS,
+    DEFAULT_PROFILE_ID,
+    MAX_PROFILE_NAME_LENGTH,
+    CLEAN_TRIGGERS,
+    CLEANUP_LOG_STORAGE_KEY,
+    IMPORT_MODES,
+    SYNC_STATE_STORAGE_KEY,
+    SYNC_STRATEGIES,
+    SYNC_STATUSES,
+    RETENTION_TYPES,
+    RETENTION_CATEGORIES,
+    DATA_TYPES,
+    SCHEDULE_MODES,
+    MAX_SCHEDULE_INTERVAL_HOURS,
+    MAX_IDLE_MINUTES,
+    MIN_SITE_CLOSE_DELAY_SECONDS,
+    MAX_SITE_CLOSE_DELAY_SECONDS
 } from './constants.js';
 
 import {
     displayStatusMessage,
     clearStatusMessage,
-    parseWhitelistLine
+    parseWhitelistLine,
+    parseBlocklistLine,
+    formatWhitelistDomain,
+    formatWhitelistLine,
+    formatWhitelistExpiry,
+    isTemporaryWhitelistEntry,
+    isWhitelistEntryExpired,
+    getEntryKey,
+    findDuplicateDomains,
+    toDisplayHost,
+    getDataTypeLabel,
+    isValidRetentionHours,
+    isValidProfileName,
+    normalizeProfiles,
+    normalizeTriggerProfiles,
+    formatCleanPreview,
+    isValidScheduleInterval,
+    isValidDailyTime,
+    isValidIdleMinutes,
+    isValidSiteCloseDelay
 } from './utils.js';
+import { CleanupLog } from './cleanupLog.js';
+import {
+    createSettingsFile,
+    parseSettingsFile,
+    resolveImportedSettings,
+    formatSettingsDiff
+} from './settingsFile.js';
+import {
+    getMessage,
+    createMessage,
+    formatMessage,
+    localizeDocument
+} from './i18n.js';
+
+/** @typedef {import('./i18n.js').LocalizedMessage} LocalizedMessage */
+
+// ページの文字列を表示言語のメッセージに置き換える
+localizeDocument();
 
 /**
- * ページ読み込み時にストレージからホワイトリストと設定を読み込んで表示
+ * 削除期間カテゴリの表示名のメッセージID（エラーメッセージ用）
+ * @const {Object<string, string>}
  */
-document.addEventListener('DOMContentLoaded', () => {
+const RETENTION_CATEGORY_LABELS = {
+    [RETENTION_CATEGORIES.HISTORY]: 'dataTypeHistory',
+    [RETENTION_CATEGORIES.DOWNLOADS]: 'dataTypeDownloads',
+    [RETENTION_CATEGORIES.FORMDATA]: 'optionsFormDataAndPasswords',
+    [RETENTION_CATEGORIES.COOKIES]: 'dataTypeGroupSiteData',
+    [RETENTION_CATEGORIES.CACHE]: 'dataTypeGroupCache'
+};
+
+/**
+ * 削除のきっかけの表示名のメッセージID
+ * @const {Object<string, string>}
+ */
+const CLEAN_TRIGGER_LABELS = {
+    [CLEAN_TRIGGERS.MANUAL]: 'triggerManual',
+    [CLEAN_TRIGGERS.STARTUP]: 'triggerStartup',
+    [CLEAN_TRIGGERS.CLOSE]: 'triggerClose',
+    [CLEAN_TRIGGERS.SCHEDULE]: 'triggerSchedule',
+    [CLEAN_TRIGGERS.IDLE]: 'triggerIdle',
+    [CLEAN_TRIGGERS.LOCK]: 'triggerLock',
+    [CLEAN_TRIGGERS.SITE_CLOSE]: 'triggerSiteClose'
+};
+
+const cleanupLog = new CleanupLog();
+
+/**
+ * 削除履歴を絞り込み条件に従って表示
+ * @returns {Promise<void>}
+ */
+async function renderCleanupLog() {
+    const trigger = document.getElementById('logTriggerFilter').value;
+    const errorsOnly = document.getElementById('logErrorsOnly').checked;
+
+    const entries = (await cleanupLog.getAll())
+        .filter(entry => !trigger || entry.trigger === trigger)
+        .filter(entry => !errorsOnly || Object.keys(entry.errors ?? {}).length > 0)
+        .reverse();
+
+    const rows = entries.map(entry => {
+        const errors = Object.entries(entry.errors ?? {})
+            .map(([type, message]) => `${getDataTypeLabel(type)}: ${message}`);
+        const categories = entry.categories.map(getDataTypeLabel).join(getMessage('listSeparator'));
+        const cells = [
+            new Date(entry.timestamp).toLocaleString(),
+            CLEAN_TRIGGER_LABELS[entry.trigger] ? getMessage(CLEAN_TRIGGER_LABELS[entry.trigger]) : entry.trigger,
+            entry.profileName,
+            getMessage('logDuration', [(entry.duration / 1000).toFixed(1)]),
+            entry.host ? `${toDisplayHost(entry.host)}: ${categories}` : categories,
+            getMessage('logExcludedCount', [entry.excludedOriginCount]),
+            errors.join('\n') || getMessage('logNoErrors')
+        ];
+
+        const row = document.createElement('tr');
+        row.classList.toggle('has-error', errors.length > 0);
+        row.replaceChildren(...cells.map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        }));
+        return row;
+    });
+
+    document.getElementById('logItems').replaceChildren(...rows);
+    document.getElementById('logEmpty').hidden = rows.length > 0;
+}
+
+/**
+ * 削除期間の種類に応じて期間入力欄の表示を切り替える
+ * @param {string} category - データカテゴリ
+ * @returns {void}
+ */
+function updateRetentionVisibility(category) {
+    const type = document.getElementById(`${category}RetentionType`).value;
+    document.getElementById(`${category}Retention`)
+        .classList.toggle('all-period', type === RETENTION_TYPES.ALL);
+}
+
+/**
+ * 削除期間設定をフォームに反映
+ * @param {Object<string, {type: string, hours: number}>} retention - 正規化済みの削除期間設定
+ * @returns {void}
+ * @description 24時間の倍数は日単位で表示する
+ */
+function applyRetentionToForm(retention) {
+    for (const category of Object.values(RETENTION_CATEGORIES)) {
+        const { type, hours } = retention[category];
+        const inDays = hours % 24 === 0;
+        document.getElementById(`${category}RetentionType`).value = type;
+        document.getElementById(`${category}RetentionValue`).value = inDays ? hours / 24 : hours;
+        document.getElementById(`${category}RetentionUnit`).value = inDays ? 'days' : 'hours';
+        updateRetentionVisibility(category);
+    }
+}
+
+/**
+ * フォームから削除期間設定を読み取る
+ * @returns {{retention: Object<string, {type: string, hours: number}>, errors: Array<LocalizedMessage>}}
+ */
+function readRetentionFromForm() {
+    const retention = {};
+    const errors = [];
+
+    for (const category of Object.values(RETENTION_CATEGORIES)) {
+        const type = document.getElementById(`${category}RetentionType`).value;
+        const value = Number(document.getElementById(`${category}RetentionValue`).value);
+        const unit = document.getElementById(`${category}RetentionUnit`).value;
+        const hours = unit === 'days' ? value * 24 : value;
+
+        if (type !== RETENTION_TYPES.ALL && !isValidRetentionHours(hours)) {
+            errors.push(createMessage('errorRetentionPeriod', createMessage(RETENTION_CATEGORY_LABELS[category])));
+            continue;
+        }
+
+        // 全期間の場合は期間の入力値を使用しないため、不正な値はデフォルト値に置き換える
+        retention[category] = {
+            type,
+            hours: isValidRetentionHours(hours) ? hours : DEFAULT_SETTINGS.RETENTION[category].hours
+        };
+    }
+
+    return { retention, errors };
+}
+
+/**
+ * テキストエリアの各行をパース
+ * @param {string} textareaId - テキストエリアのID
+ * @param {function(string, number): {success: boolean, entry: Object|null, error: LocalizedMessage|null}} parseLine - 1行をパースする関数
+ * @returns {{entries: Array<Object>, errors: Array<LocalizedMessage>}}
+ */
+function parseListFromTextarea(textareaId, parseLine) {
+    const lines = document.getElementById(textareaId).value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+
+    const entries = [];
+    const errors = [];
+    lines.forEach((line, index) => {
+        const result = parseLine(line, index);
+        if (result.success) {
+            entries.push(result.entry);
+        } else {
+            errors.push(result.error);
+        }
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * 編集中のプロファイル一覧（保存ボタンを押すまでストレージには反映しない）
+ * @type {Array<Object>}
+ */
+let profiles = [];
+
+/**
+ * フォームに表示しているプロファイルのID
+ * @type {string}
+ */
+let editingProfileId = DEFAULT_PROFILE_ID;
+
+/**
+ * ストレージに保存済みのプロファイルのID（プレビュー可能かの判定に使用）
+ * @type {Set<string>}
+ */
+let savedProfileIds = new Set();
+
+/**
+ * 選択中の削除対象の指定方法を取得
+ * @returns {string} 削除対象の指定方法（TARGET_MODES の値）
+ */
+function getSelectedTargetMode() {
+    const checked = document.querySelector('input[name="targetMode"]:checked');
+    return checked?.value ?? DEFAULT_SETTINGS.TARGET_MODE;
+}
+
+/**
+ * プロファイルの設定をフォームに反映
+ * @param {Object} profile - 表示するプロファイル
+ * @returns {void}
+ */
+function applyProfileToForm(profile) {
+    editingProfileId = profile[PROFILE_KEYS.ID];
+    document.getElementById('profileName').value = profile[PROFILE_KEYS.NAME];
+    document.querySelectorAll('input[name="targetMode"]').forEach(radio => {
+        radio.checked = radio.value === profile[PROFILE_KEYS.TARGET_MODE];
+    });
+    // データの種類のチェックボックスのIDはプロファイルの削除フラグのプロパティ名と同じ
+    DATA_TYPES.forEach(definition => {
+        document.getElementById(definition.profileKey).checked = profile[definition.profileKey];
+    });
+    applyRetentionToForm(profile[PROFILE_KEYS.RETENTION]);
+
+    // デフォルトプロファイルは削除できない
+    document.getElementById('deleteProfile').disabled = editingProfileId === DEFAULT_PROFILE_ID;
+    document.getElementById('profilePreview').hidden = true;
+}
+
+/**
+ * フォームの内容を編集中のプロファイルに反映
+ * @returns {Array<LocalizedMessage>} バリデーションエラー（エラーがある場合は反映しない）
+ */
+function commitEditingProfile() {
+    const name = document.getElementById('profileName').value;
+    const { retention, errors } = readRetentionFromForm();
+    if (!isValidProfileName(name)) {
+        errors.unshift(createMessage('errorProfileName', MAX_PROFILE_NAME_LENGTH));
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const index = profiles.findIndex(profile => profile[PROFILE_KEYS.ID] === editingProfileId);
+    profiles[index] = {
+        [PROFILE_KEYS.ID]: editingProfileId,
+        [PROFILE_KEYS.NAME]: name.trim(),
+        [PROFILE_KEYS.TARGET_MODE]: getSelectedTargetMode(),
+        ...Object.fromEntries(DATA_TYPES.map(definition => [
+            definition.profileKey,
+            document.getElementById(definition.profileKey).checked
+        ])),
+        [PROFILE_KEYS.RETENTION]: retention
+    };
+    return [];
+}
+
+/**
+ * プロファイルの選択肢を再描画
+ * @param {Object<string, string>} [triggerProfiles] - トリガーごとのプロファイルID（省略時は現在の選択を維持）
+ * @returns {void}
+ */
+function renderProfileOptions(triggerProfiles) {
+    const selects = [
+        document.getElementById('profileSelect'),
+        ...document.querySelectorAll('.trigger-profile')
+    ];
+
+    selects.forEach(select => {
+        const selected = select.id === 'profileSelect'
+            ? editingProfileId
+            : (triggerProfiles?.[select.dataset.trigger] ?? select.value);
+        select.replaceChildren(...profiles.map(profile => {
+            const option = document.createElement('option');
+            option.value = profile[PROFILE_KEYS.ID];
+            option.textContent = profile[PROFILE_KEYS.NAME];
+            return option;
+        }));
+        select.value = profiles.some(profile => profile[PROFILE_KEYS.ID] === selected)
+            ? selected
+            : DEFAULT_PROFILE_ID;
+    });
+}
+
+/**
+ * フォームからトリガーごとのプロファイル設定を読み取る
+ * @returns {Object<string, string>}
+ */
+function readTriggerProfilesFromForm() {
+    const triggerProfiles = {};
+    document.querySelectorAll('.trigger-profile').forEach(select => {
+        triggerProfiles[select.dataset.trigger] = select.value;
+    });
+    return normalizeTriggerProfiles(triggerProfiles, profiles);
+}
+
+/**
+ * 入力エラーの一覧を表示
+ * @param {Array<LocalizedMessage>} errors - エラーメッセージ
+ * @returns {void}
+ */
+function showErrorList(errors) {
+    const errorItems = document.getElementById('errorItems');
+    errorItems.replaceChildren(...errors.map(error => {
+        const item = document.createElement('li');
+        item.textContent = formatMessage(error);
+        return item;
+    }));
+    document.getElementById('errorList').style.display = 'block';
+}
+
+/**
+ * 定期実行のモードに応じて間隔・時刻の入力欄の表示を切り替える
+ * @returns {void}
+ */
+function updateScheduleVisibility() {
+    const mode = document.getElementById('scheduleMode').value;
+    const row = document.getElementById('scheduleRow');
+    row.classList.toggle('mode-interval', mode === SCHEDULE_MODES.INTERVAL);
+    row.classList.toggle('mode-daily', mode === SCHEDULE_MODES.DAILY);
+}
+
+/**
+ * フォームから定期実行の設定を読み取る
+ * @returns {{mode: string, intervalHours: number, dailyTime: string, errors: Array<LocalizedMessage>}}
+ * @description 選択されていないモードの入力値は不正な場合デフォルト値に置き換える
+ */
+function readScheduleFromForm() {
+    const mode = document.getElementById('scheduleMode').value;
+    const intervalHours = Number(document.getElementById('scheduleIntervalHours').value);
+    const dailyTime = document.getElementById('scheduleDailyTime').value;
+    const errors = [];
+
+    if (mode === SCHEDULE_MODES.INTERVAL && !isValidScheduleInterval(intervalHours)) {
+        errors.push(createMessage('errorScheduleInterval', MAX_SCHEDULE_INTERVAL_HOURS));
+    }
+    if (mode === SCHEDULE_MODES.DAILY && !isValidDailyTime(dailyTime)) {
+        errors.push(createMessage('errorScheduleDailyTime'));
+    }
+
+    return {
+        mode,
+        intervalHours: isValidScheduleInterval(intervalHours) ? intervalHours : DEFAULT_SETTINGS.SCHEDULE_INTERVAL_HOURS,
+        dailyTime: isValidDailyTime(dailyTime) ? dailyTime : DEFAULT_SETTINGS.SCHEDULE_DAILY_TIME,
+        errors
+    };
+}
+
+document.getElementById('profileSelect').addEventListener('change', (e) => {
     try {
-        chrome.storage.local.get([
-            STORAGE_KEYS.WHITELIST,
-            STORAGE_KEYS.RUN_ON_STARTUP,
-            STORAGE_KEYS.RUN_ON_CLOSE,
-            STORAGE_KEYS.REMOVE_DOWNLOADS,
-            STORAGE_KEYS.REMOVE_FORMDATA,
-            STORAGE_KEYS.REMOVE_HISTORY,
-            STORAGE_KEYS.REMOVE_COOKIES,
-            STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE
-        ], (result) => {
+        // 切り替える前に編集中の内容を反映する（エラーがある場合は切り替えない）
+        const errors = commitEditingProfile();
+        if (errors.length > 0) {
+            showErrorList(errors);
+            e.target.value = editingProfileId;
+            return;
+        }
+
+        const profile = profiles.find(p => p[PROFILE_KEYS.ID] === e.target.value);
+        applyProfileToForm(profile);
+        renderProfileOptions();
+    } catch (error) {
+        Logger.error('プロファイル切り替えエラー:', error);
+    }
+});
+
+document.getElementById('profileName').addEventListener('change', () => {
+    try {
+        if (commitEditingProfile().length === 0) {
+            renderProfileOptions();
+        }
+    } catch (error) {
+        Logger.error('プロファイル名変更エラー:', error);
+    }
+});
+
+document.getElementById('addProfile').addEventListener('click', () => {
+    try {
+        const errors = commitEditingProfile();
+        if (errors.length > 0) {
+            showErrorList(errors);
+            return;
+        }
+
+        // 編集中のプロファイルの設定を引き継いで作成する
+        const source = profiles.find(p => p[PROFILE_KEYS.ID] === editingProfileId);
+        const profile = {
+            ...source,
+            [PROFILE_KEYS.ID]: `profile-${Date.now().toString(36)}`,
+            [PROFILE_KEYS.NAME]: getMessage('optionsNewProfileName', [profiles.length + 1]),
+            [PROFILE_KEYS.RETENTION]: structuredClone(source[PROFILE_KEYS.RETENTION])
+        };
+        profiles.push(profile);
+        applyProfileToForm(profile);
+        renderProfileOptions();
+        document.getElementById('profileName').focus();
+    } catch (error) {
+        Logger.error('プロファイル追加エラー:', error);
+    }
+});
+
+document.getElementById('previewProfile').addEventListener('click', () => {
+    const btn = document.getElementById('previewProfile');
+    const preview = document.getElementById('profilePreview');
+    try {
+        preview.hidden = false;
+        if (!savedProfileIds.has(editingProfileId)) {
+            preview.textContent = getMessage('optionsPreviewUnsaved');
+            return;
+        }
+
+        btn.disabled = true;
+        preview.textContent = getMessage('commonCounting');
+        chrome.runtime.sendMessage({ action: 'previewData', profileId: editingProfileId }, (response) => {
             try {
-                Logger.debug('読み込んだ設定:', result);
+                btn.disabled = false;
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('プレビュー取得エラー:', chrome.runtime.lastError?.message ?? response?.error);
+                    preview.textContent = getMessage('commonPreviewFailed');
+                    return;
+                }
 
-                if (chrome.runtime.lastError) {
-                    Logger.error('設定読み込みエラー:', chrome.runtime.lastError);
-                    displayStatusMessage(document.getElementById('status'), '✕ 設定の読み込みに失敗しました');
+                preview.replaceChildren(...formatCleanPreview(response.preview).map(line => {
+                    const div = document.createElement('div');
+                    div.textContent = line;
+                    return div;
+                }));
+            } catch (error) {
+                Logger.error('プレビュー表示エラー:', error);
+                preview.textContent = getMessage('commonUnexpectedError');
+            }
+        });
+    } catch (error) {
+        Logger.error('プレビュー実行エラー:', error);
+        preview.textContent = getMessage('commonUnexpectedError');
+        btn.disabled = false;
+    }
+});
+
+document.getElementById('deleteProfile').addEventListener('click', () => {
+    try {
+        if (editingProfileId === DEFAULT_PROFILE_ID) {
+            return;
+        }
+
+        const profile = profiles.find(p => p[PROFILE_KEYS.ID] === editingProfileId);
+        if (!confirm(getMessage('optionsConfirmDeleteProfile', [profile[PROFILE_KEYS.NAME], profiles[0][PROFILE_KEYS.NAME]]))) {
+            return;
+        }
+
+        profiles = profiles.filter(p => p[PROFILE_KEYS.ID] !== editingProfileId);
+        applyProfileToForm(profiles[0]);
+        renderProfileOptions();
+    } catch (error) {
+        Logger.error('プロファイル削除エラー:', error);
+    }
+});
+
+document.getElementById('scheduleMode').addEventListener('change', () => {
+    try {
+        updateScheduleVisibility();
+    } catch (error) {
+        Logger.error('定期実行表示切り替えエラー:', error);
+    }
+});
+
+// 削除期間の種類が変更されたら期間入力欄の表示を切り替える
+Object.values(RETENTION_CATEGORIES).forEach(category => {
+    document.getElementById(`${category}RetentionType`).addEventListener('change', () => {
+        try {
+            updateRetentionVisibility(category);
+        } catch (error) {
+            Logger.error('削除期間表示切り替えエラー:', error);
+        }
+    });
+});
+
+// 削除履歴の絞り込みと消去
+Object.entries(CLEAN_TRIGGER_LABELS).forEach(([trigger, labelId]) => {
+    const option = document.createElement('option');
+    option.value = trigger;
+    option.textContent = getMessage(labelId);
+    document.getElementById('logTriggerFilter').appendChild(option);
+});
+
+['logTriggerFilter', 'logErrorsOnly'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        renderCleanupLog().catch(error => Logger.error('削除履歴の表示エラー:', error));
+    });
+});
+
+document.getElementById('clearLog').addEventListener('click', () => {
+    try {
+        if (!confirm(getMessage('optionsConfirmClearLog'))) {
+            return;
+        }
+        // 記録中の削除履歴が書き戻されないよう、記録を行うバックグラウンドで消去する
+        chrome.runtime.sendMessage({ action: 'clearCleanupLog' }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                Logger.error('削除履歴の消去エラー:', chrome.runtime.lastError?.message ?? response?.error);
+                displayStatusMessage(document.getElementById('status'), getMessage('optionsClearLogFailed'));
+                return;
+            }
+            renderCleanupLog().catch(error => Logger.error('削除履歴の表示エラー:', error));
+        });
+    } catch (error) {
+        Logger.error('削除履歴の消去エラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsClearLogFailed'));
+    }
+});
+
+// 表示中に削除や同期、ホワイトリストの変更があった場合は履歴・同期の状態・一時的なエントリの一覧を更新する
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (CLEANUP_LOG_STORAGE_KEY in changes) {
+        renderCleanupLog().catch(error => Logger.error('削除履歴の表示エラー:', error));
+    }
+    if (SYNC_STATE_STORAGE_KEY in changes) {
+        renderSyncState(changes[SYNC_STATE_STORAGE_KEY].newValue);
+    }
+    // ポップアップからの追加や期限切れのエントリの削除を一時的なエントリの一覧に反映
+    if (STORAGE_KEYS.WHITELIST in changes) {
+        renderTemporaryWhitelist(changes[STORAGE_KEYS.WHITELIST].newValue ?? []);
+    }
+});
+
+/**
+ * インポートする設定（ファイルを検証済みで、取り込み待ちのもの）
+ * @type {Object|null}
+ */
+let pendingImport = null;
+
+/**
+ * 選択中のホワイトリストの取り込み方法を取得
+ * @returns {string} 取り込み方法（IMPORT_MODES の値）
+ */
+function getSelectedImportMode() {
+    const checked = document.querySelector('input[name="importMode"]:checked');
+    return checked?.value ?? IMPORT_MODES.MERGE;
+}
+
+/**
+ * 取り込み待ちの設定と保存済みの設定との差分を表示
+ * @returns {Promise<void>}
+ */
+async function renderImportPreview() {
+    const current = await chrome.storage.local.get(Object.values(STORAGE_KEYS));
+    const next = resolveImportedSettings(current, pendingImport, getSelectedImportMode());
+    document.getElementById('importDiff').replaceChildren(...formatSettingsDiff(current, next).map(line => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        return div;
+    }));
+    document.getElementById('importPreview').hidden = false;
+}
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+    try {
+        const stored = await chrome.storage.local.get(Object.values(STORAGE_KEYS));
+        const file = createSettingsFile(stored);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dehistory-settings-${file.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        Logger.error('設定エクスポートエラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsExportFailed'));
+    }
+});
+
+document.getElementById('importSettings').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    // 同じファイルを続けて選択した場合にも change を発生させる
+    e.target.value = '';
+    if (!file) {
+        return;
+    }
+
+    try {
+        const result = parseSettingsFile(await file.text());
+        if (!result.success) {
+            Logger.warn('設定ファイルのバリデーションエラー:', result.errors.map(formatMessage));
+            showErrorList(result.errors);
+            displayStatusMessage(document.getElementById('status'), getMessage('optionsImportFileErrors', [result.errors.length]));
+            document.getElementById('importPreview').hidden = true;
+            pendingImport = null;
+            return;
+        }
+
+        pendingImport = result.settings;
+        await renderImportPreview();
+    } catch (error) {
+        Logger.error('設定インポートエラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsImportFileFailed'));
+    }
+});
+
+document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+        renderImportPreview().catch(error => Logger.error('インポート差分の表示エラー:', error));
+    });
+});
+
+document.getElementById('applyImport').addEventListener('click', async () => {
+    const btn = document.getElementById('applyImport');
+    try {
+        if (!pendingImport) {
+            return;
+        }
+
+        btn.disabled = true;
+        // 差分を表示した後に設定が変更されている場合に備え、保存直前の設定に対して取り込む
+        const current = await chrome.storage.local.get(Object.values(STORAGE_KEYS));
+        await chrome.storage.local.set(resolveImportedSettings(current, pendingImport, getSelectedImportMode()));
+
+        pendingImport = null;
+        document.getElementById('importPreview').hidden = true;
+        loadSettingsToForm();
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsImportDone'), '#d4edda', '#155724');
+    } catch (error) {
+        Logger.error('設定インポートの保存エラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsImportFailed'));
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+document.getElementById('cancelImport').addEventListener('click', () => {
+    pendingImport = null;
+    document.getElementById('importPreview').hidden = true;
+});
+
+/**
+ * 設定の同期の状態を表示
+ * @param {Object} [state] - 同期の状態（未設定の場合は同期していない状態として表示）
+ * @returns {void}
+ */
+function renderSyncState(state) {
+    const status = document.getElementById('syncStatus');
+    const enabled = state?.enabled ?? false;
+
+    if (!enabled) {
+        status.textContent = getMessage('optionsSyncOff');
+        status.className = 'sync-status';
+    } else if (state.status === SYNC_STATUSES.QUOTA_EXCEEDED) {
+        status.textContent = getMessage('optionsSyncQuotaExceeded', [state.message]);
+        status.className = 'sync-status warning';
+    } else if (state.status === SYNC_STATUSES.ERROR) {
+        status.textContent = getMessage('optionsSyncError', [state.message]);
+        status.className = 'sync-status error';
+    } else {
+        status.textContent = state.lastSyncedAt
+            ? getMessage('optionsSyncOkAt', [new Date(state.lastSyncedAt).toLocaleString()])
+            : getMessage('optionsSyncOk');
+        status.className = 'sync-status';
+    }
+
+    document.getElementById('syncEnableRow').hidden = enabled;
+    document.getElementById('syncDisableRow').hidden = !enabled;
+}
+
+/**
+ * 設定の同期の有効化・停止をバックグラウンドに依頼
+ * @param {{action: string, strategy?: string}} message - 送信するメッセージ
+ * @returns {void}
+ */
+function sendSyncRequest(message) {
+    const buttons = [document.getElementById('enableSync'), document.getElementById('disableSync')];
+    buttons.forEach(btn => { btn.disabled = true; });
+
+    chrome.runtime.sendMessage(message, (response) => {
+        try {
+            buttons.forEach(btn => { btn.disabled = false; });
+            if (chrome.runtime.lastError || !response?.success) {
+                Logger.error('設定の同期の切り替えエラー:', chrome.runtime.lastError?.message ?? response?.error);
+                displayStatusMessage(document.getElementById('status'), getMessage('optionsSyncToggleFailed'));
+                return;
+            }
+
+            renderSyncState(response.state);
+            // 同期済みの設定を取り込んだ場合に備えて表示を更新する
+            if (message.strategy === SYNC_STRATEGIES.DOWNLOAD) {
+                loadSettingsToForm();
+            }
+        } catch (error) {
+            Logger.error('設定の同期の切り替え後処理エラー:', error);
+            displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
+        }
+    });
+}
+
+document.getElementById('enableSync').addEventListener('click', () => {
+    try {
+        const strategy = document.getElementById('syncStrategy').value;
+        if (strategy === SYNC_STRATEGIES.UPLOAD
+            && !confirm(getMessage('optionsConfirmSyncUpload'))) {
+            return;
+        }
+        sendSyncRequest({ action: 'enableSync', strategy });
+    } catch (error) {
+        Logger.error('設定の同期の有効化エラー:', error);
+    }
+});
+
+document.getElementById('disableSync').addEventListener('click', () => {
+    try {
+        sendSyncRequest({ action: 'disableSync' });
+    } catch (error) {
+        Logger.error('設定の同期の停止エラー:', error);
+    }
+});
+
+/**
+ * ストレージに保存されている一時的なホワイトリストのエントリ
+ * @type {Array<Object>}
+ * @description テキストエリアには期限なしのエントリのみを表示し、一時的なエントリは保存時にこの一覧から引き継ぐ
+ */
+let temporaryWhitelist = [];
+
+/**
+ * 一時的なホワイトリストのエントリを有効期限とともに表示
+ * @param {Array<Object>} whitelist - ストレージに保存されているホワイトリスト
+ * @returns {void}
+ * @description 有効期限が切れたエントリも取り除かれるまで表示し、期限なしに戻せるようにする
+ */
+function renderTemporaryWhitelist(whitelist) {
+    temporaryWhitelist = whitelist.filter(isTemporaryWhitelistEntry);
+
+    const now = Date.now();
+    const items = temporaryWhitelist.map(entry => {
+        const line = document.createElement('code');
+        line.textContent = formatWhitelistLine(entry);
+        const expiry = document.createElement('span');
+        expiry.textContent = formatWhitelistExpiry(entry, now);
+
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        button.textContent = getMessage('optionsMakePermanent');
+        button.addEventListener('click', () => makeWhitelistEntryPermanent(entry, button));
+
+        const item = document.createElement('li');
+        item.classList.toggle('expired', isWhitelistEntryExpired(entry, now));
+        item.replaceChildren(line, expiry, button);
+        return item;
+    });
+
+    document.getElementById('temporaryWhitelistItems').replaceChildren(...items);
+    document.getElementById('temporaryWhitelist').hidden = items.length === 0;
+}
+
+/**
+ * 一時的なホワイトリストのエントリを期限なしにする
+ * @param {Object} entry - 対象のエントリ
+ * @param {HTMLButtonElement} button - 押されたボタン
+ * @returns {void}
+ * @description 保存済みのエントリを変更し、編集中の内容を残したままテキストエリアの末尾に追加する
+ */
+function makeWhitelistEntryPermanent(entry, button) {
+    try {
+        button.disabled = true;
+        chrome.runtime.sendMessage({ action: 'makeWhitelistEntryPermanent', key: getEntryKey(entry) }, (response) => {
+            try {
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('ホワイトリストのエントリを期限なしにする処理のエラー:', chrome.runtime.lastError?.message ?? response?.error);
+                    displayStatusMessage(document.getElementById('status'), getMessage('commonSaveFailed'));
+                    button.disabled = false;
                     return;
                 }
 
-                // 配列であることを保証
-                const whitelist = result[STORAGE_KEYS.WHITELIST] || [];
-
-                // オブジェクト形式からカンマ区切り形式に変換して表示
-                const lines = whitelist.map(entry => {
-                    const domain = entry[WHITELIST_KEYS.DOMAIN];
-                    const keepCookies = entry[WHITELIST_KEYS.KEEP_COOKIES] ? 1 : 0;
-                    const keepCache = entry[WHITELIST_KEYS.KEEP_CACHE] ? 1 : 0;
-                    return `${domain},${keepCookies},${keepCache}`;
-                });
-                document.getElementById('whitelist').value = lines.join('\n');
-                document.getElementById('runOnStartup').checked = result[STORAGE_KEYS.RUN_ON_STARTUP] ?? DEFAULT_SETTINGS.RUN_ON_STARTUP;
-                document.getElementById('runOnClose').checked = result[STORAGE_KEYS.RUN_ON_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_CLOSE;
-                document.getElementById('removeDownloads').checked = result[STORAGE_KEYS.REMOVE_DOWNLOADS] ?? DEFAULT_SETTINGS.REMOVE_DOWNLOADS;
-                document.getElementById('removeFormData').checked = result[STORAGE_KEYS.REMOVE_FORMDATA] ?? DEFAULT_SETTINGS.REMOVE_FORMDATA;
-                document.getElementById('removeHistory').checked = result[STORAGE_KEYS.REMOVE_HISTORY] ?? DEFAULT_SETTINGS.REMOVE_HISTORY;
-                document.getElementById('removeCookies').checked = result[STORAGE_KEYS.REMOVE_COOKIES] ?? DEFAULT_SETTINGS.REMOVE_COOKIES;
-                document.getElementById('removeCacheAndStorage').checked = result[STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE] ?? DEFAULT_SETTINGS.REMOVE_CACHE_AND_STORAGE;
+                const textarea = document.getElementById('whitelist');
+                const line = formatWhitelistLine(response.entry);
+                textarea.value = textarea.value.trim() ? `${textarea.value.trimEnd()}\n${line}` : line;
+                // 一時的なエントリの一覧はストレージ変更の通知で更新する
+                displayStatusMessage(document.getElementById('status'), getMessage('optionsMadePermanent', [formatWhitelistDomain(response.entry)]), '#d4edda', '#155724');
             } catch (error) {
-                Logger.error('設定読み込み処理エラー:', error);
-                displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+                Logger.error('ホワイトリストのエントリを期限なしにした後の処理エラー:', error);
+                displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
             }
         });
+    } catch (error) {
+        Logger.error('ホワイトリストのエントリを期限なしにする処理のエラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
+        button.disabled = false;
+    }
+}
+
+/**
+ * ストレージからホワイトリストと設定を読み込んでフォームに表示
+ * @returns {void}
+ */
+function loadSettingsToForm() {
+    chrome.storage.local.get([
+        STORAGE_KEYS.WHITELIST,
+        STORAGE_KEYS.BLOCKLIST,
+        STORAGE_KEYS.PROFILES,
+        STORAGE_KEYS.TRIGGER_PROFILES,
+        STORAGE_KEYS.RUN_ON_STARTUP,
+        STORAGE_KEYS.RUN_ON_CLOSE,
+        STORAGE_KEYS.SCHEDULE_MODE,
+        STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS,
+        STORAGE_KEYS.SCHEDULE_DAILY_TIME,
+        STORAGE_KEYS.RUN_ON_IDLE,
+        STORAGE_KEYS.IDLE_MINUTES,
+        STORAGE_KEYS.RUN_ON_LOCK,
+        STORAGE_KEYS.RUN_ON_SITE_CLOSE,
+        STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS,
+        // プロファイルへの移行前の場合はデフォルトプロファイルの作成に使用する
+        STORAGE_KEYS.TARGET_MODE,
+        STORAGE_KEYS.REMOVE_DOWNLOADS,
+        STORAGE_KEYS.REMOVE_FORMDATA,
+        STORAGE_KEYS.REMOVE_HISTORY,
+        STORAGE_KEYS.REMOVE_COOKIES,
+        STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE,
+        STORAGE_KEYS.RETENTION
+    ], (result) => {
+        try {
+            Logger.debug('読み込んだ設定:', result);
+
+            if (chrome.runtime.lastError) {
+                Logger.error('設定読み込みエラー:', chrome.runtime.lastError);
+                displayStatusMessage(document.getElementById('status'), getMessage('commonLoadFailed'));
+                return;
+            }
+
+            // 配列であることを保証
+            const whitelist = result[STORAGE_KEYS.WHITELIST] || [];
+
+            // オブジェクト形式からカンマ区切り形式に変換して表示（一時的なエントリは別の一覧に表示）
+            document.getElementById('whitelist').value = whitelist
+                .filter(entry => !isTemporaryWhitelistEntry(entry))
+                .map(formatWhitelistLine)
+                .join('\n');
+            renderTemporaryWhitelist(whitelist);
+
+            const blocklist = result[STORAGE_KEYS.BLOCKLIST] || [];
+            document.getElementById('blocklist').value = blocklist.map(formatWhitelistDomain).join('\n');
+
+            profiles = normalizeProfiles(result);
+            savedProfileIds = new Set(profiles.map(profile => profile[PROFILE_KEYS.ID]));
+            applyProfileToForm(profiles[0]);
+            renderProfileOptions(normalizeTriggerProfiles(result[STORAGE_KEYS.TRIGGER_PROFILES], profiles));
+
+            document.getElementById('runOnStartup').checked = result[STORAGE_KEYS.RUN_ON_STARTUP] ?? DEFAULT_SETTINGS.RUN_ON_STARTUP;
+            document.getElementById('runOnClose').checked = result[STORAGE_KEYS.RUN_ON_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_CLOSE;
+            document.getElementById('scheduleMode').value = result[STORAGE_KEYS.SCHEDULE_MODE] ?? DEFAULT_SETTINGS.SCHEDULE_MODE;
+            document.getElementById('scheduleIntervalHours').value = result[STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS] ?? DEFAULT_SETTINGS.SCHEDULE_INTERVAL_HOURS;
+            document.getElementById('scheduleDailyTime').value = result[STORAGE_KEYS.SCHEDULE_DAILY_TIME] ?? DEFAULT_SETTINGS.SCHEDULE_DAILY_TIME;
+            updateScheduleVisibility();
+            document.getElementById('runOnIdle').checked = result[STORAGE_KEYS.RUN_ON_IDLE] ?? DEFAULT_SETTINGS.RUN_ON_IDLE;
+            document.getElementById('idleMinutes').value = result[STORAGE_KEYS.IDLE_MINUTES] ?? DEFAULT_SETTINGS.IDLE_MINUTES;
+            document.getElementById('runOnLock').checked = result[STORAGE_KEYS.RUN_ON_LOCK] ?? DEFAULT_SETTINGS.RUN_ON_LOCK;
+            document.getElementById('runOnSiteClose').checked = result[STORAGE_KEYS.RUN_ON_SITE_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_SITE_CLOSE;
+            document.getElementById('siteCloseDelaySeconds').value = result[STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS] ?? DEFAULT_SETTINGS.SITE_CLOSE_DELAY_SECONDS;
+        } catch (error) {
+            Logger.error('設定読み込み処理エラー:', error);
+            displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
+        }
+    });
+}
+
+/**
+ * ページ読み込み時にストレージからホワイトリストと設定を読み込んで表示
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        renderCleanupLog().catch(error => Logger.error('削除履歴の表示エラー:', error));
+        chrome.storage.local.get(SYNC_STATE_STORAGE_KEY)
+            .then(result => renderSyncState(result[SYNC_STATE_STORAGE_KEY]))
+            .catch(error => Logger.error('同期の状態の表示エラー:', error));
+        loadSettingsToForm();
     } catch (error) {
         Logger.error('DOMContentLoadedエラー:', error);
-        displayStatusMessage(document.getElementById('status'), '✕ 初期化に失敗しました');
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsInitFailed'));
     }
 });
 
 /**
  * 保存ボタンのクリックイベントハンドラー
- * @description ホワイトリストと設定をバリデーションしてストレージに保存
+ * @description ホワイトリスト・ブロックリストと設定をバリデーションしてストレージに保存
  */
 document.getElementById('save').addEventListener('click', () => {
     try {
@@ -79,90 +935,107 @@ document.getElementById('save').addEventListener('click', () => {
         // 連打防止：ボタンを無効化
         saveButton.disabled = true;
 
-        const textarea = document.getElementById('whitelist');
-        const lines = textarea.value
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
-
-        const whitelist = [];
-        const invalidLines = [];
-
-        // 各行をパース: [ドメイン,keepCookies,keepCache]形式または[ドメイン]形式
-        lines.forEach((line, index) => {
-            const result = parseWhitelistLine(line, index);
-            if (result.success) {
-                whitelist.push(result.entry);
-            } else {
-                invalidLines.push(result.error);
-            }
-        });
+        // 各行をパース: ホワイトリストは[ドメイン,keepCookies,keepCache]形式・[ドメイン 種類=keep ...]形式または[ドメイン]形式、ブロックリストは[ドメイン]形式
+        const { entries: whitelist, errors: whitelistErrors } = parseListFromTextarea('whitelist', parseWhitelistLine);
+        const { entries: blocklist, errors: blocklistErrors } = parseListFromTextarea('blocklist', parseBlocklistLine);
+        const whitelistLabel = createMessage('whitelistLabel');
+        const blocklistLabel = createMessage('blocklistLabel');
+        const invalidLines = [
+            ...whitelistErrors.map(error => createMessage('errorInList', whitelistLabel, error)),
+            ...blocklistErrors.map(error => createMessage('errorInList', blocklistLabel, error))
+        ];
 
     // バリデーションエラーがあれば警告表示して保存を中止
     if (invalidLines.length > 0) {
-        Logger.warn('ホワイトリストのバリデーションエラー:', invalidLines);
-        const errorList = document.getElementById('errorList');
-        const errorItems = document.getElementById('errorItems');
-        errorItems.innerHTML = invalidLines.map(error => `<li>${error}</li>`).join('');
-        errorList.style.display = 'block';
+        Logger.warn('ホワイトリスト・ブロックリストのバリデーションエラー:', invalidLines.map(formatMessage));
+        showErrorList(invalidLines);
 
-        displayStatusMessage(document.getElementById('status'), `⚠ ${invalidLines.length}件のエラーがあります`);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsErrorCount', [invalidLines.length]));
         saveButton.disabled = false;
         return;
     }
 
     // ドメインの重複チェック
-    const domainMap = new Map();
-    const duplicates = [];
-    whitelist.forEach((entry, index) => {
-        const domain = entry[WHITELIST_KEYS.DOMAIN];
-        if (domainMap.has(domain)) {
-            duplicates.push(`行${index + 1}: ドメイン "${domain}" が重複しています（最初の出現: 行${domainMap.get(domain) + 1}）`);
-        } else {
-            domainMap.set(domain, index);
-        }
-    });
+    const duplicates = [
+        ...findDuplicateDomains(whitelist).map(error => createMessage('errorInList', whitelistLabel, error)),
+        ...findDuplicateDomains(blocklist).map(error => createMessage('errorInList', blocklistLabel, error))
+    ];
 
     if (duplicates.length > 0) {
-        Logger.warn('ドメインの重複エラー:', duplicates);
-        const errorList = document.getElementById('errorList');
-        const errorItems = document.getElementById('errorItems');
-        errorItems.innerHTML = duplicates.map(error => `<li>${error}</li>`).join('');
-        errorList.style.display = 'block';
+        Logger.warn('ドメインの重複エラー:', duplicates.map(formatMessage));
+        showErrorList(duplicates);
 
-        displayStatusMessage(document.getElementById('status'), `⚠ ドメインの重複があります`);
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsDuplicateDomains'));
         saveButton.disabled = false;
         return;
     }
 
     const runOnStartup = document.getElementById('runOnStartup').checked;
     const runOnClose = document.getElementById('runOnClose').checked;
-    const removeDownloads = document.getElementById('removeDownloads').checked;
-    const removeFormData = document.getElementById('removeFormData').checked;
-    const removeHistory = document.getElementById('removeHistory').checked;
-    const removeCookies = document.getElementById('removeCookies').checked;
-    const removeCacheAndStorage = document.getElementById('removeCacheAndStorage').checked;
+
+    const settingErrors = [];
+
+    const runOnIdle = document.getElementById('runOnIdle').checked;
+    const idleMinutesInput = Number(document.getElementById('idleMinutes').value);
+    const runOnLock = document.getElementById('runOnLock').checked;
+    if (runOnIdle && !isValidIdleMinutes(idleMinutesInput)) {
+        settingErrors.push(createMessage('errorIdleMinutes', MAX_IDLE_MINUTES));
+    }
+    const idleMinutes = isValidIdleMinutes(idleMinutesInput) ? idleMinutesInput : DEFAULT_SETTINGS.IDLE_MINUTES;
+
+    const runOnSiteClose = document.getElementById('runOnSiteClose').checked;
+    const siteCloseDelayInput = Number(document.getElementById('siteCloseDelaySeconds').value);
+    if (runOnSiteClose && !isValidSiteCloseDelay(siteCloseDelayInput)) {
+        settingErrors.push(createMessage('errorSiteCloseDelay', MIN_SITE_CLOSE_DELAY_SECONDS, MAX_SITE_CLOSE_DELAY_SECONDS));
+    }
+    const siteCloseDelaySeconds = isValidSiteCloseDelay(siteCloseDelayInput)
+        ? siteCloseDelayInput
+        : DEFAULT_SETTINGS.SITE_CLOSE_DELAY_SECONDS;
+
+    const schedule = readScheduleFromForm();
+    settingErrors.push(...schedule.errors, ...commitEditingProfile());
+
+    if (settingErrors.length > 0) {
+        Logger.warn('設定のバリデーションエラー:', settingErrors.map(formatMessage));
+        showErrorList(settingErrors);
+
+        displayStatusMessage(document.getElementById('status'), getMessage('optionsSettingErrorCount', [settingErrors.length]));
+        saveButton.disabled = false;
+        return;
+    }
+
+    // 一時的なエントリは、同じドメインを期限なしでテキストエリアに入力した場合を除いて引き継ぐ
+    const enteredKeys = new Set(whitelist.map(getEntryKey));
+    const keptTemporaryEntries = temporaryWhitelist.filter(entry => !enteredKeys.has(getEntryKey(entry)));
 
     chrome.storage.local.set({
-        [STORAGE_KEYS.WHITELIST]: whitelist,
+        [STORAGE_KEYS.WHITELIST]: [...whitelist, ...keptTemporaryEntries],
+        [STORAGE_KEYS.BLOCKLIST]: blocklist,
         [STORAGE_KEYS.RUN_ON_STARTUP]: runOnStartup,
         [STORAGE_KEYS.RUN_ON_CLOSE]: runOnClose,
-        [STORAGE_KEYS.REMOVE_DOWNLOADS]: removeDownloads,
-        [STORAGE_KEYS.REMOVE_FORMDATA]: removeFormData,
-        [STORAGE_KEYS.REMOVE_HISTORY]: removeHistory,
-        [STORAGE_KEYS.REMOVE_COOKIES]: removeCookies,
-        [STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE]: removeCacheAndStorage
+        [STORAGE_KEYS.SCHEDULE_MODE]: schedule.mode,
+        [STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS]: schedule.intervalHours,
+        [STORAGE_KEYS.SCHEDULE_DAILY_TIME]: schedule.dailyTime,
+        [STORAGE_KEYS.RUN_ON_IDLE]: runOnIdle,
+        [STORAGE_KEYS.IDLE_MINUTES]: idleMinutes,
+        [STORAGE_KEYS.RUN_ON_LOCK]: runOnLock,
+        [STORAGE_KEYS.RUN_ON_SITE_CLOSE]: runOnSiteClose,
+        [STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS]: siteCloseDelaySeconds,
+        [STORAGE_KEYS.PROFILES]: profiles,
+        [STORAGE_KEYS.TRIGGER_PROFILES]: readTriggerProfilesFromForm()
     }, () => {
             try {
                 if (chrome.runtime.lastError) {
                     Logger.error('設定保存エラー:', chrome.runtime.lastError);
-                    displayStatusMessage(document.getElementById('status'), '✕ 設定の保存に失敗しました');
+                    displayStatusMessage(document.getElementById('status'), getMessage('optionsSaveFailed'));
                     saveButton.disabled = false;
                     return;
                 }
 
+                savedProfileIds = new Set(profiles.map(profile => profile[PROFILE_KEYS.ID]));
+
                 const status = document.getElementById('status');
-                status.textContent = `✓ 設定を保存しました`;
+                status.textContent = getMessage('optionsSaved');
                 status.className = 'status success';
                 status.style.display = '';  // インラインスタイルをクリア
                 status.style.backgroundColor = '';
@@ -173,13 +1046,13 @@ document.getElementById('save').addEventListener('click', () => {
                 }, 3000);
             } catch (error) {
                 Logger.error('設定保存後処理エラー:', error);
-                displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+                displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
                 saveButton.disabled = false;
             }
         });
     } catch (error) {
         Logger.error('保存処理エラー:', error);
-        displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+        displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
         const saveButton = document.getElementById('save');
         if (saveButton) saveButton.disabled = false;
     }
@@ -1,26 +1,155 @@
 /**
  * @file ポップアップUIのスクリプト
- * @description ブラウジングデータ削除の実行とホワイトリスト管理のUIロジック
+ * @description ブラウジングデータ削除の実行（プロファイル選択）とホワイトリスト管理のUIロジック
  */
 
 import { Logger } from './logger.js';
 import {
-    DEFAULT_SETTINGS,
     STORAGE_KEYS,
-    WHITELIST_KEYS
+    PROFILE_KEYS,
+    CLEAN_TRIGGERS
 } from './constants.js';
 
 import {
     displayStatusMessage,
-    clearStatusMessage
+    clearStatusMessage,
+    formatWhitelistDomain,
+    formatWhitelistExpiry,
+    toDisplayHost,
+    normalizeProfiles,
+    normalizeTriggerProfiles,
+    getDataTypeLabel,
+    formatCleanPreview
 } from './utils.js';
+import { CleanJournal } from './cleanJournal.js';
+import {
+    getMessage,
+    localizeDocument
+} from './i18n.js';
+
+// ページの文字列を表示言語のメッセージに置き換える
+localizeDocument();
 
 /**
- * 現在アクティブなタブのドメイン名
+ * 現在アクティブなタブのドメイン名（既定以外のポート番号の場合は「ホスト:ポート」）
  * @type {string}
  */
 let currentDomain = '';
 
+/**
+ * 現在アクティブなタブのID
+ * @type {number|undefined}
+ */
+let currentTabId;
+
+/**
+ * ブラウザ終了時の削除を次回起動時にやり直した場合、またはやり直しに失敗した場合に通知を表示
+ * @returns {Promise<void>}
+ * @description 通知は一度だけ表示し、表示後は通知済みにする。
+ * 次回起動時に再度やり直す失敗は、やり直しが終わるまで表示し続ける
+ */
+async function showRecoveryNotice() {
+    try {
+        const cleanJournal = new CleanJournal();
+        const text = await getRecoveryNoticeText(cleanJournal);
+        if (!text) {
+            return;
+        }
+
+        const notice = document.getElementById('recoveryNotice');
+        notice.textContent = text;
+        notice.hidden = false;
+        await cleanJournal.acknowledge();
+    } catch (error) {
+        Logger.error('削除のやり直しの通知エラー:', error);
+    }
+}
+
+/**
+ * 削除のやり直しの通知文を取得
+ * @param {CleanJournal} cleanJournal - ブラウザ終了時の削除の完了記録
+ * @returns {Promise<string|null>} 通知することがない場合は null
+ */
+async function getRecoveryNoticeText(cleanJournal) {
+    const recovered = await cleanJournal.getRecovered();
+    if (recovered) {
+        return getMessage('popupCloseCleanRecovered', [
+            new Date(recovered.startedAt).toLocaleString(),
+            new Date(recovered.recoveredAt).toLocaleString()
+        ]);
+    }
+
+    const failure = await cleanJournal.getRecoveryFailure();
+    if (!failure) {
+        return null;
+    }
+    const messageId = failure.failedAt ? 'popupCloseCleanRecoveryFailed' : 'popupCloseCleanRecoveryRetrying';
+    return getMessage(messageId, [
+        new Date(failure.startedAt).toLocaleString(),
+        String(failure.attempts),
+        failure.lastError
+    ]);
+}
+
+showRecoveryNotice();
+
+/**
+ * プロファイルの選択肢を読み込む
+ * @returns {void}
+ * @description 手動実行に設定されたプロファイルを初期選択にする
+ */
+function loadProfileOptions() {
+    // プロファイルへの移行前の場合に備えて旧形式のキーも読み込む
+    chrome.storage.local.get(Object.values(STORAGE_KEYS), (result) => {
+        try {
+            if (chrome.runtime.lastError) {
+                Logger.error('プロファイル取得エラー:', chrome.runtime.lastError.message);
+                return;
+            }
+
+            const profiles = normalizeProfiles(result);
+            const triggerProfiles = normalizeTriggerProfiles(result[STORAGE_KEYS.TRIGGER_PROFILES], profiles);
+            const select = document.getElementById('profileSelect');
+            select.replaceChildren(...profiles.map(profile => {
+                const option = document.createElement('option');
+                option.value = profile[PROFILE_KEYS.ID];
+                option.textContent = profile[PROFILE_KEYS.NAME];
+                return option;
+            }));
+            select.value = triggerProfiles[CLEAN_TRIGGERS.MANUAL];
+        } catch (error) {
+            Logger.error('プロファイル読み込み処理エラー:', error);
+        }
+    });
+}
+
+loadProfileOptions();
+
+/**
+ * プロファイル選択の変更イベントハンドラー
+ * @description 次回ポップアップを開いたときも同じプロファイルを選択するよう保存する
+ */
+document.getElementById('profileSelect').addEventListener('change', (e) => {
+    try {
+        // 表示中のプレビューは変更前のプロファイルのものなので閉じる
+        document.getElementById('preview').classList.remove('show');
+
+        chrome.storage.local.get([STORAGE_KEYS.TRIGGER_PROFILES], (result) => {
+            if (chrome.runtime.lastError) {
+                Logger.error('プロファイル設定取得エラー:', chrome.runtime.lastError.message);
+                return;
+            }
+            const triggerProfiles = {
+                ...result[STORAGE_KEYS.TRIGGER_PROFILES],
+                [CLEAN_TRIGGERS.MANUAL]: e.target.value
+            };
+            chrome.storage.local.set({ [STORAGE_KEYS.TRIGGER_PROFILES]: triggerProfiles });
+        });
+    } catch (error) {
+        Logger.error('プロファイル選択保存エラー:', error);
+    }
+});
+
 /**
  * 設定ボタンのクリックイベントハンドラー
  * @description オプションページを開く
@@ -32,28 +161,25 @@ document.getElementById('settingsBtn').addEventListener('click', () => {
 /**
  * ホワイトリストボタンの表示を更新
  * @returns {void}
- * @description 現在のドメインがホワイトリストに含まれているかチェックし、
+ * @description 現在のドメインがホワイトリストに含まれているかバックグラウンドに問い合わせ、
  * ボタンのテキストとスタイルを更新する
  */
 function updateWhitelistButton() {
     try {
         if (!currentDomain) return;
         
-        chrome.storage.local.get([STORAGE_KEYS.WHITELIST], (result) => {
+        chrome.runtime.sendMessage({ action: 'getWhitelistStatus', host: currentDomain }, (response) => {
             try {
-                if (chrome.runtime.lastError) {
-                    Logger.error('ホワイトリスト取得エラー:', chrome.runtime.lastError.message);
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('ホワイトリスト取得エラー:', chrome.runtime.lastError?.message ?? response?.error);
                     return;
                 }
                 
-                const whitelist = result[STORAGE_KEYS.WHITELIST] || [];
-                const exists = whitelist.some(entry => {
-                    const domain = entry[WHITELIST_KEYS.DOMAIN];
-                    return domain === currentDomain;
-                });
+                const { entry, siteDomain } = response.status;
+                const exists = entry !== null;
                 
                 const btn = document.getElementById('addToWhitelistBtn');
-                btn.textContent = exists ? 'ホワイトリストから除外する' : 'ホワイトリストに追加する';
+                btn.textContent = getMessage(exists ? 'popupRemoveFromWhitelist' : 'popupAddToWhitelist');
                 
                 // ボタンの色を変更
                 if (exists) {
@@ -67,10 +193,30 @@ function updateWhitelistButton() {
                 // currentSiteの表示を更新
                 const currentSiteDiv = document.getElementById('currentSite');
                 if (exists) {
-                    currentSiteDiv.innerHTML = `現在のサイト: ${currentDomain}<br>ホワイトリストに登録されています`;
+                    const registered = formatWhitelistDomain(entry);
+                    const whitelisted = registered === toDisplayHost(currentDomain)
+                        ? getMessage('popupWhitelisted')
+                        : getMessage('popupWhitelistedAs', [registered]);
+                    // 一時的に登録したエントリは有効期限も表示
+                    const expiry = formatWhitelistExpiry(entry);
+                    // 表示用のドメインは Unicode に変換しているため innerHTML は使用しない
+                    currentSiteDiv.replaceChildren(
+                        getMessage('popupCurrentSite', [toDisplayHost(currentDomain)]),
+                        document.createElement('br'),
+                        expiry ? getMessage('popupWhitelistedWithExpiry', [whitelisted, expiry]) : whitelisted
+                    );
                 } else {
-                    currentSiteDiv.textContent = `現在のサイト: ${currentDomain}`;
+                    currentSiteDiv.textContent = getMessage('popupCurrentSite', [toDisplayHost(currentDomain)]);
+                }
+
+                // 未登録の場合のみサイト全体を対象にする選択肢を表示
+                if (siteDomain) {
+                    document.getElementById('siteScopeLabel').textContent =
+                        getMessage('popupSiteScope', [toDisplayHost(siteDomain)]);
                 }
+                document.getElementById('siteScopeOption').style.display =
+                    !exists && siteDomain ? 'block' : 'none';
+                document.getElementById('whitelistDurationOption').style.display = exists ? 'none' : 'block';
             } catch (error) {
                 Logger.error('ホワイトリストボタン更新処理エラー:', error);
             }
@@ -80,12 +226,21 @@ function updateWhitelistButton() {
     }
 }
 
+/**
+ * 現在のサイトを対象にするボタンを無効化
+ * @returns {void}
+ */
+function disableSiteButtons() {
+    document.getElementById('addToWhitelistBtn').disabled = true;
+    document.getElementById('cleanSiteBtn').disabled = true;
+}
+
 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     try {
         if (chrome.runtime.lastError) {
             Logger.error('タブ情報取得エラー:', chrome.runtime.lastError.message);
-            document.getElementById('currentSite').textContent = 'タブ情報を取得できません';
-            document.getElementById('addToWhitelistBtn').disabled = true;
+            document.getElementById('currentSite').textContent = getMessage('popupTabUnavailable');
+            disableSiteButtons();
             return;
         }
 
@@ -93,23 +248,25 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
             try {
                 const url = new URL(tabs[0].url);
                 if (url.protocol !== 'https:' && url.protocol !== 'http:') {
-                    document.getElementById('currentSite').textContent = 'このサイトは追加できません';
-                    document.getElementById('addToWhitelistBtn').disabled = true;
+                    document.getElementById('currentSite').textContent = getMessage('popupSiteNotAllowed');
+                    disableSiteButtons();
                     return;
                 }
-                currentDomain = url.hostname;
-                document.getElementById('currentSite').textContent = `現在のサイト: ${currentDomain}`;
+                // localhost:3000 などポート番号で区別されるサイトを扱えるよう、ポート番号を含めて取得
+                currentDomain = url.host;
+                currentTabId = tabs[0].id;
+                document.getElementById('currentSite').textContent = getMessage('popupCurrentSite', [toDisplayHost(currentDomain)]);
                 updateWhitelistButton();
             } catch (e) {
                 Logger.error('URL解析エラー:', e);
-                document.getElementById('currentSite').textContent = '現在のサイトを取得できません';
-                document.getElementById('addToWhitelistBtn').disabled = true;
+                document.getElementById('currentSite').textContent = getMessage('popupSiteUnavailable');
+                disableSiteButtons();
             }
         }
     } catch (error) {
         Logger.error('タブ情報処理エラー:', error);
-        document.getElementById('currentSite').textContent = 'エラーが発生しました';
-        document.getElementById('addToWhitelistBtn').disabled = true;
+        document.getElementById('currentSite').textContent = getMessage('commonErrorOccurred');
+        disableSiteButtons();
     }
 });
 
@@ -123,25 +280,26 @@ document.getElementById('executeBtn').addEventListener('click', () => {
         // 連打防止：ボタンを無効化
         btn.disabled = true;
 
-        // バックグラウンドスクリプトにメッセージを送信してdeleteData()を実行
-        chrome.runtime.sendMessage({ action: 'deleteData' }, (response) => {
+        // バックグラウンドスクリプトにメッセージを送信して選択中のプロファイルで削除を実行
+        const profileId = document.getElementById('profileSelect').value || undefined;
+        chrome.runtime.sendMessage({ action: 'deleteData', profileId }, (response) => {
             try {
                 if (chrome.runtime.lastError) {
                     Logger.error('メッセージ送信エラー:', chrome.runtime.lastError.message);
-                    displayStatusMessage(document.getElementById('status'), `✕ エラー: ${chrome.runtime.lastError.message}`);
+                    displayStatusMessage(document.getElementById('status'), getMessage('commonErrorWithDetail', [chrome.runtime.lastError.message]));
                     btn.disabled = false;
                     return;
                 }
 
                 if (response && !response.success) {
                     Logger.error('データ削除エラー:', response.error);
-                    displayStatusMessage(document.getElementById('status'), '✕ データ削除に失敗しました');
+                    displayStatusMessage(document.getElementById('status'), getMessage('popupCleanFailed'));
                     btn.disabled = false;
                     return;
                 }
 
                 const status = document.getElementById('status');
-                status.textContent = '✓ データ削除を実行しました';
+                status.textContent = getMessage('popupCleanDone');
                 status.className = 'success';
                 
                 setTimeout(() => {
@@ -149,54 +307,61 @@ document.getElementById('executeBtn').addEventListener('click', () => {
                 }, 1500);
             } catch (error) {
                 Logger.error('データ削除レスポンス処理エラー:', error);
-                displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+                displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
                 btn.disabled = false;
             }
         });
     } catch (error) {
         Logger.error('データ削除実行エラー:', error);
-        displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+        displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
         const btn = document.getElementById('executeBtn');
         if (btn) btn.disabled = false;
     }
 });
 
 /**
- * ホワイトリストを保存して成功メッセージを表示
- * @param {Array<{domain: string, keepCookies: boolean, keepCache: boolean}>} whitelist - 保存するホワイトリスト
- * @param {string} message - 表示するメッセージ
- * @returns {void}
+ * プレビューボタンのクリックイベントハンドラー
+ * @description 選択中のプロファイルで削除した場合に削除される内容を表示する（削除は行わない）
  */
-function saveWhitelistWithMessage(whitelist, message) {
+document.getElementById('previewBtn').addEventListener('click', () => {
+    const btn = document.getElementById('previewBtn');
+    const preview = document.getElementById('preview');
     try {
-        chrome.storage.local.set({ [STORAGE_KEYS.WHITELIST]: whitelist }, () => {
+        btn.disabled = true;
+        preview.textContent = getMessage('commonCounting');
+        preview.classList.add('show');
+
+        const profileId = document.getElementById('profileSelect').value || undefined;
+        chrome.runtime.sendMessage({ action: 'previewData', profileId }, (response) => {
             try {
-                if (chrome.runtime.lastError) {
-                    Logger.error('ホワイトリスト保存エラー:', chrome.runtime.lastError.message);
-                    displayStatusMessage(document.getElementById('status'), '✕ 保存に失敗しました');
+                btn.disabled = false;
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('プレビュー取得エラー:', chrome.runtime.lastError?.message ?? response?.error);
+                    preview.textContent = getMessage('commonPreviewFailed');
                     return;
                 }
 
-                const status = document.getElementById('status');
-                status.textContent = message;
-                status.className = 'success';
-                setTimeout(() => {
-                    window.close();
-                }, 1500);
+                preview.replaceChildren(...formatCleanPreview(response.preview).map(line => {
+                    const div = document.createElement('div');
+                    div.textContent = line;
+                    return div;
+                }));
             } catch (error) {
-                Logger.error('保存後処理エラー:', error);
-                displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+                Logger.error('プレビュー表示エラー:', error);
+                preview.textContent = getMessage('commonUnexpectedError');
             }
         });
     } catch (error) {
-        Logger.error('ホワイトリスト保存処理エラー:', error);
-        displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+        Logger.error('プレビュー実行エラー:', error);
+        preview.textContent = getMessage('commonUnexpectedError');
+        btn.disabled = false;
     }
-}
+});
 
 /**
  * ホワイトリスト追加/除外ボタンのクリックイベントハンドラー
  * @description 現在のドメインをホワイトリストに追加、またはホワイトリストから除外
+ * （切り替えはショートカットと共通のバックグラウンドの処理で行う）
  */
 document.getElementById('addToWhitelistBtn').addEventListener('click', () => {
     try {
@@ -208,52 +373,87 @@ document.getElementById('addToWhitelistBtn').addEventListener('click', () => {
         // 連打防止：ボタンを無効化
         btn.disabled = true;
 
-        chrome.storage.local.get([STORAGE_KEYS.WHITELIST], (result) => {
+        // サイト全体を対象にする場合は登録可能ドメインをサブドメイン込みで登録
+        const siteScope = document.getElementById('siteScope').checked;
+        // 追加する場合の保持期間（除外する場合は使用しない）
+        const duration = document.getElementById('whitelistDuration').value;
+        chrome.runtime.sendMessage({ action: 'toggleWhitelist', host: currentDomain, siteScope, duration }, (response) => {
             try {
-                if (chrome.runtime.lastError) {
-                    Logger.error('ホワイトリスト取得エラー:', chrome.runtime.lastError.message);
-                    displayStatusMessage(document.getElementById('status'), '✕ 設定の読み込みに失敗しました');
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('ホワイトリスト保存エラー:', chrome.runtime.lastError?.message ?? response?.error);
+                    displayStatusMessage(document.getElementById('status'), getMessage('commonSaveFailed'));
                     btn.disabled = false;
                     return;
                 }
 
-                let whitelist = result[STORAGE_KEYS.WHITELIST] || [];
-                
-                // すでに存在するかチェック
-                const existingIndex = whitelist.findIndex(entry => {
-                    const domain = entry[WHITELIST_KEYS.DOMAIN];
-                    return domain === currentDomain;
-                });
-
-                if (existingIndex !== -1) {
-                    // ホワイトリストから除外
-                    whitelist.splice(existingIndex, 1);
-                    saveWhitelistWithMessage(
-                        whitelist,
-                        `✓ ${currentDomain} をホワイトリストから除外しました`
-                    );
-                } else {
-                    // 新しいエントリを追加（デフォルトですべて保持）
-                    whitelist.push({
-                        [WHITELIST_KEYS.DOMAIN]: currentDomain,
-                        [WHITELIST_KEYS.KEEP_COOKIES]: DEFAULT_SETTINGS.WHITELIST_KEEP_COOKIES,
-                        [WHITELIST_KEYS.KEEP_CACHE]: DEFAULT_SETTINGS.WHITELIST_KEEP_CACHE
-                    });
-                    saveWhitelistWithMessage(
-                        whitelist,
-                        `✓ ${currentDomain} をホワイトリストに追加しました`
-                    );
-                }
+                const status = document.getElementById('status');
+                const message = getMessage(
+                    response.added ? 'popupAddedToWhitelist' : 'popupRemovedFromWhitelist',
+                    [formatWhitelistDomain(response.entry)]
+                );
+                const expiry = response.added ? formatWhitelistExpiry(response.entry) : null;
+                status.textContent = expiry ? getMessage('popupWhitelistedWithExpiry', [message, expiry]) : message;
+                status.className = 'success';
+                setTimeout(() => {
+                    window.close();
+                }, 1500);
             } catch (error) {
                 Logger.error('ホワイトリスト処理エラー:', error);
-                displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+                displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
                 btn.disabled = false;
             }
         });
     } catch (error) {
         Logger.error('ホワイトリスト追加/除外エラー:', error);
-        displayStatusMessage(document.getElementById('status'), '✕ 予期しないエラーが発生しました');
+        displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
         const btn = document.getElementById('addToWhitelistBtn');
         if (btn) btn.disabled = false;
     }
 });
+
+/**
+ * サイトデータ削除ボタンのクリックイベントハンドラー
+ * @description 現在のサイトのCookie・サイトデータ・キャッシュ（指定時は閲覧履歴も）を削除し、タブを再読み込みする。
+ * ホワイトリストで保持に設定したデータは削除されない
+ */
+document.getElementById('cleanSiteBtn').addEventListener('click', () => {
+    const btn = document.getElementById('cleanSiteBtn');
+    try {
+        if (!currentDomain) {
+            return;
+        }
+
+        // 連打防止：ボタンを無効化
+        btn.disabled = true;
+
+        const includeHistory = document.getElementById('cleanSiteHistory').checked;
+        chrome.runtime.sendMessage({ action: 'cleanSite', host: currentDomain, tabId: currentTabId, includeHistory }, (response) => {
+            try {
+                if (chrome.runtime.lastError || !response?.success) {
+                    Logger.error('サイトデータ削除エラー:', chrome.runtime.lastError?.message ?? response?.error);
+                    displayStatusMessage(document.getElementById('status'), getMessage('popupSiteCleanFailed'));
+                    btn.disabled = false;
+                    return;
+                }
+
+                const kept = response.kept.map(getDataTypeLabel);
+                const status = document.getElementById('status');
+                status.textContent = kept.length > 0
+                    ? getMessage('popupSiteCleanDoneWithKept', [kept.join(getMessage('listSeparator'))])
+                    : getMessage('popupSiteCleanDone');
+                status.className = 'success';
+                setTimeout(() => {
+                    window.close();
+                }, 1500);
+            } catch (error) {
+                Logger.error('サイトデータ削除レスポンス処理エラー:', error);
+                displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
+                btn.disabled = false;
+            }
+        });
+    } catch (error) {
+        Logger.error('サイトデータ削除実行エラー:', error);
+        displayStatusMessage(document.getElementById('status'), getMessage('commonUnexpectedError'));
+        btn.disabled = false;
+    }
+});
@@ -0,0 +1,142 @@
+/**
+ * @file 国際化ドメイン名（IDN）の変換
+ * @description ホスト名の Unicode 表記と punycode（xn--）表記を相互に変換
+ */
+
+// RFC 3492 のパラメータ
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+
+/**
+ * punycode のプレフィックス
+ * @const {string}
+ */
+const ACE_PREFIX = 'xn--';
+
+/**
+ * バイアスの調整（RFC 3492 6.1）
+ * @param {number} delta
+ * @param {number} numPoints
+ * @param {boolean} firstTime
+ * @returns {number}
+ */
+function adapt(delta, numPoints, firstTime) {
+    let k = 0;
+    delta = firstTime ? Math.floor(delta / DAMP) : Math.floor(delta / 2);
+    delta += Math.floor(delta / numPoints);
+    while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+        delta = Math.floor(delta / (BASE - T_MIN));
+        k += BASE;
+    }
+    return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+/**
+ * 基本文字を数値に変換
+ * @param {number} codePoint - 文字コード
+ * @returns {number} 無効な文字の場合は BASE
+ */
+function basicToDigit(codePoint) {
+    if (codePoint >= 0x30 && codePoint <= 0x39) return codePoint - 0x30 + 26;
+    if (codePoint >= 0x41 && codePoint <= 0x5a) return codePoint - 0x41;
+    if (codePoint >= 0x61 && codePoint <= 0x7a) return codePoint - 0x61;
+    return BASE;
+}
+
+/**
+ * punycode 文字列（xn-- を除いた部分）をデコード（RFC 3492 6.2）
+ * @param {string} input - デコードする文字列
+ * @returns {string} Unicode 文字列
+ * @throws {RangeError} 不正な punycode の場合
+ */
+function decodeLabel(input) {
+    const output = [];
+    let n = INITIAL_N;
+    let i = 0;
+    let bias = INITIAL_BIAS;
+
+    const basicLength = Math.max(input.lastIndexOf('-'), 0);
+    for (let j = 0; j < basicLength; j++) {
+        if (input.charCodeAt(j) >= 0x80) {
+            throw new RangeError('不正な punycode です');
+        }
+        output.push(input.charCodeAt(j));
+    }
+
+    let index = basicLength > 0 ? basicLength + 1 : 0;
+    while (index < input.length) {
+        const oldi = i;
+        for (let w = 1, k = BASE; ; k += BASE) {
+            if (index >= input.length) {
+                throw new RangeError('不正な punycode です');
+            }
+            const digit = basicToDigit(input.charCodeAt(index++));
+            if (digit >= BASE) {
+                throw new RangeError('不正な punycode です');
+            }
+            i += digit * w;
+            const t = k <= bias ? T_MIN : (k >= bias + T_MAX ? T_MAX : k - bias);
+            if (digit < t) break;
+            w *= BASE - t;
+        }
+
+        const length = output.length + 1;
+        bias = adapt(i - oldi, length, oldi === 0);
+        n += Math.floor(i / length);
+        i %= length;
+        output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * ホスト名を表示用の Unicode 表記に変換
+ * @param {string} host - ホスト名（ポート付きも可）
+ * @returns {string} xn-- で始まるラベルを Unicode に変換したホスト名（変換できない場合はそのまま）
+ * @example
+ * toUnicodeHost('xn--r8jz45g.jp'); // '例え.jp'
+ */
+function toUnicodeHost(host) {
+    // IPv6 アドレスは変換対象外
+    if (!host || host.startsWith('[')) {
+        return host;
+    }
+
+    return host.split('.').map(label => {
+        if (!label.toLowerCase().startsWith(ACE_PREFIX)) {
+            return label;
+        }
+        try {
+            return decodeLabel(label.slice(ACE_PREFIX.length));
+        } catch (error) {
+            return label;
+        }
+    }).join('.');
+}
+
+/**
+ * ホスト名を ASCII（punycode）表記に変換
+ * @param {string} hostname - ホスト名（ポートを含まない）
+ * @returns {string|null} 変換後のホスト名（変換できない場合はnull）
+ * @description ブラウザの URL パーサーによる IDNA 変換を利用する
+ * @example
+ * toASCIIHostname('例え.jp'); // 'xn--r8jz45g.jp'
+ */
+function toASCIIHostname(hostname) {
+    try {
+        return new URL(`http://${hostname}`).hostname || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    toUnicodeHost,
+    toASCIIHostname
+};
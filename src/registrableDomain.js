@@ -0,0 +1,122 @@
+/**
+ * @file 登録可能ドメイン（eTLD+1）の算出
+ * @description 同梱の Public Suffix List を使用して、ホスト名からサイト単位のドメインを求める
+ */
+
+import { PUBLIC_SUFFIX_RULES } from './publicSuffixList.js';
+
+/**
+ * 解析済みのルール（初回使用時に構築）
+ * @type {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}|null}
+ */
+let parsedRules = null;
+
+/**
+ * ルール文字列を照合用のセットに変換
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}}
+ * @description
+ * - rules: 通常のルール（例: co.uk）
+ * - wildcards: 「*.」を除いたワイルドカードルール（例: *.ck → ck）
+ * - exceptions: 「!」を除いた例外ルール（例: !www.ck → www.ck）
+ */
+function getParsedRules() {
+    if (parsedRules) {
+        return parsedRules;
+    }
+
+    parsedRules = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+    for (const line of PUBLIC_SUFFIX_RULES.split('\n')) {
+        const rule = line.trim();
+        if (!rule) continue;
+
+        if (rule.startsWith('!')) {
+            parsedRules.exceptions.add(rule.slice(1));
+        } else if (rule.startsWith('*.')) {
+            parsedRules.wildcards.add(rule.slice(2));
+        } else {
+            parsedRules.rules.add(rule);
+        }
+    }
+    return parsedRules;
+}
+
+/**
+ * IPアドレスかどうかを判定
+ * @param {string} host - ホスト名
+ * @returns {boolean}
+ */
+function isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+/**
+ * ホスト名のパブリックサフィックスを取得
+ * @param {string} host - ホスト名（ASCII / punycode）
+ * @returns {string|null} パブリックサフィックス（IPアドレスの場合はnull）
+ * @description Public Suffix List のアルゴリズムに従い、例外ルールを優先して
+ * 最も長く一致するルールを採用する。どのルールにも一致しない場合は最後のラベルとする
+ */
+function getPublicSuffix(host) {
+    const normalized = host.toLowerCase().replace(/\.$/, '');
+    if (!normalized || isIpAddress(normalized)) {
+        return null;
+    }
+
+    const { rules, wildcards, exceptions } = getParsedRules();
+    const labels = normalized.split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+
+        // 例外ルールに一致した場合は左端のラベルを除いた部分がサフィックス
+        if (exceptions.has(candidate)) {
+            return labels.slice(i + 1).join('.');
+        }
+
+        const parent = labels.slice(i + 1).join('.');
+        if (rules.has(candidate) || (parent && wildcards.has(parent))) {
+            return candidate;
+        }
+    }
+
+    return labels[labels.length - 1];
+}
+
+/**
+ * ホスト名の登録可能ドメイン（eTLD+1）を取得
+ * @param {string} host - ホスト名（ASCII / punycode）
+ * @returns {string|null} 登録可能ドメイン（IPアドレスやパブリックサフィックスそのものの場合はnull）
+ * @example
+ * getRegistrableDomain('www.example.co.uk'); // 'example.co.uk'
+ * getRegistrableDomain('co.uk');             // null
+ */
+function getRegistrableDomain(host) {
+    const suffix = getPublicSuffix(host);
+    if (!suffix) {
+        return null;
+    }
+
+    const normalized = host.toLowerCase().replace(/\.$/, '');
+    if (normalized === suffix) {
+        return null;
+    }
+
+    const labels = normalized.slice(0, -(suffix.length + 1)).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+}
+
+/**
+ * ドメインがパブリックサフィックスそのものかを判定
+ * @param {string} domain - ドメイン（ASCII / punycode）
+ * @returns {boolean}
+ */
+function isPublicSuffix(domain) {
+    const suffix = getPublicSuffix(domain);
+    return suffix !== null && suffix === domain.toLowerCase().replace(/\.$/, '');
+}
+
+export {
+    getPublicSuffix,
+    getRegistrableDomain,
+    isPublicSuffix
+};
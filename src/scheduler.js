@@ -0,0 +1,144 @@
+/**
+ * @file 定期実行スケジュール管理クラス
+ * @description chrome.alarms を使用した定期削除のアラーム登録を担当
+ */
+
+import { Logger } from './logger.js';
+import {
+    SCHEDULE_MODES,
+    ALARM_NAMES,
+    SCHEDULED_ALARM_MODE_STORAGE_KEY
+} from './constants.js';
+import { SettingsManager } from './settingsManager.js';
+import {
+    isValidScheduleInterval,
+    isValidDailyTime
+} from './utils.js';
+
+/**
+ * 1日の分数
+ * @const {number}
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+class Scheduler {
+    /**
+     * @param {SettingsManager} settingsManager - 設定管理インスタンス
+     */
+    constructor(settingsManager) {
+        /** @type {SettingsManager} */
+        this.settings = settingsManager;
+    }
+
+    /**
+     * 現在の設定に合わせて定期実行アラームを登録・解除
+     * @returns {Promise<void>}
+     * @description アラームは Service Worker の再起動後も保持されるため、
+     * スケジュールが変わっていない場合は再登録しない（次回実行時刻がリセットされるのを防ぐ）。
+     * アラームを登録したときの実行モードを保存し、モードが変わった場合は登録し直す
+     */
+    async update() {
+        try {
+            const desired = this.getDesiredAlarm();
+            const [existing, stored] = await Promise.all([
+                chrome.alarms.get(ALARM_NAMES.SCHEDULED_CLEAN),
+                chrome.storage.local.get(SCHEDULED_ALARM_MODE_STORAGE_KEY)
+            ]);
+
+            if (!desired) {
+                if (existing) {
+                    await chrome.alarms.clear(ALARM_NAMES.SCHEDULED_CLEAN);
+                    Logger.info('定期実行アラームを解除しました');
+                }
+                await chrome.storage.local.remove(SCHEDULED_ALARM_MODE_STORAGE_KEY);
+                return;
+            }
+
+            const mode = this.settings.scheduleMode;
+            if (existing && stored[SCHEDULED_ALARM_MODE_STORAGE_KEY] === mode && this.isSameSchedule(existing, desired)) {
+                Logger.debug('定期実行アラームは登録済みです:', new Date(existing.scheduledTime).toLocaleString());
+                return;
+            }
+
+            await chrome.alarms.create(ALARM_NAMES.SCHEDULED_CLEAN, desired);
+            await chrome.storage.local.set({ [SCHEDULED_ALARM_MODE_STORAGE_KEY]: mode });
+            Logger.info('定期実行アラームを登録しました:', mode, desired);
+        } catch (error) {
+            Logger.error('定期実行アラームの登録エラー:', error);
+        }
+    }
+
+    /**
+     * 設定から登録すべきアラーム情報を算出
+     * @param {number} [now=Date.now()] - 基準時刻
+     * @returns {{when: number, periodInMinutes: number}|null} 定期実行しない場合はnull
+     * @private
+     */
+    getDesiredAlarm(now = Date.now()) {
+        const mode = this.settings.scheduleMode;
+
+        if (mode === SCHEDULE_MODES.INTERVAL) {
+            const hours = this.settings.scheduleIntervalHours;
+            if (!isValidScheduleInterval(hours)) {
+                Logger.warn('定期実行の間隔が不正です:', hours);
+                return null;
+            }
+            const periodInMinutes = hours * 60;
+            return { when: now + periodInMinutes * 60 * 1000, periodInMinutes };
+        }
+
+        if (mode === SCHEDULE_MODES.DAILY) {
+            const time = this.settings.scheduleDailyTime;
+            if (!isValidDailyTime(time)) {
+                Logger.warn('定期実行の時刻が不正です:', time);
+                return null;
+            }
+            return { when: this.getNextDailyTime(time, now), periodInMinutes: MINUTES_PER_DAY };
+        }
+
+        return null;
+    }
+
+    /**
+     * 次に指定時刻になる日時を算出
+     * @param {string} time - 時刻（HH:MM形式）
+     * @param {number} now - 基準時刻
+     * @returns {number} エポックミリ秒
+     * @private
+     */
+    getNextDailyTime(time, now) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const next = new Date(now);
+        next.setHours(hours, minutes, 0, 0);
+        if (next.getTime() <= now) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next.getTime();
+    }
+
+    /**
+     * 登録済みアラームが目的のスケジュールと一致するか判定
+     * @param {chrome.alarms.Alarm} existing - 登録済みのアラーム
+     * @param {{when: number, periodInMinutes: number}} desired - 目的のアラーム情報
+     * @returns {boolean}
+     * @private
+     * @description 実行モードが同じアラームについて判定する。毎日実行の場合は時刻（時:分）も比較する。
+     * 夏時間の切り替えなどで時刻がずれた場合は再登録される
+     */
+    isSameSchedule(existing, desired) {
+        if (existing.periodInMinutes !== desired.periodInMinutes) {
+            return false;
+        }
+
+        if (this.settings.scheduleMode !== SCHEDULE_MODES.DAILY) {
+            return true;
+        }
+
+        const existingTime = new Date(existing.scheduledTime);
+        const desiredTime = new Date(desired.when);
+        return existingTime.getHours() === desiredTime.getHours()
+            && existingTime.getMinutes() === desiredTime.getMinutes();
+    }
+}
+
+export { Scheduler };
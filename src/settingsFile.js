@@ -0,0 +1,463 @@
+/**
+ * @file 設定の検証と設定ファイルの書き出し・読み込み
+ * @description 設定をバージョン付きのJSONファイルとしてエクスポートし、インポート時に検証と差分の作成を行う。
+ * 同期やストレージから読み込んだ設定の検証・修復にも使用する
+ */
+
+import { Logger } from './logger.js';
+import {
+    STORAGE_KEYS,
+    LEGACY_STORAGE_KEYS,
+    WHITELIST_KEYS,
+    PROFILE_KEYS,
+    SCHEDULE_MODES,
+    CLEAN_TRIGGERS,
+    SETTINGS_FILE_FORMAT,
+    SETTINGS_FILE_VERSION,
+    IMPORT_MODES
+} from './constants.js';
+import {
+    formatWhitelistDomain,
+    getEntryKey,
+    formatWhitelistLine,
+    parseWhitelistLine,
+    parseBlocklistLine,
+    findDuplicateDomains,
+    pickWhitelistExpiry,
+    normalizeProfiles,
+    normalizeTriggerProfiles,
+    isValidScheduleInterval,
+    isValidDailyTime,
+    isValidIdleMinutes,
+    isValidSiteCloseDelay
+} from './utils.js';
+import {
+    getMessage,
+    createMessage
+} from './i18n.js';
+
+/** @typedef {import('./i18n.js').LocalizedMessage} LocalizedMessage */
+
+/**
+ * 真偽値かどうかを判定
+ * @param {any} value - 検証する値
+ * @returns {boolean}
+ */
+function isBoolean(value) {
+    return typeof value === 'boolean';
+}
+
+/**
+ * 単独の値として検証する設定項目と検証関数
+ * @const {Object<string, function(any): boolean>}
+ */
+const SCALAR_SETTING_VALIDATORS = {
+    [STORAGE_KEYS.RUN_ON_STARTUP]: isBoolean,
+    [STORAGE_KEYS.RUN_ON_CLOSE]: isBoolean,
+    [STORAGE_KEYS.SCHEDULE_MODE]: (value) => Object.values(SCHEDULE_MODES).includes(value),
+    [STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS]: isValidScheduleInterval,
+    [STORAGE_KEYS.SCHEDULE_DAILY_TIME]: isValidDailyTime,
+    [STORAGE_KEYS.RUN_ON_IDLE]: isBoolean,
+    [STORAGE_KEYS.IDLE_MINUTES]: isValidIdleMinutes,
+    [STORAGE_KEYS.RUN_ON_LOCK]: isBoolean,
+    [STORAGE_KEYS.RUN_ON_SITE_CLOSE]: isBoolean,
+    [STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS]: isValidSiteCloseDelay
+};
+
+/**
+ * 単独の値の設定項目の表示名のメッセージID（エラーメッセージ・差分表示用）
+ * @const {Object<string, string>}
+ */
+const SCALAR_SETTING_LABELS = {
+    [STORAGE_KEYS.RUN_ON_STARTUP]: 'settingRunOnStartup',
+    [STORAGE_KEYS.RUN_ON_CLOSE]: 'settingRunOnClose',
+    [STORAGE_KEYS.SCHEDULE_MODE]: 'settingScheduleMode',
+    [STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS]: 'settingScheduleIntervalHours',
+    [STORAGE_KEYS.SCHEDULE_DAILY_TIME]: 'settingScheduleDailyTime',
+    [STORAGE_KEYS.RUN_ON_IDLE]: 'settingRunOnIdle',
+    [STORAGE_KEYS.IDLE_MINUTES]: 'settingIdleMinutes',
+    [STORAGE_KEYS.RUN_ON_LOCK]: 'settingRunOnLock',
+    [STORAGE_KEYS.RUN_ON_SITE_CLOSE]: 'settingRunOnSiteClose',
+    [STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS]: 'settingSiteCloseDelaySeconds'
+};
+
+/**
+ * 定期実行のモードの表示名のメッセージID（差分表示用）
+ * @const {Object<string, string>}
+ */
+const SCHEDULE_MODE_LABELS = {
+    [SCHEDULE_MODES.OFF]: 'scheduleModeOff',
+    [SCHEDULE_MODES.INTERVAL]: 'scheduleModeInterval',
+    [SCHEDULE_MODES.DAILY]: 'scheduleModeDaily'
+};
+
+/**
+ * ホワイトリスト・ブロックリストの表示名のメッセージID
+ * @const {Object<string, string>}
+ */
+const LIST_LABELS = {
+    [STORAGE_KEYS.WHITELIST]: 'whitelistLabel',
+    [STORAGE_KEYS.BLOCKLIST]: 'blocklistLabel'
+};
+
+/**
+ * 差分表示でリストごとに表示する最大行数
+ * @const {number}
+ */
+const DIFF_MAX_LINES = 20;
+
+/**
+ * ストレージの設定からエクスポートする設定ファイルを作成
+ * @param {Object} stored - ストレージから取得した設定（STORAGE_KEYS の値をキーとする）
+ * @param {Date} [exportedAt=new Date()] - エクスポート日時
+ * @returns {{format: string, version: number, exportedAt: string, settings: Object}}
+ */
+function createSettingsFile(stored, exportedAt = new Date()) {
+    const settings = {};
+    for (const key of Object.values(STORAGE_KEYS)) {
+        if (stored[key] !== undefined) {
+            settings[key] = stored[key];
+        }
+    }
+
+    return {
+        format: SETTINGS_FILE_FORMAT,
+        version: SETTINGS_FILE_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        settings
+    };
+}
+
+/**
+ * 設定のホワイトリスト・ブロックリストを検証
+ * @param {any} value - 検証するリスト
+ * @param {function(string, number): {success: boolean, entry: Object|null, error: LocalizedMessage|null}} parseLine - 1行をパースする関数
+ * @param {function(Object): string} formatEntry - エントリを1行の文字列に変換する関数
+ * @param {boolean} [checkDuplicates=true] - ドメインの重複をエラーにする場合true
+ * @param {function(Object): Object|null} [pickExtraFields=null] - 1行の形式で表せない項目を保存形式のオブジェクトから取り出す関数
+ * @returns {{entries: Array<Object>, errors: Array<LocalizedMessage>}} entries: 有効なエントリ / errors: 不正なエントリのエラー
+ * @description 各要素はオプションページで入力した場合と同じ規則で検証する。
+ * 要素は保存形式のオブジェクト、またはテキストエリアと同じ形式の文字列のどちらも受け付ける
+ */
+function parseImportedList(value, parseLine, formatEntry, checkDuplicates = true, pickExtraFields = null) {
+    if (!Array.isArray(value)) {
+        return { entries: [], errors: [createMessage('errorListFormat')] };
+    }
+
+    const entries = [];
+    const errors = [];
+    value.forEach((item, index) => {
+        let line;
+        if (typeof item === 'string') {
+            line = item.trim();
+        } else if (item && typeof item === 'object' && typeof item[WHITELIST_KEYS.DOMAIN] === 'string') {
+            line = formatEntry(item);
+        } else {
+            errors.push(createMessage('errorItemFormat', index + 1));
+            return;
+        }
+
+        const result = parseLine(line, index);
+        if (result.success) {
+            entries.push(typeof item === 'object' && pickExtraFields
+                ? { ...result.entry, ...pickExtraFields(item) }
+                : result.entry);
+        } else {
+            errors.push(result.error);
+        }
+    });
+
+    // 行番号がずれないよう、すべての行が有効な場合のみ重複を確認する
+    if (checkDuplicates && errors.length === 0) {
+        errors.push(...findDuplicateDomains(entries));
+    }
+
+    return { entries, errors };
+}
+
+/**
+ * 設定の各項目を検証
+ * @param {Object} source - 検証する設定（STORAGE_KEYS の値をキーとする）
+ * @returns {{success: boolean, settings: Object|null, errors: Array<LocalizedMessage>}}
+ * settings: ストレージに保存する設定（source に含まれない項目は含まない）
+ * @description プロファイルが含まれない場合は、プロファイル導入前の形式の設定から
+ * デフォルトプロファイルを作成する。未知の項目は無視する
+ */
+function validateSettings(source) {
+    const settings = {};
+    const errors = [];
+
+    if (STORAGE_KEYS.WHITELIST in source) {
+        const { entries, errors: listErrors } = parseImportedList(source[STORAGE_KEYS.WHITELIST], parseWhitelistLine, formatWhitelistLine, true, pickWhitelistExpiry);
+        errors.push(...listErrors.map(error => createMessage('errorInList', createMessage(LIST_LABELS[STORAGE_KEYS.WHITELIST]), error)));
+        settings[STORAGE_KEYS.WHITELIST] = entries;
+    }
+
+    if (STORAGE_KEYS.BLOCKLIST in source) {
+        const { entries, errors: listErrors } = parseImportedList(source[STORAGE_KEYS.BLOCKLIST], parseBlocklistLine, formatWhitelistDomain);
+        errors.push(...listErrors.map(error => createMessage('errorInList', createMessage(LIST_LABELS[STORAGE_KEYS.BLOCKLIST]), error)));
+        settings[STORAGE_KEYS.BLOCKLIST] = entries;
+    }
+
+    if (STORAGE_KEYS.PROFILES in source && !Array.isArray(source[STORAGE_KEYS.PROFILES])) {
+        errors.push(createMessage('errorProfilesFormat'));
+    } else if ([STORAGE_KEYS.PROFILES, ...LEGACY_STORAGE_KEYS].some(key => key in source)) {
+        settings[STORAGE_KEYS.PROFILES] = normalizeProfiles(source);
+    }
+
+    if (STORAGE_KEYS.TRIGGER_PROFILES in source) {
+        const triggerProfiles = source[STORAGE_KEYS.TRIGGER_PROFILES];
+        if (!triggerProfiles || typeof triggerProfiles !== 'object' || Array.isArray(triggerProfiles)) {
+            errors.push(createMessage('errorTriggerProfilesFormat'));
+        } else if (settings[STORAGE_KEYS.PROFILES]) {
+            settings[STORAGE_KEYS.TRIGGER_PROFILES] = normalizeTriggerProfiles(triggerProfiles, settings[STORAGE_KEYS.PROFILES]);
+        } else {
+            // プロファイル一覧を含まない場合、存在しないプロファイルの指定は読み込み時にデフォルトに戻る
+            settings[STORAGE_KEYS.TRIGGER_PROFILES] = Object.fromEntries(Object.values(CLEAN_TRIGGERS)
+                .filter(trigger => typeof triggerProfiles[trigger] === 'string')
+                .map(trigger => [trigger, triggerProfiles[trigger]]));
+        }
+    }
+
+    for (const [key, isValid] of Object.entries(SCALAR_SETTING_VALIDATORS)) {
+        if (!(key in source)) continue;
+        if (!isValid(source[key])) {
+            errors.push(createMessage('errorSettingValue', createMessage(SCALAR_SETTING_LABELS[key]), JSON.stringify(source[key])));
+            continue;
+        }
+        settings[key] = source[key];
+    }
+
+    const knownKeys = new Set(Object.values(STORAGE_KEYS));
+    const unknownKeys = Object.keys(source).filter(key => !knownKeys.has(key));
+    if (unknownKeys.length > 0) {
+        Logger.warn('未知の設定項目を無視します:', unknownKeys);
+    }
+
+    return errors.length > 0
+        ? { success: false, settings: null, errors }
+        : { success: true, settings, errors: [] };
+}
+
+/**
+ * ストレージの設定を検証し、不正な値を修復
+ * @param {Object} source - ストレージから取得した設定（STORAGE_KEYS の値をキーとする）
+ * @returns {{settings: Object, repairs: Array<LocalizedMessage>}}
+ * settings: 修復後の設定（source に含まれない項目と、修復できずに削除した項目は含まない）/ repairs: 修復内容
+ * @description validateSettings と異なり、ホワイトリスト・ブロックリストは不正なエントリのみを取り除き、
+ * その他の項目は不正な場合に削除してデフォルト値に戻す
+ */
+function repairSettings(source) {
+    const settings = {};
+    const repairs = [];
+
+    const lists = [
+        [STORAGE_KEYS.WHITELIST, parseWhitelistLine, formatWhitelistLine, pickWhitelistExpiry],
+        [STORAGE_KEYS.BLOCKLIST, parseBlocklistLine, formatWhitelistDomain, null]
+    ];
+    for (const [key, parseLine, formatEntry, pickExtraFields] of lists) {
+        if (!(key in source)) continue;
+        const label = createMessage(LIST_LABELS[key]);
+        if (!Array.isArray(source[key])) {
+            repairs.push(createMessage('repairListNotArray', label));
+            settings[key] = [];
+            continue;
+        }
+
+        const { entries, errors } = parseImportedList(source[key], parseLine, formatEntry, false, pickExtraFields);
+        repairs.push(...errors.map(error => createMessage('errorInList', label, error)));
+
+        // 重複したドメインは先に出現したエントリを残す
+        const domains = new Set();
+        settings[key] = entries.filter(entry => {
+            const domain = getEntryKey(entry);
+            if (domains.has(domain)) {
+                repairs.push(createMessage('repairDuplicateDomain', label, formatWhitelistDomain(entry)));
+                return false;
+            }
+            domains.add(domain);
+            return true;
+        });
+    }
+
+    for (const key of Object.values(STORAGE_KEYS)) {
+        if (!(key in source) || key in settings || LEGACY_STORAGE_KEYS.includes(key)) continue;
+
+        const result = validateSettings({ [key]: source[key] });
+        if (!result.success) {
+            repairs.push(...result.errors.map(error => createMessage('repairResetToDefault', error)));
+            continue;
+        }
+        if (JSON.stringify(result.settings[key]) !== JSON.stringify(source[key])) {
+            repairs.push(createMessage('repairValue', key));
+        }
+        settings[key] = result.settings[key];
+    }
+
+    return { settings, repairs };
+}
+
+/**
+ * 設定ファイルを読み込んで検証
+ * @param {string} text - 設定ファイルの内容
+ * @returns {{success: boolean, settings: Object|null, errors: Array<LocalizedMessage>}}
+ * settings: ストレージに保存する設定（ファイルに含まれない項目は含まない）
+ */
+function parseSettingsFile(text) {
+    const fail = (errors) => ({ success: false, settings: null, errors });
+
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        return fail([createMessage('errorFileJson', error.message)]);
+    }
+
+    if (!file || typeof file !== 'object' || file.format !== SETTINGS_FILE_FORMAT) {
+        return fail([createMessage('errorFileFormat')]);
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        return fail([createMessage('errorFileVersion')]);
+    }
+    if (file.version > SETTINGS_FILE_VERSION) {
+        return fail([createMessage('errorFileNewerVersion', file.version)]);
+    }
+
+    const source = file.settings;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return fail([createMessage('errorFileNoSettings')]);
+    }
+
+    return validateSettings(source);
+}
+
+/**
+ * ホワイトリストをマージ
+ * @param {Array<Object>} current - 現在のホワイトリスト
+ * @param {Array<Object>} imported - 取り込むホワイトリスト
+ * @returns {Array<Object>} マージ後のホワイトリスト
+ * @description 同じドメインのエントリは取り込む側の設定で置き換え、新しいドメインは末尾に追加する
+ * （スキームを指定したオリジンのエントリは、スキームも同じ場合のみ同じエントリとみなす）
+ */
+function mergeWhitelist(current, imported) {
+    const importedByDomain = new Map(imported.map(entry => [getEntryKey(entry), entry]));
+    const currentDomains = new Set(current.map(getEntryKey));
+
+    return [
+        ...current.map(entry => importedByDomain.get(getEntryKey(entry)) ?? entry),
+        ...imported.filter(entry => !currentDomains.has(getEntryKey(entry)))
+    ];
+}
+
+/**
+ * インポートでストレージに保存する設定を作成
+ * @param {Object} current - ストレージに保存されている現在の設定
+ * @param {Object} imported - parseSettingsFile で検証済みの設定
+ * @param {string} mode - ホワイトリストの取り込み方法（IMPORT_MODES の値）
+ * @returns {Object} ストレージに保存する設定
+ */
+function resolveImportedSettings(current, imported, mode) {
+    const whitelist = imported[STORAGE_KEYS.WHITELIST];
+    if (!whitelist || mode !== IMPORT_MODES.MERGE) {
+        return imported;
+    }
+
+    return {
+        ...imported,
+        [STORAGE_KEYS.WHITELIST]: mergeWhitelist(current[STORAGE_KEYS.WHITELIST] ?? [], whitelist)
+    };
+}
+
+/**
+ * リストの差分を表示用の行に変換
+ * @param {string} listKey - リストのストレージキー（STORAGE_KEYS.WHITELIST / BLOCKLIST）
+ * @param {Array<Object>} current - 現在のリスト
+ * @param {Array<Object>} next - インポート後のリスト
+ * @param {function(Object): string} formatEntry - エントリを1行の文字列に変換する関数
+ * @returns {Array<string>} 差分がない場合は空配列
+ */
+function formatListDiff(listKey, current, next, formatEntry) {
+    const currentLines = new Map(current.map(entry => [getEntryKey(entry), formatEntry(entry)]));
+    const nextDomains = new Set(next.map(getEntryKey));
+
+    const added = [];
+    const changed = [];
+    for (const entry of next) {
+        const line = formatEntry(entry);
+        const currentLine = currentLines.get(getEntryKey(entry));
+        if (currentLine === undefined) {
+            added.push(`+ ${line}`);
+        } else if (currentLine !== line) {
+            changed.push(`~ ${currentLine} → ${line}`);
+        }
+    }
+    const removed = current
+        .filter(entry => !nextDomains.has(getEntryKey(entry)))
+        .map(entry => `- ${currentLines.get(getEntryKey(entry))}`);
+
+    const items = [...added, ...changed, ...removed];
+    if (items.length === 0) {
+        return [];
+    }
+
+    const shown = items.slice(0, DIFF_MAX_LINES);
+    if (items.length > DIFF_MAX_LINES) {
+        shown.push(getMessage('diffMore', [items.length - DIFF_MAX_LINES]));
+    }
+    const summary = getMessage('diffListSummary', [getMessage(LIST_LABELS[listKey]), added.length, changed.length, removed.length]);
+    return [summary, ...shown];
+}
+
+/**
+ * インポートによる設定の変更内容を表示用の行に変換
+ * @param {Object} current - ストレージに保存されている現在の設定
+ * @param {Object} next - resolveImportedSettings で作成した保存する設定
+ * @returns {Array<string>} 表示する行
+ */
+function formatSettingsDiff(current, next) {
+    const lines = [];
+    const formatValue = (key, value) => {
+        if (value === undefined) return getMessage('diffUnset');
+        if (typeof value === 'boolean') return getMessage(value ? 'diffOn' : 'diffOff');
+        if (key === STORAGE_KEYS.SCHEDULE_MODE && SCHEDULE_MODE_LABELS[value]) return getMessage(SCHEDULE_MODE_LABELS[value]);
+        return String(value);
+    };
+
+    if (next[STORAGE_KEYS.WHITELIST]) {
+        lines.push(...formatListDiff(STORAGE_KEYS.WHITELIST, current[STORAGE_KEYS.WHITELIST] ?? [], next[STORAGE_KEYS.WHITELIST], formatWhitelistLine));
+    }
+    if (next[STORAGE_KEYS.BLOCKLIST]) {
+        lines.push(...formatListDiff(STORAGE_KEYS.BLOCKLIST, current[STORAGE_KEYS.BLOCKLIST] ?? [], next[STORAGE_KEYS.BLOCKLIST], formatWhitelistDomain));
+    }
+
+    if (next[STORAGE_KEYS.PROFILES]
+        && JSON.stringify(normalizeProfiles(current)) !== JSON.stringify(next[STORAGE_KEYS.PROFILES])) {
+        const names = next[STORAGE_KEYS.PROFILES].map(profile => profile[PROFILE_KEYS.NAME]).join(', ');
+        lines.push(getMessage('diffProfiles', [next[STORAGE_KEYS.PROFILES].length, names]));
+    }
+    if (next[STORAGE_KEYS.TRIGGER_PROFILES]) {
+        const currentTriggerProfiles = normalizeTriggerProfiles(current[STORAGE_KEYS.TRIGGER_PROFILES], normalizeProfiles(current));
+        const nextTriggerProfiles = normalizeTriggerProfiles(next[STORAGE_KEYS.TRIGGER_PROFILES], next[STORAGE_KEYS.PROFILES] ?? normalizeProfiles(current));
+        if (JSON.stringify(currentTriggerProfiles) !== JSON.stringify(nextTriggerProfiles)) {
+            lines.push(getMessage('diffTriggerProfiles'));
+        }
+    }
+
+    for (const [key, labelId] of Object.entries(SCALAR_SETTING_LABELS)) {
+        if (key in next && next[key] !== current[key]) {
+            lines.push(getMessage('diffValue', [getMessage(labelId), formatValue(key, current[key]), formatValue(key, next[key])]));
+        }
+    }
+
+    return lines.length > 0 ? lines : [getMessage('diffNone')];
+}
+
+export {
+    createSettingsFile,
+    validateSettings,
+    repairSettings,
+    parseSettingsFile,
+    mergeWhitelist,
+    resolveImportedSettings,
+    formatSettingsDiff
+};
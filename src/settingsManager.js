@@ -7,8 +7,112 @@ import { Logger } from './logger.js';
 import {
     DEFAULT_SETTINGS,
     STORAGE_KEYS,
-    WHITELIST_KEYS
+    LEGACY_STORAGE_KEYS,
+    WHITELIST_KEYS,
+    PROFILE_KEYS,
+    DEFAULT_PROFILE_ID,
+    SCHEMA_VERSION_STORAGE_KEY,
+    CURRENT_SCHEMA_VERSION,
+    SETTINGS_BACKUP_STORAGE_KEY,
+    ORIGIN_SCHEME_DEFAULT_PORTS,
+    RETENTION_CATEGORIES
 } from './constants.js';
+import {
+    normalizeProfiles,
+    normalizeTriggerProfiles,
+    isHostCoveredByEntry,
+    isUrlCoveredByEntry,
+    isDataTypeExcludedByEntry,
+    hasCookieNameRules,
+    isWhitelistEntryExpired,
+    getSiteOfHost
+} from './utils.js';
+import { repairSettings } from './settingsFile.js';
+import { formatMessage } from './i18n.js';
+
+/**
+ * ホワイトリストのエントリのフラグと、未設定の場合の値
+ * @const {Object<string, number>}
+ */
+const WHITELIST_FLAG_DEFAULTS = {
+    [WHITELIST_KEYS.KEEP_COOKIES]: DEFAULT_SETTINGS.WHITELIST_KEEP_COOKIES,
+    [WHITELIST_KEYS.KEEP_CACHE]: DEFAULT_SETTINGS.WHITELIST_KEEP_CACHE,
+    [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: DEFAULT_SETTINGS.WHITELIST_INCLUDE_SUBDOMAINS,
+    [WHITELIST_KEYS.KEEP_HISTORY]: DEFAULT_SETTINGS.WHITELIST_KEEP_HISTORY
+};
+
+/**
+ * スキームを指定していないエントリの展開に使用するスキーム
+ * @const {Array<string>}
+ */
+const ORIGIN_SCHEMES = Object.keys(ORIGIN_SCHEME_DEFAULT_PORTS);
+
+/**
+ * 設定の移行処理（適用するバージョンの順）
+ * @const {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ * @description version はその移行を適用した後のスキーマバージョン（CURRENT_SCHEMA_VERSION を参照）。
+ * migrate はストレージの設定（キー→値）を受け取り、移行後の設定を返す。
+ * 移行後の設定に含まれないキーはストレージから削除される。
+ * 途中で中断して再実行される場合に備え、移行済みの設定に適用しても結果が変わらないようにする
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: '削除対象の設定を削除プロファイルに移行',
+        migrate: (settings) => {
+            const migrated = { ...settings };
+            if (!Array.isArray(settings[STORAGE_KEYS.PROFILES])) {
+                const profiles = normalizeProfiles(settings);
+                migrated[STORAGE_KEYS.PROFILES] = profiles;
+                migrated[STORAGE_KEYS.TRIGGER_PROFILES] = normalizeTriggerProfiles(settings[STORAGE_KEYS.TRIGGER_PROFILES], profiles);
+            }
+            LEGACY_STORAGE_KEYS.forEach(key => {
+                delete migrated[key];
+            });
+            return migrated;
+        }
+    },
+    {
+        version: 3,
+        description: 'ホワイトリストのフラグを 0 / 1 の数値に統一',
+        migrate: (settings) => {
+            const whitelist = settings[STORAGE_KEYS.WHITELIST];
+            if (!Array.isArray(whitelist)) {
+                return settings;
+            }
+
+            // 真偽値で保存されたフラグや、追加される前に保存されたエントリの未設定のフラグを補う
+            return {
+                ...settings,
+                [STORAGE_KEYS.WHITELIST]: whitelist.map(entry => {
+                    if (!entry || typeof entry !== 'object') {
+                        return entry;
+                    }
+                    const migrated = { ...entry };
+                    for (const [flag, defaultValue] of Object.entries(WHITELIST_FLAG_DEFAULTS)) {
+                        migrated[flag] = typeof entry[flag] === 'boolean' ? Number(entry[flag]) : (entry[flag] ?? defaultValue);
+                    }
+                    return migrated;
+                })
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'データの種類ごとの削除フラグを削除プロファイルに追加',
+        migrate: (settings) => {
+            if (!Array.isArray(settings[STORAGE_KEYS.PROFILES])) {
+                return settings;
+            }
+
+            // 追加された削除フラグは、以前まとめて削除していたフラグの値を引き継ぐ
+            return {
+                ...settings,
+                [STORAGE_KEYS.PROFILES]: normalizeProfiles(settings)
+            };
+        }
+    }
+];
 
 class SettingsManager {
     constructor() {
@@ -21,13 +125,19 @@ class SettingsManager {
      */
     initializeDefaults() {
         this.whitelist = [];
+        this.blocklist = [];
         this.runOnStartup = DEFAULT_SETTINGS.RUN_ON_STARTUP;
         this.runOnClose = DEFAULT_SETTINGS.RUN_ON_CLOSE;
-        this.removeDownloads = DEFAULT_SETTINGS.REMOVE_DOWNLOADS;
-        this.removeFormData = DEFAULT_SETTINGS.REMOVE_FORMDATA;
-        this.removeHistory = DEFAULT_SETTINGS.REMOVE_HISTORY;
-        this.removeCookies = DEFAULT_SETTINGS.REMOVE_COOKIES;
-        this.removeCacheAndStorage = DEFAULT_SETTINGS.REMOVE_CACHE_AND_STORAGE;
+        this.scheduleMode = DEFAULT_SETTINGS.SCHEDULE_MODE;
+        this.scheduleIntervalHours = DEFAULT_SETTINGS.SCHEDULE_INTERVAL_HOURS;
+        this.scheduleDailyTime = DEFAULT_SETTINGS.SCHEDULE_DAILY_TIME;
+        this.runOnIdle = DEFAULT_SETTINGS.RUN_ON_IDLE;
+        this.idleMinutes = DEFAULT_SETTINGS.IDLE_MINUTES;
+        this.runOnLock = DEFAULT_SETTINGS.RUN_ON_LOCK;
+        this.runOnSiteClose = DEFAULT_SETTINGS.RUN_ON_SITE_CLOSE;
+        this.siteCloseDelaySeconds = DEFAULT_SETTINGS.SITE_CLOSE_DELAY_SECONDS;
+        this.profiles = normalizeProfiles({});
+        this.triggerProfiles = normalizeTriggerProfiles({}, this.profiles);
     }
 
     /**
@@ -71,14 +181,27 @@ class SettingsManager {
      */
     applyLoadedSettings(result) {
         try {
-            this.whitelist = result[STORAGE_KEYS.WHITELIST] ?? [];
-            this.runOnStartup = result[STORAGE_KEYS.RUN_ON_STARTUP] ?? DEFAULT_SETTINGS.RUN_ON_STARTUP;
-            this.runOnClose = result[STORAGE_KEYS.RUN_ON_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_CLOSE;
-            this.removeDownloads = result[STORAGE_KEYS.REMOVE_DOWNLOADS] ?? DEFAULT_SETTINGS.REMOVE_DOWNLOADS;
-            this.removeFormData = result[STORAGE_KEYS.REMOVE_FORMDATA] ?? DEFAULT_SETTINGS.REMOVE_FORMDATA;
-            this.removeHistory = result[STORAGE_KEYS.REMOVE_HISTORY] ?? DEFAULT_SETTINGS.REMOVE_HISTORY;
-            this.removeCookies = result[STORAGE_KEYS.REMOVE_COOKIES] ?? DEFAULT_SETTINGS.REMOVE_COOKIES;
-            this.removeCacheAndStorage = result[STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE] ?? DEFAULT_SETTINGS.REMOVE_CACHE_AND_STORAGE;
+            // 移行前に読み込まれた場合や不正な値が保存されている場合も動作を続けられるよう、読み込み時にも修復する
+            const { settings, repairs } = repairSettings(result);
+            if (repairs.length > 0) {
+                Logger.warn('不正な設定を修復して読み込みました:', repairs.map(formatMessage));
+            }
+
+            this.whitelist = settings[STORAGE_KEYS.WHITELIST] ?? [];
+            this.blocklist = settings[STORAGE_KEYS.BLOCKLIST] ?? [];
+            this.runOnStartup = settings[STORAGE_KEYS.RUN_ON_STARTUP] ?? DEFAULT_SETTINGS.RUN_ON_STARTUP;
+            this.runOnClose = settings[STORAGE_KEYS.RUN_ON_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_CLOSE;
+            this.scheduleMode = settings[STORAGE_KEYS.SCHEDULE_MODE] ?? DEFAULT_SETTINGS.SCHEDULE_MODE;
+            this.scheduleIntervalHours = settings[STORAGE_KEYS.SCHEDULE_INTERVAL_HOURS] ?? DEFAULT_SETTINGS.SCHEDULE_INTERVAL_HOURS;
+            this.scheduleDailyTime = settings[STORAGE_KEYS.SCHEDULE_DAILY_TIME] ?? DEFAULT_SETTINGS.SCHEDULE_DAILY_TIME;
+            this.runOnIdle = settings[STORAGE_KEYS.RUN_ON_IDLE] ?? DEFAULT_SETTINGS.RUN_ON_IDLE;
+            this.idleMinutes = settings[STORAGE_KEYS.IDLE_MINUTES] ?? DEFAULT_SETTINGS.IDLE_MINUTES;
+            this.runOnLock = settings[STORAGE_KEYS.RUN_ON_LOCK] ?? DEFAULT_SETTINGS.RUN_ON_LOCK;
+            this.runOnSiteClose = settings[STORAGE_KEYS.RUN_ON_SITE_CLOSE] ?? DEFAULT_SETTINGS.RUN_ON_SITE_CLOSE;
+            this.siteCloseDelaySeconds = settings[STORAGE_KEYS.SITE_CLOSE_DELAY_SECONDS] ?? DEFAULT_SETTINGS.SITE_CLOSE_DELAY_SECONDS;
+            // プロファイルが未保存の場合はプロファイル導入前の形式のキーから作成する
+            this.profiles = normalizeProfiles({ ...result, ...settings });
+            this.triggerProfiles = normalizeTriggerProfiles(settings[STORAGE_KEYS.TRIGGER_PROFILES], this.profiles);
         } catch (error) {
             Logger.error('設定適用エラー:', error);
             throw error;
@@ -92,35 +215,266 @@ class SettingsManager {
     logLoadedSettings() {
         Logger.debug('設定を読み込みました:', {
             whitelistCount: this.whitelist.length,
+            blocklistCount: this.blocklist.length,
             runOnStartup: this.runOnStartup,
             runOnClose: this.runOnClose,
-            removeDownloads: this.removeDownloads,
-            removeFormData: this.removeFormData,
-            removeHistory: this.removeHistory,
-            removeCookies: this.removeCookies,
-            removeCacheAndStorage: this.removeCacheAndStorage
+            scheduleMode: this.scheduleMode,
+            scheduleIntervalHours: this.scheduleIntervalHours,
+            scheduleDailyTime: this.scheduleDailyTime,
+            runOnIdle: this.runOnIdle,
+            idleMinutes: this.idleMinutes,
+            runOnLock: this.runOnLock,
+            runOnSiteClose: this.runOnSiteClose,
+            siteCloseDelaySeconds: this.siteCloseDelaySeconds,
+            profiles: this.profiles.map(profile => profile[PROFILE_KEYS.NAME]),
+            triggerProfiles: this.triggerProfiles
         });
     }
 
     /**
-     * ドメインごとのフラグに基づいて除外するオリジンリストを生成
-     * @param {string} flagName - フラグ名（WHITELIST_KEYS.KEEP_COOKIES または WHITELIST_KEYS.KEEP_CACHE）
+     * 有効期限が切れていないホワイトリストエントリを取得
+     * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+     * @returns {Array<Object>}
+     * @description 期限切れのエントリはアラームで取り除くまでストレージに残るため、照合には常にこの一覧を使用する
+     */
+    getActiveWhitelist(now = Date.now()) {
+        return this.whitelist.filter(entry => !isWhitelistEntryExpired(entry, now));
+    }
+
+    /**
+     * データタイプを保持するエントリから除外するオリジンリストを生成
+     * @param {string} dataType - データタイプ（DATA_TYPES の type）
+     * @param {Array<string>} [knownHosts=[]] - サブドメインを含むエントリの展開に使用する既知のホスト名
      * @returns {Array<string>} オリジンの配列
+     * @description excludeOrigins はワイルドカードを受け付けないため、
+     * サブドメインを含むエントリは既知のホスト名のうち一致するものに展開する。
+     * 保持するCookieの名前を指定したエントリもCookieの除外対象に含める。有効期限が切れたエントリは含めない
      */
-    getOriginsByFlag(flagName) {
+    getOriginsByDataType(dataType, knownHosts = []) {
         try {
-            return this.whitelist
-                .filter(entry => entry[flagName] === 1)
-                .flatMap(entry => {
-                    const domain = entry[WHITELIST_KEYS.DOMAIN].trim();
-                    return [`https://${domain}`, `http://${domain}`];
-                });
+            const entries = this.getActiveWhitelist().filter(entry => isDataTypeExcludedByEntry(entry, dataType));
+            return this.expandEntriesToOrigins(entries, knownHosts);
         } catch (error) {
             Logger.error('オリジンリスト生成エラー:', error);
             return [];
         }
     }
 
+    /**
+     * エントリのドメインをオリジンの配列に変換
+     * @param {Array<Object>} entries - ホワイトリストまたはブロックリストのエントリ
+     * @param {Array<string>} knownHosts - サブドメインを含むエントリの展開に使用する既知のホスト名
+     * @returns {Array<string>} オリジンの配列（重複なし）
+     * @private
+     * @description オリジンとして指定したエントリはそのスキームのみ、それ以外は https と http の両方に展開する
+     */
+    expandEntriesToOrigins(entries, knownHosts) {
+        const origins = new Set();
+        entries.forEach(entry => {
+            const hosts = [entry[WHITELIST_KEYS.DOMAIN].trim()];
+            if (entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1) {
+                hosts.push(...knownHosts.filter(host => isHostCoveredByEntry(host, entry)));
+            }
+            const schemes = entry[WHITELIST_KEYS.SCHEME] ? [entry[WHITELIST_KEYS.SCHEME]] : ORIGIN_SCHEMES;
+            hosts.forEach(host => schemes.forEach(scheme => origins.add(`${scheme}://${host}`)));
+        });
+        return [...origins];
+    }
+
+    /**
+     * データタイプを保持するエントリのうち、サブドメインを含むエントリがあるかを判定
+     * @param {string} dataType - データタイプ（DATA_TYPES の type）
+     * @returns {boolean}
+     */
+    hasSubdomainEntries(dataType) {
+        return this.getActiveWhitelist().some(entry =>
+            isDataTypeExcludedByEntry(entry, dataType) && entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1
+        );
+    }
+
+    /**
+     * 保持するCookieの名前を指定したホワイトリストエントリを取得
+     * @returns {Array<Object>}
+     */
+    getCookieNameRuleEntries() {
+        return this.getActiveWhitelist().filter(hasCookieNameRules);
+    }
+
+    /**
+     * ホストと同じサイト（登録可能ドメイン）のCookieを保持するホワイトリストエントリがあるかを判定
+     * @param {string} host - ホスト名
+     * @returns {boolean} 保持するCookieの名前を指定したエントリも含む
+     * @description origins を指定したCookieの削除はサイト全体が対象になるため、サイト単位の削除で
+     * 同じサイトの別のホストのCookieを削除してしまわないかの判定に使用する
+     */
+    hasSiteCookieEntries(host) {
+        const site = getSiteOfHost(host);
+        return this.getActiveWhitelist().some(entry =>
+            isDataTypeExcludedByEntry(entry, RETENTION_CATEGORIES.COOKIES)
+            && getSiteOfHost(entry[WHITELIST_KEYS.DOMAIN].trim()) === site
+        );
+    }
+
+    /**
+     * 閲覧履歴を保持するエントリがあるかを判定
+     * @returns {boolean}
+     */
+    hasKeepHistoryEntries() {
+        return this.getActiveWhitelist().some(entry => entry[WHITELIST_KEYS.KEEP_HISTORY] === 1);
+    }
+
+    /**
+     * URLがフラグの立ったホワイトリストエントリに一致するかを判定
+     * @param {string} url - 判定するURL
+     * @param {string} flagName - フラグ名（WHITELIST_KEYS.KEEP_HISTORY など）
+     * @returns {boolean}
+     */
+    isUrlKeptByFlag(url, flagName) {
+        return this.getActiveWhitelist().some(entry => entry[flagName] === 1 && isUrlCoveredByEntry(url, entry));
+    }
+
+    /**
+     * ホスト名に一致するホワイトリストエントリを取得
+     * @param {string} host - ホスト名
+     * @returns {Object|null} 一致するエントリ（見つからない場合はnull）
+     * @description 完全一致するエントリを優先し、なければサブドメインを含むエントリから探す
+     */
+    findWhitelistEntry(host) {
+        const whitelist = this.getActiveWhitelist();
+        return whitelist.find(entry => entry[WHITELIST_KEYS.DOMAIN].trim() === host)
+            ?? whitelist.find(entry => isHostCoveredByEntry(host, entry))
+            ?? null;
+    }
+
+    /**
+     * ブロックリストの削除対象オリジンリストを生成
+     * @param {Array<string>} [knownHosts=[]] - サブドメインを含むエントリの展開に使用する既知のホスト名
+     * @returns {Array<string>} オリジンの配列
+     */
+    getBlocklistOrigins(knownHosts = []) {
+        try {
+            return this.expandEntriesToOrigins(this.blocklist, knownHosts);
+        } catch (error) {
+            Logger.error('ブロックリストのオリジンリスト生成エラー:', error);
+            return [];
+        }
+    }
+
+    /**
+     * ブロックリストにサブドメインを含むエントリがあるかを判定
+     * @returns {boolean}
+     */
+    hasBlocklistSubdomainEntries() {
+        return this.blocklist.some(entry => entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1);
+    }
+
+    /**
+     * ホスト名がブロックリストに含まれるかを判定
+     * @param {string} host - ホスト名
+     * @returns {boolean}
+     */
+    isHostBlocklisted(host) {
+        return this.blocklist.some(entry => isHostCoveredByEntry(host, entry));
+    }
+
+    /**
+     * URLがブロックリストに含まれるかを判定
+     * @param {string} url - 判定するURL
+     * @returns {boolean}
+     */
+    isUrlBlocklisted(url) {
+        return this.blocklist.some(entry => isUrlCoveredByEntry(url, entry));
+    }
+
+    /**
+     * IDに一致するプロファイルを取得
+     * @param {string} [profileId] - プロファイルID
+     * @returns {Object} 一致するプロファイル（見つからない場合はデフォルトプロファイル）
+     */
+    getProfile(profileId) {
+        const profile = this.profiles.find(p => p[PROFILE_KEYS.ID] === profileId);
+        if (!profile && profileId !== undefined && profileId !== DEFAULT_PROFILE_ID) {
+            Logger.warn('プロファイルが見つからないためデフォルトプロファイルを使用します:', profileId);
+        }
+        return profile ?? this.profiles[0];
+    }
+
+    /**
+     * トリガーに設定されたプロファイルを取得
+     * @param {string} trigger - 削除のきっかけ（CLEAN_TRIGGERS の値）
+     * @returns {Object}
+     */
+    getProfileForTrigger(trigger) {
+        return this.getProfile(this.triggerProfiles[trigger]);
+    }
+
+    /**
+     * 新規インストール時に現在のスキーマバージョンを保存
+     * @returns {Promise<void>}
+     * @description 新規インストールでは移行が不要なため、バージョンのみを記録する
+     */
+    async initializeSchemaVersion() {
+        try {
+            await chrome.storage.local.set({ [SCHEMA_VERSION_STORAGE_KEY]: CURRENT_SCHEMA_VERSION });
+        } catch (error) {
+            Logger.error('スキーマバージョンの保存エラー:', error);
+        }
+    }
+
+    /**
+     * 保存されている設定を現在のスキーマバージョンに移行し、不正な値を修復
+     * @returns {Promise<void>}
+     * @description 拡張機能の更新時に実行する。保存されているバージョンより新しい移行処理を順に適用し、
+     * 設定が変わる場合は変更前の設定をバックアップしてから保存する。
+     * 新しいバージョンの拡張機能で保存された設定は変更しない
+     */
+    async migrateSettings() {
+        try {
+            const stored = await chrome.storage.local.get([...Object.values(STORAGE_KEYS), SCHEMA_VERSION_STORAGE_KEY]);
+            const { [SCHEMA_VERSION_STORAGE_KEY]: version, ...original } = stored;
+            const storedVersion = Number.isInteger(version) ? version : 1;
+
+            if (storedVersion > CURRENT_SCHEMA_VERSION) {
+                Logger.warn('新しいバージョンの拡張機能で保存された設定のため移行しません:', storedVersion);
+                return;
+            }
+
+            let migrated = original;
+            for (const migration of MIGRATIONS.filter(m => m.version > storedVersion)) {
+                migrated = migration.migrate(migrated);
+                Logger.info(`設定をバージョン${migration.version}に移行しました:`, migration.description);
+            }
+
+            const { settings, repairs } = repairSettings(migrated);
+            if (repairs.length > 0) {
+                Logger.warn('不正な設定を修復しました:', repairs.map(formatMessage));
+            }
+
+            const removedKeys = Object.keys(original).filter(key => !(key in settings));
+            const changed = removedKeys.length > 0
+                || Object.keys(settings).some(key => JSON.stringify(settings[key]) !== JSON.stringify(original[key]));
+
+            if (changed) {
+                await chrome.storage.local.set({
+                    [SETTINGS_BACKUP_STORAGE_KEY]: {
+                        schemaVersion: storedVersion,
+                        createdAt: Date.now(),
+                        settings: original
+                    }
+                });
+                Logger.info('移行前の設定をバックアップしました:', storedVersion);
+            }
+
+            await chrome.storage.local.set({ ...settings, [SCHEMA_VERSION_STORAGE_KEY]: CURRENT_SCHEMA_VERSION });
+            if (removedKeys.length > 0) {
+                await chrome.storage.local.remove(removedKeys);
+            }
+            Logger.info('設定のスキーマバージョン:', storedVersion, '→', CURRENT_SCHEMA_VERSION);
+        } catch (error) {
+            Logger.error('設定の移行エラー:', error);
+        }
+    }
+
     /**
      * 設定のログ出力
      */
@@ -135,13 +489,19 @@ class SettingsManager {
     toObject() {
         return {
             whitelist: this.whitelist,
+            blocklist: this.blocklist,
             runOnStartup: this.runOnStartup,
             runOnClose: this.runOnClose,
-            removeDownloads: this.removeDownloads,
-            removeFormData: this.removeFormData,
-            removeHistory: this.removeHistory,
-            removeCookies: this.removeCookies,
-            removeCacheAndStorage: this.removeCacheAndStorage
+            scheduleMode: this.scheduleMode,
+            scheduleIntervalHours: this.scheduleIntervalHours,
+            scheduleDailyTime: this.scheduleDailyTime,
+            runOnIdle: this.runOnIdle,
+            idleMinutes: this.idleMinutes,
+            runOnLock: this.runOnLock,
+            runOnSiteClose: this.runOnSiteClose,
+            siteCloseDelaySeconds: this.siteCloseDelaySeconds,
+            profiles: this.profiles,
+            triggerProfiles: this.triggerProfiles
         };
     }
 }
@@ -0,0 +1,500 @@
+/**
+ * @file 設定同期クラス
+ * @description chrome.storage.local の設定を chrome.storage.sync に複製し、他のデバイスで変更された設定を取り込む
+ */
+
+import { Logger } from './logger.js';
+import {
+    STORAGE_KEYS,
+    LEGACY_STORAGE_KEYS,
+    WHITELIST_KEYS,
+    SYNC_STATE_STORAGE_KEY,
+    SYNC_ITEM_PREFIX,
+    SYNC_CHUNK_LENGTH,
+    SYNC_STRATEGIES,
+    SYNC_STATUSES
+} from './constants.js';
+import { validateSettings } from './settingsFile.js';
+import { getEntryKey } from './utils.js';
+import { formatMessage } from './i18n.js';
+
+/**
+ * 同期する設定のキー
+ * @const {Array<string>}
+ */
+const SYNCED_STORAGE_KEYS = Object.values(STORAGE_KEYS).filter(key => !LEGACY_STORAGE_KEYS.includes(key));
+
+/**
+ * chrome.storage.sync の項目キー（ヘッダー・分割した値）から設定のキーを取り出す正規表現
+ * @const {RegExp}
+ * @description 分割した値の場合は2番目のグループがリビジョンになる
+ */
+const SYNC_ITEM_KEY_REGEX = new RegExp(`^${SYNC_ITEM_PREFIX}([^@#]+)(?:@(\\d+)-\\d+#\\d+)?$`);
+
+/**
+ * 容量・書き込み回数の上限を超えたことを表すエラーメッセージの正規表現
+ * @const {RegExp}
+ */
+const QUOTA_ERROR_REGEX = /QUOTA_BYTES|MAX_ITEMS|MAX_WRITE_OPERATIONS/;
+
+/**
+ * このデバイスのみで使用するホワイトリストのエントリか判定
+ * @param {Object} entry - ホワイトリストのエントリ
+ * @returns {boolean}
+ * @description ブラウザの再起動まで有効なエントリは、他のデバイスの再起動で期限切れになると
+ * このデバイスのエントリまで失われるため同期しない
+ */
+function isDeviceScopedEntry(entry) {
+    return entry?.[WHITELIST_KEYS.EXPIRES_ON_RESTART] === 1;
+}
+
+/**
+ * chrome.storage.sync に保存する設定のヘッダー
+ * @typedef {Object} SyncHeader
+ * @property {number} rev - リビジョン（保存するたびに1ずつ増える。デバイス間の競合の判定に使用する）
+ * @property {number} savedAt - 保存した日時（分割した値のキーにのみ使用し、競合の判定には使用しない）
+ * @property {number} chunks - 分割した値の数
+ */
+
+/**
+ * 同期の状態
+ * @typedef {Object} SyncState
+ * @property {boolean} enabled - 同期を使用するか
+ * @property {string} status - 同期の状態（SYNC_STATUSES の値）
+ * @property {string|null} message - 同期に失敗した場合のエラー内容
+ * @property {number|null} lastSyncedAt - 最後に同期した日時（エポックミリ秒）
+ * @property {Object<string, number>} pendingKeys - 同期できていない設定のキーと、変更の元になった同期済みのリビジョン
+ * @property {Object<string, number>} syncedRevs - 設定のキーと、このデバイスに同期済みのリビジョン
+ */
+
+/**
+ * 同期していない状態
+ * @const {SyncState}
+ */
+const DEFAULT_SYNC_STATE = {
+    enabled: false,
+    status: SYNC_STATUSES.OFF,
+    message: null,
+    lastSyncedAt: null,
+    pendingKeys: {},
+    syncedRevs: {}
+};
+
+class SettingsSync {
+    constructor() {
+        /**
+         * 同期処理を直列化するためのキュー
+         * @type {Promise<any>}
+         * @private
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 同期の状態を取得
+     * @returns {Promise<SyncState>}
+     * @public
+     */
+    async getState() {
+        const result = await chrome.storage.local.get(SYNC_STATE_STORAGE_KEY);
+        const state = result[SYNC_STATE_STORAGE_KEY] ?? {};
+        return {
+            ...DEFAULT_SYNC_STATE,
+            ...state,
+            pendingKeys: { ...state.pendingKeys },
+            syncedRevs: { ...state.syncedRevs }
+        };
+    }
+
+    /**
+     * 同期を有効にする
+     * @param {string} strategy - 同期済みの設定の扱い（SYNC_STRATEGIES の値）
+     * @returns {Promise<SyncState>} 有効にした後の同期の状態
+     * @public
+     */
+    async enable(strategy) {
+        return this.enqueue(async () => {
+            const state = { ...DEFAULT_SYNC_STATE, enabled: true, status: SYNC_STATUSES.OK, pendingKeys: {}, syncedRevs: {} };
+
+            if (strategy === SYNC_STRATEGIES.DOWNLOAD) {
+                await this.pull(SYNCED_STORAGE_KEYS, state);
+            }
+            // 同期済みの設定がない項目（上書きする場合はすべての項目）をアップロードする
+            await this.push(SYNCED_STORAGE_KEYS, state);
+
+            Logger.info('設定の同期を有効にしました:', strategy);
+            return state;
+        });
+    }
+
+    /**
+     * 同期を停止する
+     * @returns {Promise<SyncState>} 停止した後の同期の状態
+     * @description 同期済みの設定は他のデバイスで使用している場合があるため削除しない
+     * @public
+     */
+    async disable() {
+        return this.enqueue(async () => {
+            const state = { ...DEFAULT_SYNC_STATE, pendingKeys: {}, syncedRevs: {} };
+            await this.saveState(state);
+            Logger.info('設定の同期を停止しました');
+            return state;
+        });
+    }
+
+    /**
+     * 同期できていない設定を再度同期する
+     * @returns {Promise<void>}
+     * @description 容量超過などで同期できなかった変更は、次の設定変更時またはブラウザ起動時に再送する。
+     * 停止中に他のデバイスで変更された設定を先に取り込み、古い変更で上書きしないようにする
+     * @public
+     */
+    async resume() {
+        return this.enqueue(async () => {
+            const state = await this.getState();
+            const keys = Object.keys(state.pendingKeys);
+            if (!state.enabled || keys.length === 0) {
+                return;
+            }
+            Logger.info('同期できていない設定を再送します:', keys);
+            await this.pull(keys, state);
+            await this.push(Object.keys(state.pendingKeys), state);
+        });
+    }
+
+    /**
+     * このデバイスで変更された設定を同期する
+     * @param {Object<string, chrome.storage.StorageChange>} changes - chrome.storage.local の変更内容
+     * @returns {Promise<void>}
+     * @public
+     */
+    async handleLocalChanged(changes) {
+        const keys = SYNCED_STORAGE_KEYS.filter(key => key in changes);
+        if (keys.length === 0) {
+            return;
+        }
+
+        return this.enqueue(async () => {
+            const state = await this.getState();
+            if (!state.enabled) {
+                return;
+            }
+
+            // 未同期の変更が続く場合は、最初の変更の元になったリビジョンを保持する
+            keys.forEach(key => {
+                state.pendingKeys[key] = state.pendingKeys[key] ?? state.syncedRevs[key] ?? 0;
+            });
+            await this.push(Object.keys(state.pendingKeys), state);
+        });
+    }
+
+    /**
+     * 他のデバイスで変更された設定を取り込む
+     * @param {Object<string, chrome.storage.StorageChange>} changes - chrome.storage.sync の変更内容
+     * @returns {Promise<void>}
+     * @public
+     */
+    async handleSyncChanged(changes) {
+        const keys = [...new Set(Object.keys(changes)
+            .map(itemKey => SYNC_ITEM_KEY_REGEX.exec(itemKey)?.[1])
+            .filter(key => SYNCED_STORAGE_KEYS.includes(key)))];
+        if (keys.length === 0) {
+            return;
+        }
+
+        return this.enqueue(async () => {
+            const state = await this.getState();
+            if (!state.enabled) {
+                return;
+            }
+            await this.pull(keys, state);
+        });
+    }
+
+    /**
+     * chrome.storage.sync の設定を chrome.storage.local に取り込む
+     * @param {Array<string>} keys - 取り込む設定のキー
+     * @param {SyncState} state - 同期の状態（取り込んだ項目は未同期の一覧から除く）
+     * @returns {Promise<void>}
+     * @private
+     * @description 競合時は項目ごとにリビジョンで判定する。未同期の変更の元になったリビジョンより後に
+     * 他のデバイスで保存された設定は取り込み、そうでない場合はこのデバイスの変更を優先して取り込まない。
+     * デバイス間で時計がずれていても判定が変わらないよう、日時ではなくリビジョンを比較する
+     */
+    async pull(keys, state) {
+        const [headers, local] = await Promise.all([
+            chrome.storage.sync.get(keys.map(key => this.getHeaderKey(key))),
+            chrome.storage.local.get(keys)
+        ]);
+        const updates = {};
+
+        for (const key of keys) {
+            const header = headers[this.getHeaderKey(key)];
+            if (!header) continue;
+
+            if (key in state.pendingKeys && header.rev <= state.pendingKeys[key]) {
+                Logger.info('このデバイスの変更の方が新しいため、同期済みの設定を取り込みません:', key);
+                continue;
+            }
+
+            const json = await this.readValue(key, header);
+            if (json === null) {
+                // 分割した値はヘッダーと別に届く場合があるため、そろった時点で改めて取り込む
+                Logger.debug('同期済みの設定がそろっていないため取り込みを保留します:', key);
+                continue;
+            }
+
+            delete state.pendingKeys[key];
+            state.syncedRevs[key] = header.rev;
+            if (json === JSON.stringify(this.toSyncedValue(key, local[key]))) continue;
+
+            try {
+                const result = validateSettings({ [key]: JSON.parse(json) });
+                if (!result.success) {
+                    Logger.warn('同期済みの設定が不正なため取り込みません:', key, result.errors.map(formatMessage));
+                    continue;
+                }
+                updates[key] = this.addDeviceScopedValue(key, result.settings[key], local[key]);
+            } catch (error) {
+                Logger.warn('同期済みの設定を読み込めないため取り込みません:', key, error);
+            }
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await chrome.storage.local.set(updates);
+            Logger.info('他のデバイスで変更された設定を取り込みました:', Object.keys(updates));
+        }
+        await this.removeObsoleteChunks(keys);
+
+        state.lastSyncedAt = Date.now();
+        await this.saveState(state);
+    }
+
+    /**
+     * chrome.storage.local の設定を chrome.storage.sync に保存する
+     * @param {Array<string>} keys - 保存する設定のキー
+     * @param {SyncState} state - 同期の状態（保存できなかった項目は未同期の一覧に残す）
+     * @returns {Promise<void>}
+     * @private
+     * @description 同期済みの内容と同じ項目は書き込まない。未同期の変更の元になったリビジョンより後に
+     * 他のデバイスで保存された項目は、取り込みを優先するため書き込まない。書き込み回数の上限に達しないよう、
+     * すべての項目を1回の set でまとめて保存する。容量を超えた場合は同期を一時停止して
+     * chrome.storage.local の設定のみを使用する
+     */
+    async push(keys, state) {
+        const [local, headers] = await Promise.all([
+            chrome.storage.local.get(keys),
+            chrome.storage.sync.get(keys.map(key => this.getHeaderKey(key)))
+        ]);
+        const items = {};
+        const changedKeys = [];
+        const revs = {};
+
+        for (const key of keys) {
+            const header = headers[this.getHeaderKey(key)];
+            const json = local[key] === undefined ? undefined : JSON.stringify(this.toSyncedValue(key, local[key]));
+            if (json === undefined || (header && await this.readValue(key, header) === json)) {
+                delete state.pendingKeys[key];
+                if (header) {
+                    state.syncedRevs[key] = header.rev;
+                }
+                continue;
+            }
+            if (header && key in state.pendingKeys && header.rev > state.pendingKeys[key]) {
+                Logger.info('他のデバイスの変更の方が新しいため、設定を同期しません:', key);
+                continue;
+            }
+
+            // 古い値を削除するまでの間や、他のデバイスが同じリビジョンで保存した場合も別の項目として残るよう、
+            // リビジョンと保存した日時ごとに異なるキーで保存する
+            const chunks = this.splitIntoChunks(json);
+            const newHeader = { rev: (header?.rev ?? 0) + 1, savedAt: Date.now(), chunks: chunks.length };
+            revs[key] = newHeader.rev;
+            this.getChunkKeys(key, newHeader).forEach((chunkKey, index) => {
+                items[chunkKey] = chunks[index];
+            });
+            items[this.getHeaderKey(key)] = newHeader;
+            changedKeys.push(key);
+        }
+
+        if (changedKeys.length > 0) {
+            try {
+                await chrome.storage.sync.set(items);
+                await this.removeObsoleteChunks(changedKeys);
+                changedKeys.forEach(key => {
+                    delete state.pendingKeys[key];
+                    state.syncedRevs[key] = revs[key];
+                });
+                Logger.info('設定を同期しました:', changedKeys);
+            } catch (error) {
+                const quotaExceeded = QUOTA_ERROR_REGEX.test(error.message);
+                state.status = quotaExceeded ? SYNC_STATUSES.QUOTA_EXCEEDED : SYNC_STATUSES.ERROR;
+                state.message = error.message;
+                // 同期を有効にした直後の保存に失敗した場合も再送の対象にする
+                changedKeys.forEach(key => {
+                    state.pendingKeys[key] = state.pendingKeys[key] ?? state.syncedRevs[key] ?? 0;
+                });
+                Logger.warn('設定を同期できないため、このデバイスにのみ保存します:', error.message);
+                await this.saveState(state);
+                return;
+            }
+        }
+
+        state.status = SYNC_STATUSES.OK;
+        state.message = null;
+        state.lastSyncedAt = Date.now();
+        await this.saveState(state);
+    }
+
+    /**
+     * 設定の値から同期しない部分を取り除く
+     * @param {string} key - 設定のキー
+     * @param {any} value - chrome.storage.local の値
+     * @returns {any} 同期する値
+     * @private
+     */
+    toSyncedValue(key, value) {
+        if (key !== STORAGE_KEYS.WHITELIST || !Array.isArray(value)) {
+            return value;
+        }
+        return value.filter(entry => !isDeviceScopedEntry(entry));
+    }
+
+    /**
+     * 取り込む値に、このデバイスのみで使用する部分を戻す
+     * @param {string} key - 設定のキー
+     * @param {any} value - 取り込む値
+     * @param {any} localValue - chrome.storage.local の現在の値
+     * @returns {any} chrome.storage.local に保存する値
+     * @private
+     * @description 同じドメインのエントリが同期された場合は同期された方を使用する
+     */
+    addDeviceScopedValue(key, value, localValue) {
+        if (key !== STORAGE_KEYS.WHITELIST || !Array.isArray(localValue)) {
+            return value;
+        }
+        const syncedKeys = new Set(value.map(getEntryKey));
+        return [
+            ...value,
+            ...localValue.filter(entry => isDeviceScopedEntry(entry) && !syncedKeys.has(getEntryKey(entry)))
+        ];
+    }
+
+    /**
+     * chrome.storage.sync から分割して保存された値を読み込む
+     * @param {string} key - 設定のキー
+     * @param {SyncHeader} header - ヘッダー
+     * @returns {Promise<string|null>} 値のJSON文字列（一部がまだ届いていない場合はnull）
+     * @private
+     */
+    async readValue(key, header) {
+        const chunkKeys = this.getChunkKeys(key, header);
+        const items = await chrome.storage.sync.get(chunkKeys);
+        if (chunkKeys.some(chunkKey => typeof items[chunkKey] !== 'string')) {
+            return null;
+        }
+        return chunkKeys.map(chunkKey => items[chunkKey]).join('');
+    }
+
+    /**
+     * ヘッダーが指していない分割した値を chrome.storage.sync から削除
+     * @param {Array<string>} keys - 対象の設定のキー
+     * @returns {Promise<void>} 削除に失敗しても reject しない（次回の同期時に再度削除する）
+     * @private
+     * @description 複数のデバイスが同じリビジョンから保存した場合、採用されなかった値はどのヘッダーからも
+     * 指されずに残り、容量を使い続けるため削除する。ヘッダーより先に届いた新しいリビジョンの値は削除しない
+     */
+    async removeObsoleteChunks(keys) {
+        try {
+            const items = await chrome.storage.sync.get(null);
+            const obsoleteItemKeys = Object.keys(items).filter(itemKey => {
+                const [, key, rev] = SYNC_ITEM_KEY_REGEX.exec(itemKey) ?? [];
+                const header = items[this.getHeaderKey(key)];
+                return rev !== undefined && keys.includes(key) && !!header
+                    && Number(rev) <= header.rev && !this.getChunkKeys(key, header).includes(itemKey);
+            });
+
+            if (obsoleteItemKeys.length > 0) {
+                await chrome.storage.sync.remove(obsoleteItemKeys);
+                Logger.debug('使用されなくなった同期済みの設定を削除しました:', obsoleteItemKeys.length);
+            }
+        } catch (error) {
+            Logger.warn('使用されなくなった同期済みの設定の削除エラー:', error);
+        }
+    }
+
+    /**
+     * 文字列を chrome.storage.sync の1項目に収まる長さに分割
+     * @param {string} json - 分割する文字列
+     * @returns {Array<string>}
+     * @private
+     */
+    splitIntoChunks(json) {
+        const chunks = [];
+        for (let i = 0; i < json.length; i += SYNC_CHUNK_LENGTH) {
+            chunks.push(json.slice(i, i + SYNC_CHUNK_LENGTH));
+        }
+        return chunks;
+    }
+
+    /**
+     * 設定のヘッダーを保存する項目のキーを取得
+     * @param {string} key - 設定のキー
+     * @returns {string}
+     * @private
+     */
+    getHeaderKey(key) {
+        return `${SYNC_ITEM_PREFIX}${key}`;
+    }
+
+    /**
+     * 分割した値を保存する項目のキーを取得
+     * @param {string} key - 設定のキー
+     * @param {SyncHeader} header - ヘッダー
+     * @param {number} index - 分割した値の番号
+     * @returns {string}
+     * @private
+     */
+    getChunkKey(key, header, index) {
+        return `${SYNC_ITEM_PREFIX}${key}@${header.rev}-${header.savedAt}#${index}`;
+    }
+
+    /**
+     * ヘッダーが指す分割した値のキーの一覧を取得
+     * @param {string} key - 設定のキー
+     * @param {SyncHeader} header - ヘッダー
+     * @returns {Array<string>}
+     * @private
+     */
+    getChunkKeys(key, header) {
+        return Array.from({ length: header.chunks }, (_, index) => this.getChunkKey(key, header, index));
+    }
+
+    /**
+     * 同期の状態を保存
+     * @param {SyncState} state - 保存する状態
+     * @returns {Promise<void>}
+     * @private
+     */
+    async saveState(state) {
+        await chrome.storage.local.set({ [SYNC_STATE_STORAGE_KEY]: state });
+    }
+
+    /**
+     * 同期処理を直列化して実行
+     * @param {Function} task - 実行する非同期処理
+     * @returns {Promise<any>}
+     * @private
+     * @description ストレージの変更イベントは短時間に連続して発生するため、
+     * 同期の状態や同期済みの値の読み込み→書き込みの間に別の処理が割り込まないよう順番に処理する
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(error => {
+            Logger.error('設定の同期エラー:', error);
+        });
+        return result;
+    }
+}
+
+export { SettingsSync };
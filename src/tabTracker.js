@@ -0,0 +1,196 @@
+/**
+ * @file タブ追跡クラス
+ * @description タブごとに開いているサイト（ホスト名）を記録し、サイトの最後のタブが閉じられたことを検出。
+ * 同じサイト（登録可能ドメイン）のタブ数も集計する
+ */
+
+import { Logger } from './logger.js';
+import {
+    getHostFromUrl,
+    getSiteOfHost
+} from './utils.js';
+
+/**
+ * タブID→ホスト名の対応を保存するセッションストレージのキー
+ * @const {string}
+ * @description Service Worker が再起動しても対応表を失わないようにセッションストレージに保存する
+ */
+const TAB_HOSTS_SESSION_KEY = 'tabHosts';
+
+class TabTracker {
+    constructor() {
+        /**
+         * ストレージ更新を直列化するためのキュー
+         * @type {Promise<any>}
+         * @private
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 開いているすべてのタブから対応表を作り直す
+     * @returns {Promise<void>}
+     * @public
+     */
+    async rebuild() {
+        return this.enqueue(async () => {
+            const tabs = await chrome.tabs.query({});
+            const tabHosts = {};
+            for (const tab of tabs) {
+                const host = tab.url ? getHostFromUrl(tab.url) : null;
+                if (host) {
+                    tabHosts[tab.id] = host;
+                }
+            }
+            await this.save(tabHosts);
+            Logger.debug('タブ対応表を再構築しました:', tabHosts);
+        });
+    }
+
+    /**
+     * タブのURL変更を記録
+     * @param {number} tabId - タブID
+     * @param {string} url - 新しいURL
+     * @returns {Promise<{openedHost: string|null, closedHost: string|null}>}
+     * openedHost: 新たに開いたサイト / closedHost: このタブの移動で開いているタブがなくなったサイト
+     * @public
+     */
+    async handleTabUrlChanged(tabId, url) {
+        return this.enqueue(async () => {
+            const tabHosts = await this.load();
+            const previousHost = tabHosts[tabId] ?? null;
+            const host = getHostFromUrl(url);
+
+            if (previousHost === host) {
+                return { openedHost: null, closedHost: null };
+            }
+
+            if (host) {
+                tabHosts[tabId] = host;
+            } else {
+                delete tabHosts[tabId];
+            }
+            await this.save(tabHosts);
+
+            return {
+                openedHost: host,
+                closedHost: this.getClosedHost(tabHosts, previousHost)
+            };
+        });
+    }
+
+    /**
+     * タブが閉じられたことを記録
+     * @param {number} tabId - タブID
+     * @returns {Promise<string|null>} 開いているタブがなくなったサイトのホスト名
+     * @public
+     */
+    async handleTabRemoved(tabId) {
+        return this.enqueue(async () => {
+            const tabHosts = await this.load();
+            const previousHost = tabHosts[tabId] ?? null;
+            if (!previousHost) {
+                return null;
+            }
+
+            delete tabHosts[tabId];
+            await this.save(tabHosts);
+
+            return this.getClosedHost(tabHosts, previousHost);
+        });
+    }
+
+    /**
+     * 指定したサイトのタブが開いているかを確認
+     * @param {string} host - ホスト名
+     * @returns {Promise<boolean>}
+     * @public
+     */
+    async isHostOpen(host) {
+        return this.enqueue(async () => {
+            const tabHosts = await this.load();
+            return Object.values(tabHosts).includes(host);
+        });
+    }
+
+    /**
+     * 指定したホストと同じサイト（登録可能ドメイン）のタブが開いているかを確認
+     * @param {string} host - ホスト名
+     * @returns {Promise<boolean>} 同じサイトの別のホストのタブのみが開いている場合もtrue
+     * @public
+     * @description Cookieは登録可能ドメイン単位で削除されるため、サイト全体のCookieを削除してよいかの判定に使用する
+     */
+    async isSiteOpen(host) {
+        return this.enqueue(async () => {
+            const siteTabCounts = this.countSiteTabs(await this.load());
+            return (siteTabCounts.get(getSiteOfHost(host)) ?? 0) > 0;
+        });
+    }
+
+    /**
+     * サイトごとに開いているタブ数を集計
+     * @param {Object<string, string>} tabHosts - タブID→ホスト名の対応表
+     * @returns {Map<string, number>} サイト→タブ数
+     * @private
+     */
+    countSiteTabs(tabHosts) {
+        const siteTabCounts = new Map();
+        for (const host of Object.values(tabHosts)) {
+            const site = getSiteOfHost(host);
+            siteTabCounts.set(site, (siteTabCounts.get(site) ?? 0) + 1);
+        }
+        return siteTabCounts;
+    }
+
+    /**
+     * タブ移動・削除後に開いているタブがなくなったサイトを取得
+     * @param {Object<string, string>} tabHosts - 更新後の対応表
+     * @param {string|null} previousHost - タブが直前まで開いていたサイト
+     * @returns {string|null}
+     * @private
+     */
+    getClosedHost(tabHosts, previousHost) {
+        if (!previousHost) {
+            return null;
+        }
+        return Object.values(tabHosts).includes(previousHost) ? null : previousHost;
+    }
+
+    /**
+     * 対応表の読み書きを直列化して実行
+     * @param {Function} task - 実行する非同期処理
+     * @returns {Promise<any>}
+     * @private
+     * @description タブイベントは短時間に連続して発生するため、読み込み→書き込みの間に
+     * 別のイベントの更新が失われないよう順番に処理する
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(error => {
+            Logger.error('タブ対応表の更新エラー:', error);
+        });
+        return result;
+    }
+
+    /**
+     * セッションストレージから対応表を読み込む
+     * @returns {Promise<Object<string, string>>}
+     * @private
+     */
+    async load() {
+        const result = await chrome.storage.session.get(TAB_HOSTS_SESSION_KEY);
+        return result[TAB_HOSTS_SESSION_KEY] ?? {};
+    }
+
+    /**
+     * 対応表をセッションストレージに保存
+     * @param {Object<string, string>} tabHosts - 保存する対応表
+     * @returns {Promise<void>}
+     * @private
+     */
+    async save(tabHosts) {
+        await chrome.storage.session.set({ [TAB_HOSTS_SESSION_KEY]: tabHosts });
+    }
+}
+
+export { TabTracker };
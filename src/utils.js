@@ -5,10 +5,48 @@
 
 import { Logger } from './logger.js';
 import {
+    DEFAULT_SETTINGS,
+    STORAGE_KEYS,
     DOMAIN_REGEX,
+    IPV4_REGEX,
+    ORIGIN_REGEX,
+    HOST_FORBIDDEN_CHARS_REGEX,
     DANGEROUS_CHARS_REGEX,
-    WHITELIST_KEYS
+    WHITELIST_KEYS,
+    WHITELIST_DATA_TYPE_ACTIONS,
+    WHITELIST_COOKIE_NAMES_OPTION,
+    ORIGIN_SCHEME_DEFAULT_PORTS,
+    SUBDOMAIN_WILDCARD_PREFIX,
+    RETENTION_TYPES,
+    RETENTION_CATEGORIES,
+    OLDER_RETENTION_CATEGORIES,
+    MAX_RETENTION_HOURS,
+    MAX_SCHEDULE_INTERVAL_HOURS,
+    MAX_IDLE_MINUTES,
+    MIN_SITE_CLOSE_DELAY_SECONDS,
+    MAX_SITE_CLOSE_DELAY_SECONDS,
+    TARGET_MODES,
+    PROFILE_KEYS,
+    DEFAULT_PROFILE_ID,
+    MAX_PROFILE_NAME_LENGTH,
+    CLEAN_TRIGGERS,
+    DATA_TYPES,
+    DAILY_TIME_REGEX
 } from './constants.js';
+import {
+    isPublicSuffix,
+    getRegistrableDomain
+} from './registrableDomain.js';
+import {
+    toUnicodeHost,
+    toASCIIHostname
+} from './punycode.js';
+import {
+    getMessage,
+    createMessage
+} from './i18n.js';
+
+/** @typedef {import('./i18n.js').LocalizedMessage} LocalizedMessage */
 
 // ========================================
 // 共通ユーティリティ関数
@@ -49,81 +87,548 @@ function clearStatusMessage(statusElement) {
     }
 }
 
+/**
+ * データタイプの表示名を取得
+ * @param {string} type - データタイプ（chrome.browsingData.DataTypeSet のキー）
+ * @returns {string} 表示名が定義されていない場合はデータタイプをそのまま返す
+ */
+function getDataTypeLabel(type) {
+    const definition = DATA_TYPES.find(item => item.type === type);
+    return definition ? getMessage(definition.label) : type;
+}
+
+/**
+ * プレビューに表示するホスト名の最大件数
+ * @const {number}
+ */
+const PREVIEW_MAX_HOSTS = 10;
+
+/**
+ * 削除内容のプレビューを表示用の行に変換
+ * @param {Object} preview - DataCleaner.preview の結果
+ * @returns {Array<string>} 表示する行
+ */
+function formatCleanPreview(preview) {
+    const formatRemoved = (enabled) => getMessage(enabled ? 'previewRemoved' : 'previewNotRemoved');
+    const formatCount = (item) => item ? getMessage('previewCount', [item.count]) : formatRemoved(false);
+    const formatHosts = (hosts) => {
+        const shown = hosts.slice(0, PREVIEW_MAX_HOSTS).map(toDisplayHost).join(', ');
+        return hosts.length > PREVIEW_MAX_HOSTS
+            ? getMessage('previewMoreHosts', [shown, hosts.length - PREVIEW_MAX_HOSTS])
+            : shown;
+    };
+
+    const cookies = preview.cookies
+        ? getMessage(
+            preview.cookies.approximate ? 'previewCookieCountApproximate' : 'previewCookieCount',
+            [preview.cookies.count, preview.cookies.domainCount]
+        )
+        : formatRemoved(false);
+    const lines = [
+        getMessage('previewProfile', [preview.profileName]),
+        getMessage('previewCookies', [cookies]),
+        getMessage('previewHistory', [formatCount(preview.history)]),
+        getMessage('previewDownloads', [formatCount(preview.downloads)]),
+        preview.otherTypes.length > 0
+            ? getMessage('previewOtherTypes', [preview.otherTypes.map(getDataTypeLabel).join(getMessage('listSeparator'))])
+            : getMessage('previewOtherTypesNone')
+    ];
+
+    if (preview.targetMode === TARGET_MODES.WHITELIST) {
+        lines.push(preview.keptHosts.length > 0
+            ? getMessage('previewKeptHosts', [preview.keptHosts.length, formatHosts(preview.keptHosts)])
+            : getMessage('previewKeptHostsNone'));
+    } else if (preview.targetMode === TARGET_MODES.BLOCKLIST) {
+        lines.push(preview.targetHosts.length > 0
+            ? getMessage('previewTargetHosts', [preview.targetHosts.length, formatHosts(preview.targetHosts)])
+            : getMessage('previewTargetHostsNone'));
+    }
+
+    return lines;
+}
+
 // ========================================
 // ドメイン関連のユーティリティ関数
 // ========================================
 
+/**
+ * ホストのサイトを取得
+ * @param {string} host - ホスト名（「ホスト:ポート」形式を含む）
+ * @returns {string} 登録可能ドメイン（IPアドレスなどの場合はポート番号を除いたホスト名）
+ * @description origins を指定したCookieの削除はこの単位でまとめて行われる
+ */
+function getSiteOfHost(host) {
+    const { hostname } = splitHostPort(host);
+    return getRegistrableDomain(hostname) ?? hostname;
+}
+
+/**
+ * ホストとポート番号を分離
+ * @param {string} value - 「ホスト」または「ホスト:ポート」形式の文字列（IPv6 は [ ] で囲む）
+ * @returns {{hostname: string, port: string|null, error: LocalizedMessage|null}}
+ */
+function splitHostPort(value) {
+    let hostname = value;
+    let port = null;
+
+    if (value.startsWith('[')) {
+        const closeIndex = value.indexOf(']');
+        if (closeIndex === -1) {
+            return { hostname, port, error: createMessage('errorIPv6Format') };
+        }
+        hostname = value.slice(0, closeIndex + 1);
+        const rest = value.slice(closeIndex + 1);
+        if (rest) {
+            const match = rest.match(/^:(\d+)$/);
+            if (!match) {
+                return { hostname, port, error: createMessage('errorPortFormat') };
+            }
+            port = match[1];
+        }
+    } else if (value.includes(':')) {
+        const match = value.match(/^([^:]+):(\d+)$/);
+        if (!match) {
+            return { hostname, port, error: createMessage('errorIPv6Brackets') };
+        }
+        hostname = match[1];
+        port = match[2];
+    }
+
+    if (port !== null) {
+        const portNumber = Number(port);
+        if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return { hostname, port, error: createMessage('errorPortRange') };
+        }
+        // 先頭の0などを取り除いて正規化
+        port = String(portNumber);
+    }
+
+    return { hostname, port, error: null };
+}
+
+/**
+ * IPv4アドレスかどうかを判定
+ * @param {string} hostname - ホスト名
+ * @returns {boolean} 各オクテットが0〜255の場合true
+ */
+function isIPv4Address(hostname) {
+    const match = hostname.match(IPV4_REGEX);
+    return !!match && match.slice(1).every(octet => Number(octet) <= 255);
+}
+
 /**
  * ドメイン名のバリデーションを実行
- * @param {string} domain - 検証するドメイン名
- * @returns {{valid: boolean, error: string|null}} バリデーション結果
+ * @param {string} domain - 検証するドメイン名（国際化ドメイン名、IPアドレス、localhost、ポート番号付きも可）
+ * @returns {{valid: boolean, error: LocalizedMessage|null, domain: string|null}} バリデーション結果
+ * （domain は保存・照合用に正規化したホスト。国際化ドメイン名は punycode に変換される）
  * @description 以下のバリデーションを実行:
  * - 空チェック
- * - 長さチェック（253文字以内）
  * - 危険な文字チェック
  * - ワイルドカードチェック
- * - ASCII文字チェック
+ * - ポート番号チェック（1〜65535）
+ * - IPv4 / IPv6 / localhost の判定
+ * - 国際化ドメイン名の punycode 変換
+ * - 長さチェック（253文字以内）
  * - 正規表現チェック
  * - 連続ドットチェック
  * - 先頭・末尾のドットチェック
  * - 各ラベルの長さチェック（63文字以内）
  */
 function validateDomainName(domain) {
+    const invalid = (error) => ({ valid: false, error, domain: null });
+
     // 空チェック
     if (!domain || domain.length === 0) {
-        return { valid: false, error: 'ドメインが空です' };
-    }
-
-    // 長さチェック（253文字制限）
-    if (domain.length > 253) {
-        return { valid: false, error: 'ドメイン名が長すぎます（253文字以内）' };
+        return invalid(createMessage('errorDomainEmpty'));
     }
 
     // 危険な文字のチェック（制御文字、特殊スペースなど）
     if (DANGEROUS_CHARS_REGEX.test(domain)) {
-        return { valid: false, error: '不正な文字が含まれています' };
+        return invalid(createMessage('errorDangerousChars'));
     }
 
-    // ワイルドカードチェック
+    // ワイルドカードチェック（先頭の「*.」は parseDomainPattern で取り除かれている）
     if (domain.includes('*')) {
-        return { valid: false, error: 'ワイルドカード(*)は使用できません' };
+        return invalid(createMessage('errorWildcardPosition'));
     }
 
-    // Unicode文字のチェック（ASCII以外の文字を拒否）
-    if (!/^[\x00-\x7F]*$/.test(domain)) {
-        return { valid: false, error: 'ASCII文字のみ使用できます' };
+    // ポート番号の分離
+    const { hostname, port, error: portError } = splitHostPort(domain);
+    if (portError) {
+        return invalid(portError);
+    }
+    const portSuffix = port ? `:${port}` : '';
+
+    // IPv6アドレス（URLパーサーで正規化）
+    if (hostname.startsWith('[')) {
+        const normalized = toASCIIHostname(hostname);
+        if (!normalized) {
+            return invalid(createMessage('errorIPv6Format'));
+        }
+        return { valid: true, error: null, domain: `${normalized}${portSuffix}` };
+    }
+
+    // IPv4アドレス
+    if (IPV4_REGEX.test(hostname)) {
+        if (!isIPv4Address(hostname)) {
+            return invalid(createMessage('errorIPv4Format'));
+        }
+        return { valid: true, error: null, domain: `${hostname}${portSuffix}` };
+    }
+
+    // localhost
+    if (hostname.toLowerCase() === 'localhost') {
+        return { valid: true, error: null, domain: `localhost${portSuffix}` };
+    }
+
+    // 国際化ドメイン名は punycode に変換してから検証
+    let asciiDomain = hostname.toLowerCase();
+    if (!/^[\x00-\x7F]*$/.test(hostname)) {
+        if (HOST_FORBIDDEN_CHARS_REGEX.test(hostname)) {
+            return invalid(createMessage('errorDomainFormat'));
+        }
+        asciiDomain = toASCIIHostname(hostname);
+        if (!asciiDomain) {
+            return invalid(createMessage('errorIdnConversion'));
+        }
+    }
+
+    // 長さチェック（253文字制限）
+    if (asciiDomain.length > 253) {
+        return invalid(createMessage('errorDomainTooLong'));
     }
 
     // 正規表現チェック
-    if (!DOMAIN_REGEX.test(domain)) {
-        return { valid: false, error: 'ドメイン名の形式が不正です' };
+    if (!DOMAIN_REGEX.test(asciiDomain)) {
+        return invalid(createMessage('errorDomainFormat'));
     }
 
     // 連続するドットのチェック
-    if (domain.includes('..')) {
-        return { valid: false, error: '連続するドットは使用できません' };
+    if (asciiDomain.includes('..')) {
+        return invalid(createMessage('errorConsecutiveDots'));
     }
 
     // 先頭・末尾のドットチェック
-    if (domain.startsWith('.') || domain.endsWith('.')) {
-        return { valid: false, error: 'ドメインの先頭または末尾にドットは使用できません' };
+    if (asciiDomain.startsWith('.') || asciiDomain.endsWith('.')) {
+        return invalid(createMessage('errorEdgeDot'));
     }
 
     // 各ラベルの長さチェック（63文字制限）
-    const parts = domain.split('.');
+    const parts = asciiDomain.split('.');
     for (const label of parts) {
         if (label.length > 63) {
-            return { valid: false, error: 'ドメインラベルが長すぎます（63文字以内）' };
+            return invalid(createMessage('errorLabelTooLong'));
         }
     }
 
-    return { valid: true, error: null };
+    return { valid: true, error: null, domain: `${asciiDomain}${portSuffix}` };
+}
+
+/**
+ * ホスト名を表示用に変換
+ * @param {string} host - 保存されているホスト名（punycode 表記）
+ * @returns {string} 国際化ドメイン名を Unicode 表記にしたホスト名
+ */
+function toDisplayHost(host) {
+    return toUnicodeHost(host);
+}
+
+/**
+ * ドメインパターンを解析
+ * @param {string} pattern - ドメインパターン（「example.com」または「*.example.com」）
+ * @returns {{domain: string, includeSubdomains: number}} 接頭辞を除いたドメインとサブドメインを含むかのフラグ（0/1）
+ */
+function parseDomainPattern(pattern) {
+    if (pattern.startsWith(SUBDOMAIN_WILDCARD_PREFIX)) {
+        return { domain: pattern.slice(SUBDOMAIN_WILDCARD_PREFIX.length), includeSubdomains: 1 };
+    }
+    return { domain: pattern, includeSubdomains: 0 };
+}
+
+/**
+ * ホスト名がドメイン（またはそのサブドメイン）に一致するか判定
+ * @param {string} host - 判定するホスト名
+ * @param {string} domain - ドメイン
+ * @param {boolean} includeSubdomains - サブドメインも一致とみなすか
+ * @returns {boolean}
+ */
+function isHostMatchingDomain(host, domain, includeSubdomains) {
+    if (host === domain) {
+        return true;
+    }
+    return includeSubdomains && host.endsWith(`.${domain}`);
 }
 
 // ========================================
 // ホワイトリスト関連のユーティリティ関数
 // ========================================
 
+/**
+ * ホワイトリストで保持を指定できるデータタイプ
+ * @const {Array<import('./constants.js').DataTypeDefinition>}
+ */
+const KEEPABLE_DATA_TYPES = DATA_TYPES.filter(definition => definition.keepFlag !== null);
+
+/**
+ * ホワイトリストエントリがホスト名に一致するか判定
+ * @param {string} host - 判定するホスト名（ポート番号付きも可）
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {boolean}
+ * @description ポート番号付きのホストは、ポート番号を指定していないドメインのみのエントリにも一致する。
+ * オリジンとして指定したエントリはポート番号まで一致する場合のみ一致する
+ */
+function isHostCoveredByEntry(host, entry) {
+    const domain = entry[WHITELIST_KEYS.DOMAIN].trim();
+    const includeSubdomains = entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1;
+    if (isHostMatchingDomain(host, domain, includeSubdomains)) {
+        return true;
+    }
+
+    const { hostname, port } = splitHostPort(host);
+    if (port === null || entry[WHITELIST_KEYS.SCHEME] || splitHostPort(domain).port !== null) {
+        return false;
+    }
+    return isHostMatchingDomain(hostname, domain, includeSubdomains);
+}
+
+/**
+ * ホワイトリストエントリがURLに一致するか判定
+ * @param {string} url - 判定するURL（オリジンも可）
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {boolean} http/https 以外のURLの場合はfalse
+ * @description オリジンとして指定したエントリはスキームも一致する場合のみ一致する
+ */
+function isUrlCoveredByEntry(url, entry) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return false;
+        }
+        const scheme = entry[WHITELIST_KEYS.SCHEME];
+        if (scheme && parsed.protocol !== `${scheme}:`) {
+            return false;
+        }
+        return isHostCoveredByEntry(parsed.host, entry);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * ホワイトリストエントリがデータタイプを保持するか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {string} dataType - データタイプ（DATA_TYPES の type）
+ * @returns {boolean}
+ * @description データタイプごとの指定がない場合は、データタイプの保持フラグ（keepCookies など）に従う
+ */
+function isDataTypeKeptByEntry(entry, dataType) {
+    const specified = entry[WHITELIST_KEYS.KEEP_DATA_TYPES]?.[dataType];
+    if (specified !== undefined) {
+        return specified === 1;
+    }
+    const definition = KEEPABLE_DATA_TYPES.find(item => item.type === dataType);
+    return definition ? entry[definition.keepFlag] === 1 : false;
+}
+
+/**
+ * ホワイトリストエントリにデータタイプごとの指定があるか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {boolean} 保持するCookieの名前を指定している場合もtrue
+ */
+function hasDataTypeOverrides(entry) {
+    return Object.keys(entry[WHITELIST_KEYS.KEEP_DATA_TYPES] ?? {}).length > 0 || hasCookieNameRules(entry);
+}
+
+/**
+ * ホワイトリストエントリに保持するCookieの名前の指定があるか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {boolean}
+ */
+function hasCookieNameRules(entry) {
+    return (entry[WHITELIST_KEYS.KEEP_COOKIE_NAMES]?.length ?? 0) > 0;
+}
+
+/**
+ * Cookieの名前のパターンを正規表現に変換
+ * @param {string} pattern - Cookieの名前（* は任意の文字列、? は任意の1文字）
+ * @returns {RegExp}
+ * @private
+ */
+function createCookieNameRegExp(pattern) {
+    const source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Cookieがホワイトリストエントリの指定した名前に一致するか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {string} name - Cookieの名前
+ * @returns {boolean} Cookieの名前は大文字・小文字を区別する
+ */
+function isCookieNameKept(entry, name) {
+    return (entry[WHITELIST_KEYS.KEEP_COOKIE_NAMES] ?? [])
+        .some(pattern => createCookieNameRegExp(pattern).test(name));
+}
+
+/**
+ * ホワイトリストエントリのサイトをデータタイプの一括削除から除外するか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {string} dataType - データタイプ（DATA_TYPES の type）
+ * @returns {boolean}
+ * @description データタイプを保持する場合に加え、保持するCookieの名前を指定している場合もCookieを除外する
+ * （指定した名前以外のCookieは chrome.cookies で個別に削除する）
+ */
+function isDataTypeExcludedByEntry(entry, dataType) {
+    return isDataTypeKeptByEntry(entry, dataType)
+        || (dataType === RETENTION_CATEGORIES.COOKIES && hasCookieNameRules(entry));
+}
+
+/**
+ * ホワイトリストエントリが一時的なエントリか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {boolean} 有効期限がある場合、またはブラウザを再起動するまで有効な場合true
+ */
+function isTemporaryWhitelistEntry(entry) {
+    return typeof entry[WHITELIST_KEYS.EXPIRES_AT] === 'number' || entry[WHITELIST_KEYS.EXPIRES_ON_RESTART] === 1;
+}
+
+/**
+ * ホワイトリストエントリの有効期限が切れているか判定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+ * @returns {boolean}
+ */
+function isWhitelistEntryExpired(entry, now = Date.now()) {
+    const expiresAt = entry[WHITELIST_KEYS.EXPIRES_AT];
+    return typeof expiresAt === 'number' && expiresAt <= now;
+}
+
+/**
+ * 一時的なホワイトリストエントリの有効期限を表示用の文字列に変換
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+ * @returns {string|null} 期限なしのエントリの場合はnull
+ */
+function formatWhitelistExpiry(entry, now = Date.now()) {
+    const expiresAt = entry[WHITELIST_KEYS.EXPIRES_AT];
+    if (typeof expiresAt !== 'number') {
+        return entry[WHITELIST_KEYS.EXPIRES_ON_RESTART] === 1 ? getMessage('whitelistExpiresOnRestart') : null;
+    }
+    const time = new Date(expiresAt).toLocaleString();
+    return getMessage(isWhitelistEntryExpired(entry, now) ? 'whitelistExpired' : 'whitelistExpiresAt', [time]);
+}
+
+/**
+ * 保存形式のホワイトリストエントリから有効期限の項目を取り出す
+ * @param {Object} item - 保存形式のホワイトリストエントリ
+ * @returns {Object} 有効な有効期限の項目のみを含むオブジェクト（期限なしの場合は空）
+ * @description 有効期限はテキストエリアの形式で表せないため、設定の検証・修復時にエントリへ引き継ぐ
+ */
+function pickWhitelistExpiry(item) {
+    const expiry = {};
+    const expiresAt = item[WHITELIST_KEYS.EXPIRES_AT];
+    if (Number.isFinite(expiresAt) && expiresAt > 0) {
+        expiry[WHITELIST_KEYS.EXPIRES_AT] = expiresAt;
+    }
+    if (item[WHITELIST_KEYS.EXPIRES_ON_RESTART] === 1) {
+        expiry[WHITELIST_KEYS.EXPIRES_ON_RESTART] = 1;
+    }
+    return expiry;
+}
+
+/**
+ * 保持するデータタイプからホワイトリストエントリを作成
+ * @param {string} domain - 正規化済みのドメイン
+ * @param {number} includeSubdomains - サブドメインを含む場合1
+ * @param {Set<string>} keptTypes - 保持するデータタイプ
+ * @returns {Object} ホワイトリストエントリ
+ * @description 各保持フラグはそのフラグを使用する最初のデータタイプ（cookies / cache / history）の指定に合わせ、
+ * 保持フラグと異なるデータタイプのみを keepDataTypes に記録する（同じ内容のエントリが常に同じ形式になるように）
+ * @private
+ */
+function createEntryFromKeptTypes(domain, includeSubdomains, keptTypes) {
+    const entry = {
+        [WHITELIST_KEYS.DOMAIN]: domain,
+        [WHITELIST_KEYS.KEEP_COOKIES]: 0,
+        [WHITELIST_KEYS.KEEP_CACHE]: 0,
+        [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: includeSubdomains,
+        [WHITELIST_KEYS.KEEP_HISTORY]: 0
+    };
+    const overrides = {};
+    const flagsSet = new Set();
+
+    for (const definition of KEEPABLE_DATA_TYPES) {
+        const kept = keptTypes.has(definition.type) ? 1 : 0;
+        if (!flagsSet.has(definition.keepFlag)) {
+            flagsSet.add(definition.keepFlag);
+            entry[definition.keepFlag] = kept;
+        } else if (kept !== entry[definition.keepFlag]) {
+            overrides[definition.type] = kept;
+        }
+    }
+
+    if (Object.keys(overrides).length > 0) {
+        entry[WHITELIST_KEYS.KEEP_DATA_TYPES] = overrides;
+    }
+    return entry;
+}
+
+/**
+ * ホワイトリストエントリのドメインを表示用の文字列に変換
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {string} サブドメインを含む場合は「*.」を付けたドメイン（国際化ドメイン名は Unicode 表記）。
+ * オリジンとして指定した場合は「スキーム://」を付ける
+ */
+function formatWhitelistDomain(entry) {
+    const scheme = entry[WHITELIST_KEYS.SCHEME] ? `${entry[WHITELIST_KEYS.SCHEME]}://` : '';
+    const prefix = entry[WHITELIST_KEYS.INCLUDE_SUBDOMAINS] === 1 ? SUBDOMAIN_WILDCARD_PREFIX : '';
+    return `${scheme}${prefix}${toDisplayHost(entry[WHITELIST_KEYS.DOMAIN])}`;
+}
+
+/**
+ * エントリを識別するキーを取得
+ * @param {Object} entry - ホワイトリスト・ブロックリストのエントリ
+ * @returns {string} ドメイン（オリジンとして指定した場合は「スキーム://ドメイン」）
+ * @description 同じドメインでもスキームが異なるエントリは別のエントリとして扱う
+ */
+function getEntryKey(entry) {
+    const domain = entry[WHITELIST_KEYS.DOMAIN];
+    return entry[WHITELIST_KEYS.SCHEME] ? `${entry[WHITELIST_KEYS.SCHEME]}://${domain}` : domain;
+}
+
+/**
+ * ホワイトリストエントリをテキストエリア表示用の1行に変換
+ * @param {Object} entry - ホワイトリストエントリ
+ * @returns {string} 「ドメイン,keepCookies,keepCache[,keepHistory]」形式の行
+ * （データタイプごとの指定がある場合は「ドメイン データタイプ=keep ...」形式）
+ * @description 閲覧履歴フラグは保持する場合のみ出力する（3要素形式との互換性のため）。
+ * データタイプごとの指定形式では、指定しないデータタイプは削除されるため保持するもののみ出力し、
+ * 保持するCookieの名前は最後に「cookieNames=名前,...」として出力する
+ */
+function formatWhitelistLine(entry) {
+    if (hasDataTypeOverrides(entry)) {
+        const keptTypes = KEEPABLE_DATA_TYPES
+            .filter(definition => isDataTypeKeptByEntry(entry, definition.type))
+            .map(definition => `${definition.type}=${WHITELIST_DATA_TYPE_ACTIONS.KEEP}`);
+        const cookieNames = hasCookieNameRules(entry)
+            ? [`${WHITELIST_COOKIE_NAMES_OPTION}=${entry[WHITELIST_KEYS.KEEP_COOKIE_NAMES].join(',')}`]
+            : [];
+        return [formatWhitelistDomain(entry), ...keptTypes, ...cookieNames].join(' ');
+    }
+
+    const keepCookies = entry[WHITELIST_KEYS.KEEP_COOKIES] ? 1 : 0;
+    const keepCache = entry[WHITELIST_KEYS.KEEP_CACHE] ? 1 : 0;
+    const keepHistory = entry[WHITELIST_KEYS.KEEP_HISTORY] ? ',1' : '';
+    return `${formatWhitelistDomain(entry)},${keepCookies},${keepCache}${keepHistory}`;
+}
+
 /**
  * フラグ値のバリデーション
  * @param {string} flagValue - 検証するフラグ値
@@ -133,65 +638,253 @@ function isValidFlag(flagValue) {
     return flagValue === '0' || flagValue === '1';
 }
 
+/**
+ * オリジン形式の指定からスキームを分離
+ * @param {string} field - ドメイン欄（「https://app.example.com:8443」のようなオリジンも可）
+ * @returns {{scheme: string|null, host: string, error: LocalizedMessage|null}}
+ * scheme: オリジン形式でない場合はnull / host: スキームを除いた部分
+ * @private
+ */
+function splitOriginScheme(field) {
+    const match = field.match(ORIGIN_REGEX);
+    if (!match) {
+        return { scheme: null, host: field, error: null };
+    }
+
+    const scheme = match[1].toLowerCase();
+    if (!(scheme in ORIGIN_SCHEME_DEFAULT_PORTS)) {
+        return { scheme: null, host: field, error: createMessage('errorOriginScheme', match[1]) };
+    }
+    // アドレスバーからコピーした場合の末尾の「/」のみ許可する
+    if (match[3] && match[3] !== '/') {
+        return { scheme: null, host: field, error: createMessage('errorOriginPath') };
+    }
+    return { scheme, host: match[2], error: null };
+}
+
+/**
+ * ホワイトリスト・ブロックリストの行のドメイン欄をパース
+ * @param {string} field - ドメイン欄（「example.com」「*.example.com」または「https://example.com:8443」）
+ * @param {string} line - 行全体（エラーメッセージ用）
+ * @param {number} lineNumber - 行番号（1始まり）
+ * @returns {{success: boolean, domain: string|null, includeSubdomains: number, scheme: string|null, error: LocalizedMessage|null}}
+ * （scheme はオリジン形式で指定した場合のスキーム）
+ * @private
+ */
+function parseDomainField(field, line, lineNumber) {
+    const origin = splitOriginScheme(field);
+    const pattern = parseDomainPattern(origin.host);
+    const includeSubdomains = pattern.includeSubdomains;
+    const scheme = origin.scheme;
+    const fail = (reason) => ({
+        success: false,
+        domain: null,
+        includeSubdomains,
+        scheme,
+        error: createMessage('errorLine', lineNumber, reason, line)
+    });
+
+    if (origin.error) {
+        return fail(origin.error);
+    }
+
+    // ドメインバリデーション（国際化ドメイン名は punycode に正規化される）
+    const validation = validateDomainName(pattern.domain);
+    if (!validation.valid) {
+        return fail(validation.error);
+    }
+    let domain = validation.domain;
+
+    // スキームの既定のポート番号は省略する（「https://example.com:443」は「https://example.com」と同じ）
+    const { hostname, port } = splitHostPort(domain);
+    if (scheme && port === ORIGIN_SCHEME_DEFAULT_PORTS[scheme]) {
+        domain = hostname;
+    }
+
+    // サブドメイン指定はIPアドレスやポート番号付きのホストには使用できない
+    if (includeSubdomains === 1 && (domain.includes(':') || isIPv4Address(domain))) {
+        return fail(createMessage('errorWildcardHost'));
+    }
+
+    // 「*.co.uk」のようにパブリックサフィックス全体を対象にすることはできない
+    if (includeSubdomains === 1 && domain !== 'localhost' && isPublicSuffix(domain)) {
+        return fail(createMessage('errorPublicSuffix'));
+    }
+
+    return { success: true, domain, includeSubdomains, scheme, error: null };
+}
+
+/**
+ * オリジン形式で指定したスキームをエントリに設定
+ * @param {Object} entry - ホワイトリストエントリ
+ * @param {string|null} scheme - スキーム（オリジン形式でない場合はnull）
+ * @returns {Object} スキームを設定したエントリ
+ * @private
+ */
+function withOriginScheme(entry, scheme) {
+    return scheme ? { ...entry, [WHITELIST_KEYS.SCHEME]: scheme } : entry;
+}
+
+/**
+ * 保持するCookieの名前の指定をパース
+ * @param {string} value - カンマ区切りのCookieの名前（* と ? のワイルドカードを使用可）
+ * @returns {{names: Array<string>, error: LocalizedMessage|null}} names: 重複を除いた名前
+ * @private
+ */
+function parseCookieNames(value) {
+    const names = [];
+    for (const name of value.split(',')) {
+        // Cookieの名前に使用できない区切り文字・制御文字を含むものは拒否する
+        if (!name || /[\s;=,]/.test(name) || DANGEROUS_CHARS_REGEX.test(name)) {
+            return { names: [], error: createMessage('errorWhitelistCookieName', name) };
+        }
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+    }
+    return { names, error: null };
+}
+
+/**
+ * データの種類ごとの指定形式のホワイトリストの1行をパース
+ * @param {string} line - パースする行（「ドメイン データタイプ=keep|delete ... [cookieNames=名前,...]」形式）
+ * @param {number} lineNumber - 行番号（1始まり）
+ * @returns {{success: boolean, entry: Object|null, error: LocalizedMessage|null}} パース結果
+ * @description 指定しないデータタイプは削除する。データタイプ名の大文字・小文字は区別しない。
+ * cookieNames を指定した場合は、指定した名前のCookieのみを保持する（cookies=keep とは併用できない）
+ * @private
+ */
+function parseNamedWhitelistLine(line, lineNumber) {
+    const [domainField, ...tokens] = line.trim().split(/\s+/);
+    const fail = (reason) => ({
+        success: false,
+        entry: null,
+        error: createMessage('errorLine', lineNumber, reason, line)
+    });
+
+    const field = parseDomainField(domainField, line, lineNumber);
+    if (!field.success) {
+        return { success: false, entry: null, error: field.error };
+    }
+
+    const specifiedTypes = new Set();
+    const keptTypes = new Set();
+    let cookieNames = null;
+    for (const token of tokens) {
+        const [name, action, ...rest] = token.split('=');
+        if (name.toLowerCase() === WHITELIST_COOKIE_NAMES_OPTION.toLowerCase()) {
+            if (cookieNames !== null) {
+                return fail(createMessage('errorWhitelistDataTypeDuplicate', WHITELIST_COOKIE_NAMES_OPTION));
+            }
+            const parsed = parseCookieNames([action ?? '', ...rest].join('='));
+            if (parsed.error) {
+                return fail(parsed.error);
+            }
+            cookieNames = parsed.names;
+            continue;
+        }
+
+        const definition = KEEPABLE_DATA_TYPES.find(item => item.type.toLowerCase() === name.toLowerCase());
+        if (!definition) {
+            return fail(createMessage('errorWhitelistDataType', name));
+        }
+        const normalizedAction = action?.toLowerCase();
+        if (rest.length > 0 || !Object.values(WHITELIST_DATA_TYPE_ACTIONS).includes(normalizedAction)) {
+            return fail(createMessage('errorWhitelistDataTypeAction', token));
+        }
+        if (specifiedTypes.has(definition.type)) {
+            return fail(createMessage('errorWhitelistDataTypeDuplicate', definition.type));
+        }
+
+        specifiedTypes.add(definition.type);
+        if (normalizedAction === WHITELIST_DATA_TYPE_ACTIONS.KEEP) {
+            keptTypes.add(definition.type);
+        }
+    }
+
+    if (cookieNames !== null && keptTypes.has(RETENTION_CATEGORIES.COOKIES)) {
+        return fail(createMessage('errorWhitelistCookieNamesConflict'));
+    }
+
+    const entry = createEntryFromKeptTypes(field.domain, field.includeSubdomains, keptTypes);
+    if (cookieNames !== null) {
+        entry[WHITELIST_KEYS.KEEP_COOKIE_NAMES] = cookieNames;
+    }
+    return {
+        success: true,
+        entry: withOriginScheme(entry, field.scheme),
+        error: null
+    };
+}
+
 /**
  * ホワイトリストの1行をパース
- * @param {string} line - パースする行（「ドメイン」または「ドメイン,keepCookies,keepCache」形式）
+ * @param {string} line - パースする行（「ドメイン」または「ドメイン,keepCookies,keepCache[,keepHistory]」形式）
  * @param {number} lineIndex - 行番号（0始まり）
- * @returns {{success: boolean, entry: string|{domain: string, keepCookies: boolean, keepCache: boolean}|null, error: string|null}} パース結果
+ * @returns {{success: boolean, entry: {domain: string, keepCookies: number, keepCache: number, includeSubdomains: number, keepHistory: number, keepDataTypes?: Object<string, number>, scheme?: string, keepCookieNames?: Array<string>}|null, error: LocalizedMessage|null}} パース結果
+ * （フラグはストレージへの保存形式と同じく 0 または 1 の数値）
  * @description 以下の形式をサポート:
  * - ドメインのみ: "example.com"
  * - フラグ付き: "example.com,1,1"
+ * - 閲覧履歴フラグ付き: "example.com,1,1,1"
+ * - サブドメインを含む: "*.example.com" / "*.example.com,1,0"
+ * - オリジン（スキーム・ポート番号を限定）: "https://app.example.com:8443,1,0"
+ * - データの種類ごとの指定: "example.com localStorage=keep indexedDB=keep cookies=delete"
+ * - 保持するCookieの名前の指定: "example.com cookieNames=SID,session_*"
  */
 function parseWhitelistLine(line, lineIndex) {
     try {
         const lineNumber = lineIndex + 1;
-        const parts = line.split(',').map(p => p.trim());
-        const domain = parts[0];
+        if (line.includes('=')) {
+            return parseNamedWhitelistLine(line, lineNumber);
+        }
 
-        // ドメインバリデーション
-        const validation = validateDomainName(domain);
-        if (!validation.valid) {
-            return {
-                success: false,
-                entry: null,
-                error: `行${lineNumber}: ${validation.error} (${line})`
-            };
+        const parts = line.split(',').map(p => p.trim());
+        const field = parseDomainField(parts[0], line, lineNumber);
+        if (!field.success) {
+            return { success: false, entry: null, error: field.error };
         }
+        const { domain, includeSubdomains, scheme } = field;
 
         // ドメインのみの形式
         if (parts.length === 1) {
             return {
                 success: true,
-                entry: {
+                entry: withOriginScheme({
                     [WHITELIST_KEYS.DOMAIN]: domain,
                     [WHITELIST_KEYS.KEEP_COOKIES]: 1,
-                    [WHITELIST_KEYS.KEEP_CACHE]: 1
-                },
+                    [WHITELIST_KEYS.KEEP_CACHE]: 1,
+                    [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: includeSubdomains,
+                    [WHITELIST_KEYS.KEEP_HISTORY]: DEFAULT_SETTINGS.WHITELIST_KEEP_HISTORY
+                }, scheme),
                 error: null
             };
         }
 
-        // フラグ付き形式（3要素）
-        if (parts.length === 3) {
+        // フラグ付き形式（3要素、または閲覧履歴フラグを含む4要素）
+        if (parts.length === 3 || parts.length === 4) {
             const keepCookiesStr = parts[1];
             const keepCacheStr = parts[2];
+            const keepHistoryStr = parts[3] ?? String(DEFAULT_SETTINGS.WHITELIST_KEEP_HISTORY);
 
             // フラグのバリデーション
-            if (!isValidFlag(keepCookiesStr) || !isValidFlag(keepCacheStr)) {
+            if (!isValidFlag(keepCookiesStr) || !isValidFlag(keepCacheStr) || !isValidFlag(keepHistoryStr)) {
                 return {
                     success: false,
                     entry: null,
-                    error: `行${lineNumber}: フラグは 0 または 1 で指定してください (${line})`
+                    error: createMessage('errorLine', lineNumber, createMessage('errorWhitelistFlags'), line)
                 };
             }
 
             return {
                 success: true,
-                entry: {
+                entry: withOriginScheme({
                     [WHITELIST_KEYS.DOMAIN]: domain,
                     [WHITELIST_KEYS.KEEP_COOKIES]: parseInt(keepCookiesStr),
-                    [WHITELIST_KEYS.KEEP_CACHE]: parseInt(keepCacheStr)
-                },
+                    [WHITELIST_KEYS.KEEP_CACHE]: parseInt(keepCacheStr),
+                    [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: includeSubdomains,
+                    [WHITELIST_KEYS.KEEP_HISTORY]: parseInt(keepHistoryStr)
+                }, scheme),
                 error: null
             };
         }
@@ -200,17 +893,303 @@ function parseWhitelistLine(line, lineIndex) {
         return {
             success: false,
             entry: null,
-            error: `行${lineNumber}: フォーマットが不正です (${line})`
+            error: createMessage('errorLine', lineNumber, createMessage('errorLineFormat'), line)
+        };
+    } catch (error) {
+        return {
+            success: false,
+            entry: null,
+            error: createMessage('errorLineParse', lineIndex + 1, error.message)
+        };
+    }
+}
+
+/**
+ * ブロックリストの1行をパース
+ * @param {string} line - パースする行（「ドメイン」または「*.ドメイン」形式）
+ * @param {number} lineIndex - 行番号（0始まり）
+ * @returns {{success: boolean, entry: {domain: string, includeSubdomains: number}|null, error: LocalizedMessage|null}} パース結果
+ */
+function parseBlocklistLine(line, lineIndex) {
+    try {
+        const lineNumber = lineIndex + 1;
+        const parts = line.split(',').map(p => p.trim());
+
+        if (parts.length !== 1) {
+            return {
+                success: false,
+                entry: null,
+                error: createMessage('errorLine', lineNumber, createMessage('errorBlocklistDomainOnly'), line)
+            };
+        }
+
+        const field = parseDomainField(parts[0], line, lineNumber);
+        if (!field.success) {
+            return { success: false, entry: null, error: field.error };
+        }
+
+        // ブロックリストはサイト単位で判定するためスキームは指定できない
+        if (field.scheme) {
+            return {
+                success: false,
+                entry: null,
+                error: createMessage('errorLine', lineNumber, createMessage('errorBlocklistOrigin'), line)
+            };
+        }
+
+        return {
+            success: true,
+            entry: {
+                [WHITELIST_KEYS.DOMAIN]: field.domain,
+                [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: field.includeSubdomains
+            },
+            error: null
         };
     } catch (error) {
         return {
             success: false,
             entry: null,
-            error: `行${lineIndex + 1}: パースエラー (${error.message})`
+            error: createMessage('errorLineParse', lineIndex + 1, error.message)
         };
     }
 }
 
+/**
+ * エントリのドメインの重複を検出
+ * @param {Array<Object>} entries - パース済みのホワイトリスト・ブロックリストのエントリ
+ * @returns {Array<LocalizedMessage>} 重複エラーのメッセージ
+ */
+function findDuplicateDomains(entries) {
+    const domainMap = new Map();
+    const duplicates = [];
+    entries.forEach((entry, index) => {
+        const key = getEntryKey(entry);
+        if (domainMap.has(key)) {
+            duplicates.push(createMessage('errorDuplicateDomain', index + 1, formatWhitelistDomain(entry), domainMap.get(key) + 1));
+        } else {
+            domainMap.set(key, index);
+        }
+    });
+    return duplicates;
+}
+
+// ========================================
+// 削除期間関連のユーティリティ関数
+// ========================================
+
+/**
+ * 削除期間の時間数のバリデーション
+ * @param {number} hours - 検証する時間数
+ * @returns {boolean} 1以上かつ上限以下の整数の場合true
+ */
+function isValidRetentionHours(hours) {
+    return Number.isInteger(hours) && hours >= 1 && hours <= MAX_RETENTION_HOURS;
+}
+
+/**
+ * ストレージから読み込んだ削除期間設定を正規化
+ * @param {Object|undefined} stored - ストレージに保存された削除期間設定
+ * @returns {Object<string, {type: string, hours: number}>} カテゴリごとの削除期間設定
+ * @description 未設定・不正な値はデフォルト値で補完する。
+ * 「N時間より前のみ削除」に対応していないカテゴリは全期間として扱う
+ */
+function normalizeRetention(stored) {
+    const normalized = {};
+    const source = stored && typeof stored === 'object' ? stored : {};
+
+    for (const [category, defaults] of Object.entries(DEFAULT_SETTINGS.RETENTION)) {
+        const entry = source[category] ?? {};
+        let type = Object.values(RETENTION_TYPES).includes(entry.type) ? entry.type : defaults.type;
+        const hours = isValidRetentionHours(entry.hours) ? entry.hours : defaults.hours;
+
+        if (type === RETENTION_TYPES.OLDER && !OLDER_RETENTION_CATEGORIES.includes(category)) {
+            Logger.warn(`${category} は「より前のみ削除」に対応していないため全期間として扱います`);
+            type = RETENTION_TYPES.ALL;
+        }
+
+        normalized[category] = { type, hours };
+    }
+
+    return normalized;
+}
+
+// ========================================
+// プロファイル関連のユーティリティ関数
+// ========================================
+
+/**
+ * プロファイル名のバリデーション
+ * @param {string} name - 検証するプロファイル名
+ * @returns {boolean} 空白以外の文字を含み、最大文字数以下の場合true
+ */
+function isValidProfileName(name) {
+    return typeof name === 'string'
+        && name.trim().length > 0
+        && name.trim().length <= MAX_PROFILE_NAME_LENGTH;
+}
+
+/**
+ * 真偽値の設定を正規化
+ * @param {any} value - ストレージに保存された値
+ * @param {boolean} defaultValue - 不正な値の場合に使用する値
+ * @returns {boolean}
+ * @private
+ */
+function normalizeBoolean(value, defaultValue) {
+    return typeof value === 'boolean' ? value : defaultValue;
+}
+
+/**
+ * ストレージから読み込んだプロファイルを正規化
+ * @param {Object|undefined} stored - ストレージに保存されたプロファイル
+ * @returns {Object} 不足・不正な値をデフォルト値で補完したプロファイル
+ */
+function normalizeProfile(stored) {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    const id = source[PROFILE_KEYS.ID];
+    const name = source[PROFILE_KEYS.NAME];
+    const targetMode = source[PROFILE_KEYS.TARGET_MODE];
+
+    return {
+        [PROFILE_KEYS.ID]: typeof id === 'string' && id ? id : DEFAULT_PROFILE_ID,
+        [PROFILE_KEYS.NAME]: isValidProfileName(name) ? name.trim() : getMessage('defaultProfileName'),
+        [PROFILE_KEYS.TARGET_MODE]: Object.values(TARGET_MODES).includes(targetMode)
+            ? targetMode
+            : DEFAULT_SETTINGS.TARGET_MODE,
+        ...Object.fromEntries(DATA_TYPES.map(definition => {
+            // 削除フラグが保存されていない場合は、以前まとめて削除していたフラグの値を引き継ぐ
+            const inherited = definition.inheritFrom
+                ? normalizeBoolean(source[definition.inheritFrom], definition.defaultValue)
+                : definition.defaultValue;
+            return [definition.profileKey, normalizeBoolean(source[definition.profileKey], inherited)];
+        })),
+        [PROFILE_KEYS.RETENTION]: normalizeRetention(source[PROFILE_KEYS.RETENTION])
+    };
+}
+
+/**
+ * プロファイル導入前の設定からデフォルトプロファイルを作成
+ * @param {Object} result - ストレージから取得した結果
+ * @returns {Object} デフォルトプロファイル
+ */
+function createDefaultProfile(result) {
+    return normalizeProfile({
+        [PROFILE_KEYS.ID]: DEFAULT_PROFILE_ID,
+        [PROFILE_KEYS.NAME]: getMessage('defaultProfileName'),
+        [PROFILE_KEYS.TARGET_MODE]: result[STORAGE_KEYS.TARGET_MODE],
+        [PROFILE_KEYS.REMOVE_DOWNLOADS]: result[STORAGE_KEYS.REMOVE_DOWNLOADS],
+        [PROFILE_KEYS.REMOVE_FORMDATA]: result[STORAGE_KEYS.REMOVE_FORMDATA],
+        [PROFILE_KEYS.REMOVE_HISTORY]: result[STORAGE_KEYS.REMOVE_HISTORY],
+        [PROFILE_KEYS.REMOVE_COOKIES]: result[STORAGE_KEYS.REMOVE_COOKIES],
+        [PROFILE_KEYS.REMOVE_CACHE_AND_STORAGE]: result[STORAGE_KEYS.REMOVE_CACHE_AND_STORAGE],
+        [PROFILE_KEYS.RETENTION]: result[STORAGE_KEYS.RETENTION]
+    });
+}
+
+/**
+ * ストレージから読み込んだプロファイル一覧を正規化
+ * @param {Object} result - ストレージから取得した結果
+ * @returns {Array<Object>} 先頭がデフォルトプロファイルのプロファイル一覧
+ * @description プロファイルが保存されていない場合は、プロファイル導入前の設定から
+ * デフォルトプロファイルを作成する。IDが重複するプロファイルは先に出現したものを使用する
+ */
+function normalizeProfiles(result) {
+    const stored = Array.isArray(result[STORAGE_KEYS.PROFILES]) ? result[STORAGE_KEYS.PROFILES] : [];
+    const profiles = [];
+    const ids = new Set();
+
+    for (const profile of stored.map(normalizeProfile)) {
+        if (ids.has(profile[PROFILE_KEYS.ID])) continue;
+        ids.add(profile[PROFILE_KEYS.ID]);
+        profiles.push(profile);
+    }
+
+    const defaultIndex = profiles.findIndex(profile => profile[PROFILE_KEYS.ID] === DEFAULT_PROFILE_ID);
+    const defaultProfile = defaultIndex === -1
+        ? createDefaultProfile(result)
+        : profiles.splice(defaultIndex, 1)[0];
+
+    return [defaultProfile, ...profiles];
+}
+
+/**
+ * トリガーごとのプロファイル設定を正規化
+ * @param {Object|undefined} stored - ストレージに保存されたトリガー→プロファイルIDの対応
+ * @param {Array<Object>} profiles - 正規化済みのプロファイル一覧
+ * @returns {Object<string, string>} すべてのトリガーに対するプロファイルID
+ * @description 未設定または存在しないプロファイルを指している場合はデフォルトプロファイルを使用する
+ */
+function normalizeTriggerProfiles(stored, profiles) {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    const ids = new Set(profiles.map(profile => profile[PROFILE_KEYS.ID]));
+    const normalized = {};
+
+    for (const trigger of Object.values(CLEAN_TRIGGERS)) {
+        normalized[trigger] = ids.has(source[trigger]) ? source[trigger] : DEFAULT_PROFILE_ID;
+    }
+
+    return normalized;
+}
+
+// ========================================
+// 定期実行関連のユーティリティ関数
+// ========================================
+
+/**
+ * 定期実行の間隔（時間）のバリデーション
+ * @param {number} hours - 検証する時間数
+ * @returns {boolean} 1以上かつ上限以下の整数の場合true
+ */
+function isValidScheduleInterval(hours) {
+    return Number.isInteger(hours) && hours >= 1 && hours <= MAX_SCHEDULE_INTERVAL_HOURS;
+}
+
+/**
+ * 定期実行の時刻のバリデーション
+ * @param {string} time - 検証する時刻（HH:MM形式）
+ * @returns {boolean} 有効な場合true
+ */
+function isValidDailyTime(time) {
+    return typeof time === 'string' && DAILY_TIME_REGEX.test(time);
+}
+
+/**
+ * アイドル判定までの時間（分）のバリデーション
+ * @param {number} minutes - 検証する分数
+ * @returns {boolean} 1以上かつ上限以下の整数の場合true
+ */
+function isValidIdleMinutes(minutes) {
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_IDLE_MINUTES;
+}
+
+/**
+ * サイトのタブを閉じてから削除するまでの猶予時間（秒）のバリデーション
+ * @param {number} seconds - 検証する秒数
+ * @returns {boolean} 0（即時）または最小値以上かつ上限以下の整数の場合true
+ */
+function isValidSiteCloseDelay(seconds) {
+    return Number.isInteger(seconds)
+        && (seconds === 0 || (seconds >= MIN_SITE_CLOSE_DELAY_SECONDS && seconds <= MAX_SITE_CLOSE_DELAY_SECONDS));
+}
+
+/**
+ * URLからホワイトリスト照合用のホスト名を取得
+ * @param {string} url - 対象のURL
+ * @returns {string|null} ホスト名（既定以外のポート番号の場合は「ホスト:ポート」）。
+ * http/https 以外や解析できないURLの場合はnull
+ */
+function getHostFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return null;
+        }
+        return parsed.host || null;
+    } catch (error) {
+        return null;
+    }
+}
+
 // ========================================
 // Export
 // ========================================
@@ -218,6 +1197,41 @@ function parseWhitelistLine(line, lineIndex) {
 export {
     displayStatusMessage,
     clearStatusMessage,
+    getDataTypeLabel,
+    formatCleanPreview,
     validateDomainName,
-    parseWhitelistLine
+    toDisplayHost,
+    splitHostPort,
+    getSiteOfHost,
+    parseDomainPattern,
+    isHostMatchingDomain,
+    isHostCoveredByEntry,
+    isUrlCoveredByEntry,
+    isDataTypeKeptByEntry,
+    hasDataTypeOverrides,
+    hasCookieNameRules,
+    isCookieNameKept,
+    isDataTypeExcludedByEntry,
+    isTemporaryWhitelistEntry,
+    isWhitelistEntryExpired,
+    formatWhitelistExpiry,
+    pickWhitelistExpiry,
+    formatWhitelistDomain,
+    getEntryKey,
+    formatWhitelistLine,
+    parseWhitelistLine,
+    parseBlocklistLine,
+    findDuplicateDomains,
+    isValidRetentionHours,
+    normalizeRetention,
+    isValidProfileName,
+    normalizeProfile,
+    createDefaultProfile,
+    normalizeProfiles,
+    normalizeTriggerProfiles,
+    isValidScheduleInterval,
+    isValidDailyTime,
+    isValidIdleMinutes,
+    isValidSiteCloseDelay,
+    getHostFromUrl
 };
@@ -0,0 +1,371 @@
+/**
+ * @file ホワイトリスト操作クラス
+ * @description 現在のサイトのホワイトリスト登録状態の確認と、登録・除外の切り替えを担当
+ * （ポップアップ、キーボードショートカット、コンテキストメニューから使用する）。
+ * 一時的なエントリの有効期限の管理も担当する
+ */
+
+import { Logger } from './logger.js';
+import {
+    DEFAULT_SETTINGS,
+    STORAGE_KEYS,
+    WHITELIST_KEYS,
+    WHITELIST_DURATIONS,
+    WHITELIST_DURATION_MS,
+    EXPIRED_WHITELIST_RETENTION_MS,
+    ALARM_NAMES
+} from './constants.js';
+import {
+    isHostCoveredByEntry,
+    isTemporaryWhitelistEntry,
+    isWhitelistEntryExpired,
+    getEntryKey,
+    splitHostPort
+} from './utils.js';
+import { getRegistrableDomain } from './registrableDomain.js';
+
+/**
+ * サイトのホワイトリスト登録状態
+ * @typedef {Object} WhitelistStatus
+ * @property {string} host - 対象のホスト名（既定以外のポート番号の場合は「ホスト:ポート」）
+ * @property {string|null} siteDomain - サイト単位のドメイン（登録可能ドメイン）
+ * @property {Object|null} entry - ホストに一致するホワイトリストのエントリ（未登録または期限切れの場合はnull）
+ */
+
+class WhitelistService {
+    constructor() {
+        /**
+         * ストレージ更新を直列化するためのキュー
+         * @type {Promise<any>}
+         * @private
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * ホストのホワイトリスト登録状態を取得
+     * @param {string} host - 対象のホスト名
+     * @returns {Promise<WhitelistStatus>}
+     * @public
+     */
+    async getStatus(host) {
+        const whitelist = await this.load();
+        const index = this.findEntryIndex(whitelist, host);
+        return {
+            host,
+            siteDomain: this.getSiteDomain(host),
+            entry: index === -1 ? null : whitelist[index]
+        };
+    }
+
+    /**
+     * ホストのホワイトリスト登録を切り替える
+     * @param {string} host - 対象のホスト名
+     * @param {Object} [options={}]
+     * @param {boolean} [options.siteScope=false] - 追加する場合にサイト全体（サブドメインを含む）を対象にするか
+     * @param {string} [options.duration=WHITELIST_DURATIONS.PERMANENT] - 追加する場合の保持期間（WHITELIST_DURATIONS の値）
+     * @returns {Promise<{added: boolean, entry: Object}>} added: 追加した場合true / entry: 追加・除外したエントリ
+     * @public
+     * @description 登録済みの場合は一致するエントリ（サイト全体のエントリを含む）を除外し、
+     * 未登録の場合はデフォルトの保持設定で追加する
+     */
+    async toggle(host, { siteScope = false, duration = WHITELIST_DURATIONS.PERMANENT } = {}) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const existingIndex = this.findEntryIndex(whitelist, host);
+
+            if (existingIndex !== -1) {
+                const [removed] = whitelist.splice(existingIndex, 1);
+                await this.save(whitelist);
+                Logger.info('ホワイトリストから除外しました:', removed[WHITELIST_KEYS.DOMAIN]);
+                return { added: false, entry: removed };
+            }
+
+            const entry = { ...this.createEntry(host, siteScope), ...this.createExpiry(duration) };
+            this.addEntry(whitelist, entry);
+            await this.save(whitelist);
+            Logger.info('ホワイトリストに追加しました:', entry[WHITELIST_KEYS.DOMAIN], duration);
+            return { added: true, entry };
+        });
+    }
+
+    /**
+     * ホストのCookie・キャッシュの保持設定を指定してホワイトリストに登録
+     * @param {string} host - 対象のホスト名
+     * @param {Object} flags
+     * @param {number} flags.keepCookies - Cookieを保持する場合1
+     * @param {number} flags.keepCache - キャッシュを保持する場合1
+     * @returns {Promise<{added: boolean, entry: Object}>} added: 新たに追加した場合true / entry: 登録後のエントリ
+     * @public
+     * @description 登録済みの場合は一致するエントリの保持設定のみを変更し、その他の設定はそのまま残す。
+     * データタイプごとの指定と保持するCookieの名前の指定は、指定した保持設定で置き換えるため解除する
+     */
+    async setKeepFlags(host, { keepCookies, keepCache }) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const existingIndex = this.findEntryIndex(whitelist, host);
+            const flags = {
+                [WHITELIST_KEYS.KEEP_COOKIES]: keepCookies,
+                [WHITELIST_KEYS.KEEP_CACHE]: keepCache
+            };
+
+            if (existingIndex !== -1) {
+                const entry = { ...whitelist[existingIndex], ...flags };
+                delete entry[WHITELIST_KEYS.KEEP_DATA_TYPES];
+                delete entry[WHITELIST_KEYS.KEEP_COOKIE_NAMES];
+                whitelist[existingIndex] = entry;
+                await this.save(whitelist);
+                Logger.info('ホワイトリストの保持設定を変更しました:', entry[WHITELIST_KEYS.DOMAIN], flags);
+                return { added: false, entry };
+            }
+
+            const entry = { ...this.createEntry(host, false), ...flags };
+            this.addEntry(whitelist, entry);
+            await this.save(whitelist);
+            Logger.info('ホワイトリストに追加しました:', entry[WHITELIST_KEYS.DOMAIN], flags);
+            return { added: true, entry };
+        });
+    }
+
+    /**
+     * ホストに一致するエントリをホワイトリストから除外
+     * @param {string} host - 対象のホスト名
+     * @returns {Promise<Object|null>} 除外したエントリ（未登録の場合はnull）
+     * @public
+     */
+    async remove(host) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const existingIndex = this.findEntryIndex(whitelist, host);
+            if (existingIndex === -1) {
+                return null;
+            }
+
+            const [removed] = whitelist.splice(existingIndex, 1);
+            await this.save(whitelist);
+            Logger.info('ホワイトリストから除外しました:', removed[WHITELIST_KEYS.DOMAIN]);
+            return removed;
+        });
+    }
+
+    /**
+     * 一時的なエントリを期限なしのエントリに変更
+     * @param {string} key - 対象のエントリのキー（getEntryKey の値）
+     * @returns {Promise<Object|null>} 変更後のエントリ（一時的なエントリが見つからない場合はnull）
+     * @public
+     * @description 有効期限が切れたエントリも、取り除かれる前であれば期限なしに戻せる
+     */
+    async makePermanent(key) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const index = whitelist.findIndex(entry => getEntryKey(entry) === key && isTemporaryWhitelistEntry(entry));
+            if (index === -1) {
+                return null;
+            }
+
+            const entry = { ...whitelist[index] };
+            delete entry[WHITELIST_KEYS.EXPIRES_AT];
+            delete entry[WHITELIST_KEYS.EXPIRES_ON_RESTART];
+            whitelist[index] = entry;
+            await this.save(whitelist);
+            Logger.info('ホワイトリストのエントリを期限なしにしました:', entry[WHITELIST_KEYS.DOMAIN]);
+            return entry;
+        });
+    }
+
+    /**
+     * ブラウザを再起動するまで有効なエントリの有効期限を切る
+     * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+     * @returns {Promise<void>}
+     * @public
+     * @description ブラウザの起動時に呼び出す。期限切れのエントリとしてオプション画面に残し、一定期間後に取り除く。
+     * 期限切れのエントリもデバイスごとのエントリとして同期しないよう、再起動までのフラグは残す
+     */
+    async expireOnRestart(now = Date.now()) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const isUnexpired = entry => entry[WHITELIST_KEYS.EXPIRES_ON_RESTART] === 1
+                && typeof entry[WHITELIST_KEYS.EXPIRES_AT] !== 'number';
+            if (!whitelist.some(isUnexpired)) {
+                return;
+            }
+
+            const updated = whitelist.map(entry =>
+                isUnexpired(entry) ? { ...entry, [WHITELIST_KEYS.EXPIRES_AT]: now } : entry
+            );
+            await this.save(updated);
+            Logger.info('ブラウザの再起動までのホワイトリストのエントリを期限切れにしました');
+        });
+    }
+
+    /**
+     * 期限切れから一定期間が過ぎたエントリを取り除く
+     * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+     * @returns {Promise<Array<Object>>} 取り除いたエントリ
+     * @public
+     */
+    async pruneExpired(now = Date.now()) {
+        return this.enqueue(async () => {
+            const whitelist = await this.load();
+            const pruneBefore = now - EXPIRED_WHITELIST_RETENTION_MS;
+            const removed = whitelist.filter(entry => isWhitelistEntryExpired(entry, pruneBefore));
+            if (removed.length === 0) {
+                return [];
+            }
+
+            await this.save(whitelist.filter(entry => !removed.includes(entry)));
+            Logger.info('期限切れのホワイトリストのエントリを取り除きました:', removed.map(entry => entry[WHITELIST_KEYS.DOMAIN]));
+            return removed;
+        });
+    }
+
+    /**
+     * 次に有効期限が切れる、または期限切れのエントリを取り除く時刻にアラームを登録
+     * @param {number} [now=Date.now()] - 基準時刻（エポックミリ秒）
+     * @returns {Promise<void>}
+     * @public
+     * @description 保持するかどうかは照合時に有効期限で判定するため、アラームはメニューの更新と
+     * 期限切れのエントリの削除に使用する。該当するエントリがない場合はアラームを解除する
+     */
+    async updateExpiryAlarm(now = Date.now()) {
+        try {
+            const whitelist = await this.load();
+            const times = whitelist
+                .filter(entry => typeof entry[WHITELIST_KEYS.EXPIRES_AT] === 'number')
+                .map(entry => {
+                    const expiresAt = entry[WHITELIST_KEYS.EXPIRES_AT];
+                    return expiresAt > now ? expiresAt : expiresAt + EXPIRED_WHITELIST_RETENTION_MS;
+                });
+
+            if (times.length === 0) {
+                await chrome.alarms.clear(ALARM_NAMES.WHITELIST_EXPIRY);
+                return;
+            }
+
+            const when = Math.max(Math.min(...times), now);
+            await chrome.alarms.create(ALARM_NAMES.WHITELIST_EXPIRY, { when });
+            Logger.debug('ホワイトリストの有効期限のアラームを登録しました:', new Date(when));
+        } catch (error) {
+            Logger.error('ホワイトリストの有効期限のアラーム登録エラー:', error);
+        }
+    }
+
+    /**
+     * 保持期間から有効期限の項目を作成
+     * @param {string} duration - 保持期間（WHITELIST_DURATIONS の値）
+     * @returns {Object} 期限なしまたは不明な値の場合は空のオブジェクト
+     * @private
+     */
+    createExpiry(duration) {
+        if (duration === WHITELIST_DURATIONS.RESTART) {
+            return { [WHITELIST_KEYS.EXPIRES_ON_RESTART]: 1 };
+        }
+        const durationMs = WHITELIST_DURATION_MS[duration];
+        return durationMs ? { [WHITELIST_KEYS.EXPIRES_AT]: Date.now() + durationMs } : {};
+    }
+
+    /**
+     * エントリをホワイトリストに追加
+     * @param {Array<Object>} whitelist - ホワイトリスト
+     * @param {Object} entry - 追加するエントリ
+     * @returns {void}
+     * @private
+     * @description 同じドメインの期限切れのエントリが残っている場合は、ドメインが重複しないよう置き換える
+     */
+    addEntry(whitelist, entry) {
+        const key = getEntryKey(entry);
+        const expiredIndex = whitelist.findIndex(item => getEntryKey(item) === key && isWhitelistEntryExpired(item));
+        if (expiredIndex !== -1) {
+            whitelist[expiredIndex] = entry;
+        } else {
+            whitelist.push(entry);
+        }
+    }
+
+    /**
+     * デフォルトの保持設定で新しいエントリを作成
+     * @param {string} host - 対象のホスト名
+     * @param {boolean} siteScope - サイト全体（サブドメインを含む）を対象にするか
+     * @returns {Object}
+     * @private
+     */
+    createEntry(host, siteScope) {
+        // サイト全体を対象にする場合は登録可能ドメインをサブドメイン込みで登録
+        const siteDomain = siteScope ? this.getSiteDomain(host) : null;
+        return {
+            [WHITELIST_KEYS.DOMAIN]: siteDomain ?? host,
+            [WHITELIST_KEYS.KEEP_COOKIES]: DEFAULT_SETTINGS.WHITELIST_KEEP_COOKIES,
+            [WHITELIST_KEYS.KEEP_CACHE]: DEFAULT_SETTINGS.WHITELIST_KEEP_CACHE,
+            [WHITELIST_KEYS.INCLUDE_SUBDOMAINS]: siteDomain ? 1 : DEFAULT_SETTINGS.WHITELIST_INCLUDE_SUBDOMAINS,
+            [WHITELIST_KEYS.KEEP_HISTORY]: DEFAULT_SETTINGS.WHITELIST_KEEP_HISTORY
+        };
+    }
+
+    /**
+     * ホストのサイト単位のドメインを取得
+     * @param {string} host - 対象のホスト名
+     * @returns {string|null} 登録可能ドメイン（ポート番号は含まない）
+     * @private
+     */
+    getSiteDomain(host) {
+        return getRegistrableDomain(splitHostPort(host).hostname);
+    }
+
+    /**
+     * ホストに一致するホワイトリストエントリのインデックスを取得
+     * @param {Array<Object>} whitelist - ホワイトリスト
+     * @param {string} host - 対象のホスト名
+     * @returns {number} 見つからない場合は-1
+     * @private
+     * @description 完全一致するエントリを優先し、なければサイト全体（サブドメインを含む）のエントリから探す。
+     * 有効期限が切れたエントリは登録されていないものとして扱う
+     */
+    findEntryIndex(whitelist, host) {
+        const now = Date.now();
+        const exactIndex = whitelist.findIndex(entry =>
+            entry[WHITELIST_KEYS.DOMAIN] === host && !isWhitelistEntryExpired(entry, now)
+        );
+        if (exactIndex !== -1) {
+            return exactIndex;
+        }
+        return whitelist.findIndex(entry => isHostCoveredByEntry(host, entry) && !isWhitelistEntryExpired(entry, now));
+    }
+
+    /**
+     * ホワイトリストを読み込む
+     * @returns {Promise<Array<Object>>}
+     * @private
+     */
+    async load() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.WHITELIST);
+        return result[STORAGE_KEYS.WHITELIST] || [];
+    }
+
+    /**
+     * ホワイトリストを保存
+     * @param {Array<Object>} whitelist - 保存するホワイトリスト
+     * @returns {Promise<void>}
+     * @private
+     */
+    async save(whitelist) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.WHITELIST]: whitelist });
+    }
+
+    /**
+     * ホワイトリストの読み書きを直列化して実行
+     * @param {Function} task - 実行する非同期処理
+     * @returns {Promise<any>}
+     * @private
+     * @description ポップアップとショートカットから続けて操作された場合に、
+     * 読み込み→書き込みの間に別の操作の更新が失われないよう順番に処理する
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(error => {
+            Logger.error('ホワイトリストの更新エラー:', error);
+        });
+        return result;
+    }
+}
+
+export { WhitelistService };